@@ -0,0 +1,22 @@
+/**
+ * ============================================================================
+ * CPU SCHEDULER ENGINE WORKER
+ * ============================================================================
+ * Runs SchedulerEngine.run() in a Web Worker so simulating a large workload
+ * does not freeze the page.
+ *
+ * Request:  { id, algorithm, processes, options }
+ * Response: { id, result } or { id, error } (the engine's error message)
+ * ============================================================================
+ */
+
+importScripts("engine.js");
+
+self.onmessage = (event) => {
+    const { id, algorithm, processes, options } = event.data;
+    try {
+        self.postMessage({ id, result: SchedulerEngine.run(algorithm, processes, options) });
+    } catch (err) {
+        self.postMessage({ id, error: err.message });
+    }
+};
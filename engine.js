@@ -0,0 +1,3004 @@
+/**
+ * ============================================================================
+ * CPU SCHEDULER ENGINE
+ * ============================================================================
+ * Headless implementations of the scheduling algorithms and metrics used by
+ * the visualizer. Every function is pure: it takes a process list (and
+ * options) and returns new data without touching the DOM or mutating input.
+ *
+ * The same file runs unchanged in the browser (exposed as the global
+ * `SchedulerEngine`) and in Node (`require("./engine.js")`), so it can be
+ * reused by regression tests and grading scripts.
+ *
+ * Times (arrival, bursts, timeline instants) may be fractional; they are kept
+ * on a grid of TIME_DECIMALS decimal places so that e.g. 0.1 + 0.2 ends a
+ * segment exactly where a 0.3 arrival begins.
+ *
+ * Process shape:  { id, arrival, burst, priority, queue?, bursts?, affinity?,
+ *                   period?, deadline?, tickets?, nice? }
+ *                 (bursts = alternating CPU/IO phases, e.g. from
+ *                  parseBurstSequence("CPU 4, IO 3, CPU 2"); burst = total CPU;
+ *                  period = periodic task for EDF / RM, deadline = relative;
+ *                  tickets = Lottery / Stride share, defaults to priority;
+ *                  nice = CFS nice value, -20..19)
+ * Timeline shape: [{ process, start, end, arrival?, level?, core? }]  ("IDLE" = CPU idle,
+ *                 "CS" = context switch / dispatch overhead, core = index on
+ *                 multiprocessor runs)
+ * I/O timeline:   [{ process, start, end, queued }]  (queued = time blocked)
+ * Snapshot shape: { time, running, cores, ready: [ids], remaining: {id: n}, io, events }
+ * ============================================================================
+ */
+
+(function (root, factory) {
+    if (typeof module === "object" && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SchedulerEngine = factory();
+    }
+})(typeof self !== "undefined" ? self : this, function () {
+    "use strict";
+
+    /** Marker used in timelines for periods where the CPU has nothing to run */
+    const IDLE = "IDLE";
+
+    /** Marker used in timelines for context-switch / dispatch overhead */
+    const CONTEXT_SWITCH = "CS";
+
+    /** Decimal places kept for times; finer input is rounded */
+    const TIME_DECIMALS = 6;
+
+    const TIME_SCALE = 10 ** TIME_DECIMALS;
+
+    /**
+     * Round a time to TIME_DECIMALS decimal places, removing the binary
+     * floating-point error of sums and differences of decimal times
+     * @param {number} t - Time
+     * @returns {number} Rounded time
+     */
+    function roundTime(t) {
+        return Math.round(t * TIME_SCALE) / TIME_SCALE;
+    }
+
+    /**
+     * Coarsest power of ten (at most 1) that every given time is a multiple of
+     * @param {Array<number>} times - Times on the TIME_DECIMALS grid
+     * @returns {number} e.g. 1 for whole numbers, 0.25 -> 0.01
+     */
+    function timeResolution(times) {
+        let decimals = 0;
+        times.forEach(t => {
+            while (decimals < TIME_DECIMALS && roundTime(t * 10 ** decimals) % 1 !== 0) decimals++;
+        });
+        return 10 ** -decimals;
+    }
+
+    /**
+     * CPU/IO phases of a process; a plain process is a single CPU burst
+     * @param {Object} p - Process
+     * @returns {Array} [{ type: "cpu" | "io", length }]
+     */
+    function phasesOf(p) {
+        return p.bursts && p.bursts.length ? p.bursts : [{ type: "cpu", length: p.burst }];
+    }
+
+    /**
+     * Phases a process actually has to work through: zero-length phases are
+     * dropped (merging the phases around them) and so is I/O that no CPU
+     * burst precedes or follows, so every phase ends after a positive time
+     * @param {Object} p - Process
+     * @returns {Array} [{ type, length }] on the time grid, empty for no work
+     */
+    function workPhases(p) {
+        const phases = [];
+        phasesOf(p).forEach(ph => {
+            const length = roundTime(ph.length);
+            if (!(length > 0)) return;
+            const last = phases[phases.length - 1];
+            if (last && last.type === ph.type) last.length = roundTime(last.length + length);
+            else phases.push({ type: ph.type, length });
+        });
+        while (phases.length && phases[0].type !== "cpu") phases.shift();
+        while (phases.length && phases[phases.length - 1].type !== "cpu") phases.pop();
+        return phases;
+    }
+
+    /**
+     * Total CPU time a process needs (sum of its CPU phases)
+     * @param {Object} p - Process
+     * @returns {number} CPU time
+     */
+    function cpuTimeOf(p) {
+        return roundTime(phasesOf(p).filter(ph => ph.type === "cpu").reduce((sum, ph) => sum + ph.length, 0));
+    }
+
+    /**
+     * Parse a burst sequence such as "CPU 4, IO 3, CPU 2" (or "CPU 2.5, IO 0.75, ...")
+     * Phases must alternate, starting and ending with a CPU burst.
+     * @param {string} text - Comma, semicolon or arrow separated phases
+     * @returns {Array} [{ type: "cpu" | "io", length }]
+     * @throws {Error} If the sequence is malformed
+     */
+    function parseBurstSequence(text) {
+        const tokens = String(text).split(/[,;]|->|→/).map(t => t.trim()).filter(Boolean);
+        const phases = tokens.map(token => {
+            const match = token.match(/^(cpu|io|i\/o)\s*:?\s*(\d*\.?\d+)$/i);
+            if (!match || !(roundTime(parseFloat(match[2])) > 0)) {
+                throw new Error(`Invalid burst "${token}" (expected e.g. CPU 4 or IO 3)`);
+            }
+            return { type: match[1].toLowerCase() === "cpu" ? "cpu" : "io", length: roundTime(parseFloat(match[2])) };
+        });
+
+        if (phases.length === 0) throw new Error("Burst sequence is empty");
+        if (phases[0].type !== "cpu" || phases[phases.length - 1].type !== "cpu") {
+            throw new Error("Burst sequence must start and end with a CPU burst");
+        }
+        if (phases.some((ph, i) => i > 0 && ph.type === phases[i - 1].type)) {
+            throw new Error("CPU and IO bursts must alternate");
+        }
+        return phases;
+    }
+
+    /**
+     * Format phases back into "CPU 4, IO 3, CPU 2"
+     * @param {Array} phases - [{ type, length }]
+     * @returns {string} Human-readable sequence
+     */
+    function formatBurstSequence(phases) {
+        return phases.map(ph => `${ph.type.toUpperCase()} ${ph.length}`).join(", ");
+    }
+
+    /**
+     * Whether a timeline segment is a process actually executing
+     * @param {Object} item - Timeline segment
+     * @returns {boolean} False for idle and context-switch segments
+     */
+    function isProcessSegment(item) {
+        return item.process !== IDLE && item.process !== CONTEXT_SWITCH;
+    }
+
+    /* ============================================================================
+       SIMULATION CORE
+       A discrete-time simulator shared by every algorithm. The algorithms only
+       differ in their ready-queue policy (see READY-QUEUE POLICIES below).
+       It is event-driven: after the decisions at an instant it jumps straight
+       to the next arrival, completion, quantum expiry, end of a context switch
+       or I/O burst, or policy tick, so long bursts and idle gaps cost nothing.
+    ============================================================================ */
+
+    /** Ready processes listed by name in dispatch / quantum events at most */
+    const MAX_LOGGED_CANDIDATES = 16;
+
+    /**
+     * Simulate a workload under a ready-queue policy
+     *
+     * Order of decisions at every instant `t`:
+     *   1. processes arriving at `t` join the ready queue
+     *   2. a running process whose quantum expired goes to the back of the queue
+     *      (so new arrivals are queued ahead of it, the textbook RR convention)
+     *   3. an idle CPU dispatches the next process chosen by the policy
+     *   4. a preemptive policy may preempt a running process
+     *
+     * Dispatching costs `dispatchLatency` time units, plus `contextSwitch` units
+     * when the CPU switches to a different process than the one it last ran.
+     * That overhead appears as a "CS" segment; the process is already committed
+     * to but only starts executing (and using its quantum) once it is over.
+     *
+     * A process with I/O phases blocks when a CPU burst ends: it waits in the
+     * FIFO queue of a single I/O device, which works in parallel with the CPU,
+     * and rejoins the ready queue (after that instant's arrivals) once its I/O
+     * burst completes.
+     *
+     * With `cores` > 1 every core runs its own process and keeps its own
+     * timeline. Passing one policy gives a single global ready queue; passing
+     * an array of policies gives each core a private queue (new arrivals go to
+     * the least loaded core, requeued processes to the core they last ran on).
+     * A process with an `affinity` (core index) only ever runs on that core.
+     * With `loadBalance`, a core with nothing to run pulls a ready process from
+     * the busiest core's queue.
+     *
+     * With `trace` the simulator stops at every whole time unit (and at every
+     * fractional instant where something happens) to record a snapshot for
+     * step-by-step playback; otherwise only instants where something can
+     * happen are visited.
+     *
+     * @param {Array} processes - Processes to schedule
+     * @param {(Object|Array)} policy - Ready-queue policy (add / pick / preempts / ...),
+     *                                  or one policy per core for per-core queues
+     * @param {Object} [options] - { trace, contextSwitch, dispatchLatency, cores, loadBalance }
+     * @returns {{timeline: Array, timelines: Array, ioTimeline: Array, snapshots: (Array|null), events: Array}}
+     *          plus anything the policies' report() hooks return; `events` is
+     *          the decision log, every event stamped with its `time`
+     */
+    function simulate(processes, policy, options = {}) {
+        const policies = Array.isArray(policy) ? policy : [policy];
+        const perCore = policies.length > 1;
+        const coreCount = perCore ? policies.length : Math.max(1, parseInt(options.cores) || 1);
+
+        const procs = processes.map((p, index) => {
+            const phases = workPhases(p);
+            const affinity = parseInt(p.affinity);
+            const first = phases.length ? phases[0].length : 0;
+            // Copied with Object.assign: V8 may give every object spread copy
+            // its own hidden class, which slows each property access in the loop
+            return Object.assign({}, p, {
+                index, phases, phase: 0,
+                arrival: roundTime(p.arrival),
+                // remaining / cpuBurst refer to the current CPU phase
+                remaining: first,
+                cpuBurst: first,
+                // Affinity to a core that does not exist is ignored
+                pinned: affinity >= 0 && affinity < coreCount ? affinity : null
+            });
+        });
+        const pending = [...procs].sort((a, b) => a.arrival - b.arrival || a.index - b.index);
+        let admitted = 0;       // Processes of `pending` that have arrived
+        const ioTimeline = [];
+        const snapshots = options.trace ? [] : null;
+        const log = [];         // Every event of the run, stamped with its time
+        const switchCost = roundTime(Math.max(0, options.contextSwitch || 0));
+        const dispatchCost = roundTime(Math.max(0, options.dispatchLatency || 0));
+
+        // Shortest step between instants: nothing can happen in between
+        const times = [switchCost, dispatchCost];
+        procs.forEach(p => {
+            times.push(p.arrival);
+            p.phases.forEach(ph => times.push(ph.length));
+        });
+        const resolution = timeResolution(times);
+
+        // Per-core state
+        const cores = Array.from({ length: coreCount }, (_, index) => ({
+            index,
+            timeline: [],
+            running: null,      // Process currently on this core
+            segment: null,      // Timeline segment of the current dispatch
+            slice: Infinity,    // Quantum granted to the current dispatch
+            sliceUsed: 0,       // Time units used from the current quantum
+            lastRun: null,      // Process whose context is loaded on this core
+            switching: 0,       // Overhead time units left before `running` starts
+            idle: false,        // An "idle" event was logged and no process ran since
+            canRun: (p) => p.pinned === null || p.pinned === index
+        }));
+
+        let time = 0;
+        let finished = 0;
+        // Events that happened at the current instant. Without a trace they go
+        // straight into the log. Each is created with its time as the first
+        // field: adding it later would give every event a second, larger layout.
+        let events = snapshots ? [] : log;
+
+        const ioQueue = [];     // Blocked processes waiting for the I/O device
+        let device = null;      // { process, left, segment } currently doing I/O
+        let ioDone = [];        // Processes whose I/O finished at the current instant
+
+        const queueOf = (core) => policies[perCore ? core.index : 0];
+        const ticking = policies.some(q => q.tick);
+        const preempting = policies.some(q => q.preemptive);
+
+        const load = (core) => queueOf(core).size() + (core.running ? 1 : 0);
+
+        const runningProcesses = () => {
+            const running = [];
+            for (const core of cores) if (core.running) running.push(core.running);
+            return running;
+        };
+
+        // Scheduling key of a process as the policy explains it (e.g. "remaining 3")
+        const explain = (core, p) => {
+            const q = queueOf(core);
+            return q.explain ? q.explain(p, time) : undefined;
+        };
+
+        // Put a process into a ready queue; per-core queues keep it on its last core
+        const enqueue = (p, reason) => {
+            let core = cores[0];
+            if (perCore) {
+                core = p.pinned !== null ? cores[p.pinned]
+                    : p.core !== undefined ? cores[p.core]
+                    : cores.reduce((a, b) => load(b) < load(a) ? b : a);
+            }
+            queueOf(core).add(p, time, reason);
+        };
+
+        // Give an idle core the next process its queue allows it to run
+        // (preempted: { process, key } of the process it replaces)
+        const dispatch = (core, preempted = null) => {
+            const p = queueOf(core).pick(time, core.canRun);
+            core.running = p;
+            core.segment = null;
+            if (!p) return;
+
+            const slice = quantumOf(queueOf(core), p);
+            core.slice = slice;
+            core.sliceUsed = 0;
+            core.idle = false;
+            p.core = core.index;
+            const key = explain(core, p);
+            if (preempted) {
+                events.push({
+                    time, type: "preempt", process: preempted.process.id, by: p.id, core: core.index,
+                    key: preempted.key, byKey: key
+                });
+            }
+            // The processes it was chosen over, in ready-queue order
+            events.push({
+                time, type: "dispatch", process: p.id, core: core.index, key,
+                over: candidatesOf(core), waiting: queueOf(core).size(),
+                quantum: slice === Infinity ? null : slice
+            });
+
+            // The process segment is opened when it first executes, so a
+            // process preempted right after its switch leaves no empty bar
+            core.switching = dispatchCost + (core.lastRun && core.lastRun !== p ? switchCost : 0);
+            if (core.switching > 0) {
+                core.segment = {
+                    process: CONTEXT_SWITCH, start: time, end: time,
+                    from: core.lastRun ? core.lastRun.id : null, to: p.id
+                };
+                if (coreCount > 1) core.segment.core = core.index;
+                core.timeline.push(core.segment);
+            }
+        };
+
+        // Processes in a core's ready queue as logged in events ({ process, key }),
+        // or null when there are too many to list
+        const candidatesOf = (core) => {
+            const q = queueOf(core);
+            if (q.size() > MAX_LOGGED_CANDIDATES) return null;
+            return q.queue().filter(core.canRun).map(c => ({ process: c.id, key: explain(core, c) }));
+        };
+
+        // Pull migration: an idle core with an empty queue takes the last
+        // movable process from the busiest core that has more than one process
+        const balance = () => {
+            cores.forEach(core => {
+                if (core.running || queueOf(core).size() > 0) return;
+
+                const candidates = cores
+                    .filter(other => other !== core)
+                    .map(other => ({ other, movable: queueOf(other).queue().filter(p => p.pinned === null) }))
+                    .filter(c => c.movable.length > 0 && load(c.other) > 1);
+                if (candidates.length === 0) return;
+
+                const busiest = candidates.reduce((a, b) => load(b.other) > load(a.other) ? b : a);
+                const p = busiest.movable[busiest.movable.length - 1];
+                queueOf(busiest.other).remove(p);
+                p.core = core.index;
+                queueOf(core).add(p, time, "migrate");
+                events.push({ time, type: "migrate", process: p.id, from: busiest.other.index, to: core.index });
+            });
+        };
+
+        // Each step of an instant is its own function: small functions are
+        // optimized early in a run, a single large loop body only very late
+
+        // 1. Admit arrivals, and processes returning from I/O start their next CPU burst
+        const admit = () => {
+            while (admitted < pending.length && pending[admitted].arrival <= time) {
+                const p = pending[admitted++];
+                events.push({ time, type: "arrival", process: p.id });
+                // A process without any work completes as it arrives
+                if (p.phases.length === 0) {
+                    events.push({ time, type: "complete", process: p.id });
+                    finished++;
+                } else {
+                    enqueue(p, "arrival");
+                }
+            }
+
+            for (const p of ioDone) {
+                p.phase++;
+                p.remaining = p.cpuBurst = p.phases[p.phase].length;
+                enqueue(p, "io");
+                events.push({ time, type: "wakeup", process: p.id });
+            }
+            ioDone = [];
+        };
+
+        // Time-driven policy work (e.g. MLFQ priority boost)
+        const tick = () => {
+            const running = runningProcesses();
+            for (const q of policies) {
+                if (!q.tick) continue;
+                for (const e of q.tick(time, running) || []) {
+                    e.time = time;
+                    events.push(e);
+                }
+            }
+        };
+
+        // 2. Quantum expiry (never in the middle of a switch). The event
+        //    records the ready queue the process was put back into.
+        const expireQuanta = () => {
+            for (const core of cores) {
+                if (core.switching > 0 || !core.running || core.sliceUsed < core.slice) continue;
+                const p = core.running;
+                const event = { time, type: "quantum", process: p.id, core: core.index, quantum: core.slice };
+                events.push(event);
+                enqueue(p, "quantum");
+                const q = queueOf(cores[p.core]);
+                if (q.size() <= MAX_LOGGED_CANDIDATES) event.queue = q.queue().map(r => r.id);
+                if (q.levelOf) event.level = q.levelOf(p);
+                core.running = null;
+            }
+        };
+
+        // 4. Preemption, at most once per core and instant. With a global
+        //    queue the process that would be picked last is the one to go.
+        const preempt = () => {
+            let preemptedCores = null;
+            for (;;) {
+                let victim = null;
+                let order = null;
+                for (const core of cores) {
+                    const q = queueOf(core);
+                    if ((preemptedCores && preemptedCores.has(core)) || core.switching > 0 || !core.running ||
+                        !q.preemptive || !q.preempts(core.running, time, core.canRun)) continue;
+                    if (!victim) {
+                        victim = core;
+                        order = q.compare;
+                    } else if (order && order(core.running, victim.running) > 0) {
+                        victim = core;
+                    }
+                }
+                if (!victim) return;
+
+                const preempted = { process: victim.running, key: explain(victim, victim.running) };
+                if (!preemptedCores) preemptedCores = new Set();
+                preemptedCores.add(victim);
+                queueOf(victim).add(preempted.process, time, "preempt");
+                dispatch(victim, preempted);
+            }
+        };
+
+        // A core left without a process is logged once until it runs again
+        const logIdle = () => {
+            for (const core of cores) {
+                if (core.running || core.idle) continue;
+                core.idle = true;
+                events.push(coreCount > 1 ? { time, type: "idle", core: core.index } : { time, type: "idle" });
+            }
+        };
+
+        // 5. An idle I/O device starts serving the next blocked process
+        const startIo = () => {
+            const p = ioQueue.shift();
+            device = { process: p, left: p.phases[p.phase].length };
+            device.segment = { process: p.id, start: time, end: time, queued: p.blockedAt };
+            ioTimeline.push(device.segment);
+            events.push({ time, type: "io", process: p.id });
+        };
+
+        // Run the cores and the I/O device, which works in parallel with the CPU
+        const advance = (step) => {
+            if (device) {
+                device.left = roundTime(device.left - step);
+                device.segment.end = roundTime(time + step);
+                if (device.left === 0) {
+                    ioDone.push(device.process);
+                    device = null;
+                }
+            }
+
+            for (const core of cores) runCore(core, step);
+            time = roundTime(time + step);
+        };
+
+        for (;;) {
+            admit();
+            if (ticking) tick();
+
+            if (finished === procs.length) {
+                if (snapshots) {
+                    snapshots.push(takeSnapshot(time, cores, policies, procs, events, null, ioQueue));
+                    for (const e of events) log.push(e);
+                }
+                break;
+            }
+
+            expireQuanta();
+            if (perCore && options.loadBalance) balance();
+
+            // 3. Dispatch on idle cores
+            for (const core of cores) {
+                if (!core.running) dispatch(core);
+            }
+
+            if (preempting) preempt();
+            logIdle();
+            if (!device && ioQueue.length > 0) startIo();
+
+            if (snapshots) {
+                snapshots.push(takeSnapshot(time, cores, policies, procs, events, device, ioQueue));
+                for (const e of events) log.push(e);
+                events = [];
+            }
+
+            // Jump to the next instant at which anything can change (a trace
+            // also stops at every whole time unit)
+            advance(snapshots ? Math.min(nextStep(), roundTime(Math.floor(time) + 1 - time)) : nextStep());
+        }
+
+        /**
+         * Time units until the next instant where a decision may change: an
+         * arrival, the end of a burst, quantum, switch or I/O burst, a policy
+         * tick, or the point where a waiting process would preempt (holdFor)
+         * @returns {number} Time units; `resolution` (1 for whole-number workloads)
+         *                   when nothing is due sooner
+         */
+        function nextStep() {
+            let step = Infinity;
+            if (admitted < pending.length) step = pending[admitted].arrival - time;
+            if (device) step = Math.min(step, device.left);
+
+            for (const core of cores) {
+                if (core.switching > 0) {
+                    step = Math.min(step, core.switching);
+                } else if (core.running) {
+                    const q = queueOf(core);
+                    step = Math.min(step, core.running.remaining, core.slice - core.sliceUsed);
+                    if (q.holdFor) step = Math.min(step, q.holdFor(core.running, time, core.canRun, resolution));
+                }
+            }
+
+            // Policies without nextTick() are ticked at every instant
+            if (ticking) {
+                const running = runningProcesses();
+                for (const q of policies) {
+                    if (q.tick) step = Math.min(step, q.nextTick ? q.nextTick(time, running) - time : 1);
+                }
+            }
+            // Instants off the workload's grid (fractional quanta, CFS slices,
+            // aging or boost intervals) are still stepped to exactly
+            step = roundTime(step);
+            return step === Infinity ? 1 : step > 0 ? step : resolution;
+        }
+
+        /**
+         * Advance one core by `step` time units: switching overhead, idle, or
+         * execution. nextStep() guarantees nothing finishes inside the step.
+         * @param {Object} core - Per-core state
+         * @param {number} step - Time units
+         */
+        function runCore(core, step) {
+            const timeline = core.timeline;
+            const running = core.running;
+
+            if (core.switching > 0) {
+                // Spend context-switch overhead
+                core.switching = roundTime(core.switching - step);
+                core.segment.end = roundTime(time + step);
+                if (core.switching === 0) {
+                    core.lastRun = running;
+                    core.segment = null;
+                }
+                return;
+            }
+
+            if (!running) {
+                // Core idle (merged with a preceding idle segment)
+                const last = timeline[timeline.length - 1];
+                const end = roundTime(time + step);
+                if (last && last.process === IDLE && last.end === time) last.end = end;
+                else timeline.push(coreCount > 1
+                    ? { process: IDLE, start: time, end, core: core.index }
+                    : { process: IDLE, start: time, end });
+                return;
+            }
+
+            // A level change while running (e.g. MLFQ boost) starts a fresh quantum
+            const q = queueOf(core);
+            const level = q.levelOf ? q.levelOf(running) : undefined;
+            if (core.segment && core.segment.level !== level) {
+                core.slice = quantumOf(q, running);
+                core.sliceUsed = 0;
+                core.segment = null;
+            }
+
+            // Execute
+            if (!core.segment) {
+                core.segment = { process: running.id, start: time, end: time, arrival: running.arrival };
+                if (level !== undefined) core.segment.level = level;
+                if (coreCount > 1) core.segment.core = core.index;
+                timeline.push(core.segment);
+            }
+            core.lastRun = running;
+            running.remaining = roundTime(running.remaining - step);
+            core.sliceUsed = roundTime(core.sliceUsed + step);
+            core.segment.end = roundTime(time + step);
+
+            // CPU burst finished: block for I/O, or the process completed
+            if (running.remaining === 0) {
+                if (running.phase < running.phases.length - 1) {
+                    running.phase++;
+                    running.blockedAt = core.segment.end;
+                    ioQueue.push(running);
+                    events.push({ time: core.segment.end, type: "block", process: running.id, core: core.index });
+                } else {
+                    events.push({ time: core.segment.end, type: "complete", process: running.id, core: core.index });
+                    finished++;
+                }
+                core.running = null;
+            }
+        }
+
+        // One timeline per core; `timeline` merges them in start order
+        const timelines = cores.map(core => core.timeline);
+        const timeline = coreCount > 1
+            ? timelines.flat().sort((a, b) => a.start - b.start || a.core - b.core)
+            : timelines[0];
+
+        // Policies may report extra per-run details (e.g. priority history)
+        return { timeline, timelines, ioTimeline, snapshots, events: log, ...mergeReports(policies) };
+    }
+
+    /**
+     * Combine the report() results of several policies (one per core)
+     * @param {Array} policies - Ready-queue policies
+     * @returns {Object} Fields from every report; object fields are merged and
+     *                   array fields concatenated
+     */
+    function mergeReports(policies) {
+        const merged = {};
+        policies.forEach(q => {
+            if (!q.report) return;
+            Object.entries(q.report()).forEach(([key, value]) => {
+                if (Array.isArray(value)) {
+                    merged[key] = (merged[key] || []).concat(value);
+                    return;
+                }
+                const isObject = value && typeof value === "object";
+                merged[key] = isObject && merged[key] ? { ...merged[key], ...value } : value;
+            });
+        });
+        return merged;
+    }
+
+    /**
+     * Quantum a policy grants to a process on dispatch
+     * @returns {number} Time units, Infinity when the process may run to completion
+     */
+    function quantumOf(policy, p) {
+        const quantum = policy.quantumFor ? policy.quantumFor(p) : policy.quantum;
+        return quantum || Infinity;
+    }
+
+    /**
+     * Capture the scheduler state at one instant for step-by-step playback
+     * `remaining` is the total CPU time each process still needs; `running`
+     * and `switching` describe core 0, `cores` every core.
+     * @returns {Object} { time, running, switching, cores, ready, queues, remaining, io, events }
+     */
+    function takeSnapshot(time, cores, policies, procs, events, device, ioQueue) {
+        const remaining = {};
+        procs.forEach(p => {
+            remaining[p.id] = p.phases.reduce((sum, ph, i) => {
+                if (i < p.phase || ph.type !== "cpu") return sum;
+                return roundTime(sum + (i === p.phase ? p.remaining : ph.length));
+            }, 0);
+        });
+
+        const coreStates = cores.map(core => ({
+            running: core.running && !core.switching ? core.running.id : null,
+            switching: core.running && core.switching ? core.running.id : null
+        }));
+
+        // Per-core queues are listed one line per core (and level)
+        let queues = policies[0].queues ? policies[0].queues() : null;
+        if (policies.length > 1) {
+            queues = policies.flatMap((q, i) => q.queues
+                ? q.queues().map(level => ({ name: `CPU${i} · ${level.name}`, ready: level.ready }))
+                : [{ name: `CPU${i}`, ready: q.queue().map(p => p.id) }]);
+        }
+
+        return {
+            time,
+            running: coreStates[0].running,
+            switching: coreStates[0].switching,
+            cores: coreStates,
+            ready: policies.flatMap(q => q.queue().map(p => p.id)),
+            queues,
+            remaining,
+            io: {
+                running: device ? device.process.id : null,
+                left: device ? device.left : 0,
+                queue: ioQueue.map(p => p.id)
+            },
+            events
+        };
+    }
+
+    /* ============================================================================
+       READY-QUEUE POLICIES
+       A policy owns the ready queue and decides who runs next:
+         add(p, time, reason)  - put a process into the ready queue; reason is
+                                 "arrival", "quantum" (slice expired), "preempt",
+                                 "io" (I/O completed) or "migrate" (load balancing)
+         pick(time, canRun)    - remove and return the next process that
+                                 canRun(p) allows on the dispatching core (or null)
+         preempts(p, time, canRun) - whether the running process p must yield
+         remove(p)             - take a ready process out (load balancing)
+         queue()               - ready processes in display order
+         size()                - number of ready processes
+         preemptive, quantum   - static properties read by simulate()
+       Optional hooks:
+         quantumFor(p)         - per-process quantum (overrides `quantum`)
+         compare(a, b)         - scheduling order, used to pick which core to
+                                 preempt when a global queue serves several cores
+         tick(time, running)   - called at every visited instant with the running
+                                 processes, returns extra events
+         nextTick(time, running) - next instant at which tick() has work to do
+                                 (without it the simulator visits every instant)
+         holdFor(p, time, canRun, resolution) - time units the running process p
+                                 can run before a waiting process would preempt
+                                 it, when that can happen without any event
+                                 (e.g. LRTF); resolution is the workload's
+                                 time grid (1 for whole-number times)
+         levelOf(p)            - queue level recorded on timeline segments
+         explain(p, time)      - short description of the key p is scheduled
+                                 by (e.g. "remaining 3"), used in the event log
+         queues()              - [{ name, ready: [ids] }] for multilevel display
+         report()              - extra fields merged into the simulate() result
+    ============================================================================ */
+
+    /**
+     * Binary min-heap under `order`. Items must be distinct; their positions
+     * are tracked so indexOf() is O(1).
+     * @param {Function} order - (a, b) => negative if a comes first
+     * @returns {Object} { items, size, peek, push, pop, indexOf, removeAt, update };
+     *                   `items` is the heap array itself (in no particular order)
+     */
+    function binaryHeap(order) {
+        const items = [];
+        const positions = new Map();    // item -> index in items
+        const place = (item, i) => {
+            items[i] = item;
+            positions.set(item, i);
+        };
+
+        // Move the item at i towards the root / the leaves until it is in order
+        const up = (i) => {
+            const item = items[i];
+            while (i > 0) {
+                const parent = (i - 1) >> 1;
+                if (order(item, items[parent]) >= 0) break;
+                place(items[parent], i);
+                i = parent;
+            }
+            place(item, i);
+        };
+        const down = (i) => {
+            const item = items[i];
+            for (;;) {
+                const left = 2 * i + 1;
+                if (left >= items.length) break;
+                const right = left + 1;
+                const child = right < items.length && order(items[right], items[left]) < 0 ? right : left;
+                if (order(items[child], item) >= 0) break;
+                place(items[child], i);
+                i = child;
+            }
+            place(item, i);
+        };
+
+        const heap = {
+            items,
+            size: () => items.length,
+            peek: () => items[0],
+            push: (item) => {
+                place(item, items.length);
+                up(items.length - 1);
+            },
+            pop: () => {
+                const first = items[0];
+                if (items.length > 0) heap.removeAt(0);
+                return first;
+            },
+            indexOf: (item) => positions.get(item) ?? -1,
+            // The hole at i moves down to a leaf along the smaller children and
+            // the last item is sifted up from there: it usually belongs near the
+            // leaves, so this takes one comparison per level instead of two
+            removeAt: (i) => {
+                positions.delete(items[i]);
+                const last = items.pop();
+                if (i === items.length) return;
+                for (;;) {
+                    const left = 2 * i + 1;
+                    if (left >= items.length) break;
+                    const right = left + 1;
+                    const child = right < items.length && order(items[right], items[left]) < 0 ? right : left;
+                    place(items[child], i);
+                    i = child;
+                }
+                place(last, i);
+                up(i);
+            },
+            // Restore the heap order after the key of the item at i changed
+            update: (i) => {
+                down(i);
+                up(i);
+            }
+        };
+        return heap;
+    }
+
+    /**
+     * FIFO queue with O(1) removal from the head
+     * @returns {Object} { push, size, take, remove, some, toArray }
+     */
+    function fifoQueue() {
+        let items = [];
+        let head = 0;           // Index of the first queued item
+
+        return {
+            push: (item) => { items.push(item); },
+            size: () => items.length - head,
+            // Remove and return the first item canRun allows (or null)
+            take: (canRun = () => true) => {
+                for (let i = head; i < items.length; i++) {
+                    if (!canRun(items[i])) continue;
+                    const item = items[i];
+                    if (i === head) head++;
+                    else items.splice(i, 1);
+                    // Drop the consumed prefix once it is most of the array
+                    if (head > 32 && head * 2 > items.length) {
+                        items = items.slice(head);
+                        head = 0;
+                    }
+                    return item;
+                }
+                return null;
+            },
+            // Remove an item wherever it is; false if it is not queued
+            remove: (item) => {
+                const i = items.indexOf(item, head);
+                if (i < 0) return false;
+                items.splice(i, 1);
+                return true;
+            },
+            some: (canRun) => {
+                for (let i = head; i < items.length; i++) if (canRun(items[i])) return true;
+                return false;
+            },
+            toArray: () => items.slice(head)
+        };
+    }
+
+    /**
+     * Chain of FIFO queues served one after the other, as if they were one
+     * queue. Whole queues can be appended in O(1) per queue; emptied queues
+     * are dropped, so only the tail queue (the one push() adds to) is ever
+     * empty and finding a runnable item never scans a run of empty queues.
+     * @returns {Object} { push, take, remove, some, append, drain, toArray }
+     */
+    function queueChain() {
+        let chain = [fifoQueue()];
+        let head = 0;           // Index of the first queue still in the chain
+
+        // Drop the queue at i once it is empty (unless it is the tail)
+        const drop = (i) => {
+            if (i === chain.length - 1 || chain[i].size() > 0) return;
+            if (i === head) head++;
+            else chain.splice(i, 1);
+            if (head > 32 && head * 2 > chain.length) {
+                chain = chain.slice(head);
+                head = 0;
+            }
+        };
+        const find = (test) => {
+            for (let i = head; i < chain.length; i++) if (test(chain[i])) return i;
+            return -1;
+        };
+
+        return {
+            push: (item) => { chain[chain.length - 1].push(item); },
+            // Remove and return the first item canRun allows (or null)
+            take: (canRun) => {
+                const i = find(q => q.some(canRun));
+                if (i < 0) return null;
+                const item = chain[i].take(canRun);
+                drop(i);
+                return item;
+            },
+            // Remove an item wherever it is; false if it is not queued
+            remove: (item) => {
+                const i = find(q => q.remove(item));
+                if (i < 0) return false;
+                drop(i);
+                return true;
+            },
+            some: (canRun) => find(q => q.some(canRun)) >= 0,
+            // Serve the given queues after this chain's, then new items
+            // (an empty tail queue is moved behind them)
+            append: (queues) => {
+                if (queues.length === 0) return;
+                const tail = chain[chain.length - 1].size() === 0 ? chain.pop() : fifoQueue();
+                chain.push(...queues, tail);
+            },
+            // Hand over the non-empty queues, leaving this chain empty
+            drain: () => {
+                const tail = chain[chain.length - 1];
+                if (head === chain.length - 1 && tail.size() === 0) return [];
+                const queues = chain.slice(head).filter(q => q.size() > 0);
+                chain = [tail.size() === 0 ? tail : fifoQueue()];
+                head = 0;
+                return queues;
+            },
+            toArray: () => chain.slice(head).flatMap(q => q.toArray())
+        };
+    }
+
+    /**
+     * FIFO queue of weighted items that can draw the item holding the n-th
+     * unit of total weight in O(log n), using a Fenwick tree over queue slots
+     * @returns {Object} { push, remove, draw, size, total, toArray }
+     */
+    function weightedQueue() {
+        let slots = [];         // Items in queue order (null once removed)
+        let weights = [];       // Weight of each slot
+        let tree = new Float64Array(17);    // Fenwick tree of slot weights (1-based)
+        let total = 0;
+        const slotOf = new Map();           // item -> slot index
+
+        const update = (slot, delta) => {
+            for (let i = slot + 1; i < tree.length; i += i & -i) tree[i] += delta;
+        };
+        const append = (item, weight) => {
+            slotOf.set(item, slots.length);
+            slots.push(item);
+            weights.push(weight);
+            update(slots.length - 1, weight);
+            total += weight;
+        };
+        // Drop removed slots and resize the tree for `capacity` slots
+        const rebuild = (capacity) => {
+            const items = slots.map((item, i) => [item, weights[i]]).filter(([item]) => item !== null);
+            slots = [];
+            weights = [];
+            tree = new Float64Array(capacity + 1);
+            total = 0;
+            items.forEach(([item, weight]) => append(item, weight));
+        };
+
+        return {
+            push: (item, weight) => {
+                if (slots.length + 1 >= tree.length) rebuild(Math.max(16, 2 * slotOf.size + 1));
+                append(item, weight);
+            },
+            remove: (item) => {
+                const slot = slotOf.get(item);
+                update(slot, -weights[slot]);
+                total -= weights[slot];
+                slots[slot] = null;
+                slotOf.delete(item);
+                if (slots.length > 64 && slotOf.size * 2 < slots.length) rebuild(tree.length - 1);
+            },
+            // Item whose weight range contains unit `n` (0 <= n < total), in queue order
+            draw: (n) => {
+                let slot = 0;
+                for (let step = 1 << Math.floor(Math.log2(tree.length - 1)); step > 0; step >>= 1) {
+                    if (slot + step < tree.length && tree[slot + step] <= n) {
+                        slot += step;
+                        n -= tree[slot];
+                    }
+                }
+                return slots[slot];
+            },
+            size: () => slotOf.size,
+            total: () => total,
+            toArray: () => slots.filter(item => item !== null)
+        };
+    }
+
+    /**
+     * Tournament tree over items whose order changes as time passes (e.g.
+     * response ratios). Every match remembers the instant its loser may
+     * overtake its winner, so peek() only replays the matches that expired.
+     * Times passed to push() and peek() must never decrease.
+     * @param {Function} order - (a, b, time) => negative if a comes first at `time`
+     * @param {Function} overtakes - (winner, loser) => earliest instant the loser
+     *                               may come first (Infinity if never)
+     * @returns {Object} { push, remove, peek, size }
+     */
+    function kineticTournament(order, overtakes) {
+        let capacity = 16;                  // Leaves; leaf of slot s is node capacity + s
+        let winners = new Array(2 * capacity).fill(null);
+        let expiry = new Float64Array(2 * capacity).fill(Infinity);    // Earliest expired match in each subtree
+        let next = 0;                       // Slots below this have been handed out
+        const free = [];                    // Slots given back by remove()
+        const slotOf = new Map();           // item -> slot
+        let now = -Infinity;                // Latest time seen
+
+        const match = (node) => {
+            const a = winners[2 * node];
+            const b = winners[2 * node + 1];
+            const below = Math.min(expiry[2 * node], expiry[2 * node + 1]);
+            if (a === null || b === null) {
+                winners[node] = a === null ? b : a;
+                expiry[node] = below;
+                return;
+            }
+            const [winner, loser] = order(a, b, now) <= 0 ? [a, b] : [b, a];
+            winners[node] = winner;
+            expiry[node] = Math.min(overtakes(winner, loser), below);
+        };
+        const setLeaf = (slot, item) => {
+            winners[capacity + slot] = item;
+            for (let node = (capacity + slot) >> 1; node >= 1; node >>= 1) match(node);
+        };
+        // Replay the matches below `node` that may have changed by now
+        const replay = (node) => {
+            if (expiry[node] > now || node >= capacity) return;
+            replay(2 * node);
+            replay(2 * node + 1);
+            match(node);
+        };
+        const grow = () => {
+            const items = [...slotOf.keys()];
+            capacity *= 2;
+            winners = new Array(2 * capacity).fill(null);
+            expiry = new Float64Array(2 * capacity).fill(Infinity);
+            free.length = 0;
+            items.forEach((item, slot) => {
+                slotOf.set(item, slot);
+                winners[capacity + slot] = item;
+            });
+            next = items.length;
+            for (let node = capacity - 1; node >= 1; node--) match(node);
+        };
+
+        return {
+            push: (item, time) => {
+                now = Math.max(now, time);
+                if (free.length === 0 && next === capacity) grow();
+                const slot = free.length > 0 ? free.pop() : next++;
+                slotOf.set(item, slot);
+                setLeaf(slot, item);
+            },
+            remove: (item) => {
+                const slot = slotOf.get(item);
+                slotOf.delete(item);
+                free.push(slot);
+                setLeaf(slot, null);
+            },
+            // First item at `time` (or null when empty)
+            peek: (time) => {
+                now = Math.max(now, time);
+                replay(1);
+                return winners[1];
+            },
+            size: () => slotOf.size
+        };
+    }
+
+    /**
+     * Tie-breaking rules for comparator policies, applied when the scheduling
+     * key (burst, remaining time, priority, ...) is equal
+     */
+    const TIE_BREAKERS = {
+        // Earlier arrival first, then position in the process list
+        arrival: (a, b) => a.arrival - b.arrival || a.index - b.index,
+        // Lower process ID first, comparing digits numerically (P2 before P10)
+        pid: (a, b) => String(a.id).localeCompare(String(b.id), undefined, { numeric: true }) || a.index - b.index,
+        // Position in the process list (order of entry / import)
+        insertion: (a, b) => a.index - b.index
+    };
+
+    /**
+     * Policy that always runs the "smallest" ready process under `compare`,
+     * kept in a binary heap. Ties are resolved by `tieBreak`; without one they
+     * keep ready-queue order. Preemption only happens when the key is strictly
+     * better - a tie never preempts the running process.
+     * Besides the policy interface it offers peek(canRun), the process pick()
+     * would return, unordered(), the ready processes in no particular order,
+     * queueOrder, the comparator queue() sorts by, and update(p), to call
+     * after the key of a ready process changed.
+     * @param {Function} compare - (a, b) => negative if a should run first
+     * @param {boolean} preemptive - Preempt when a strictly better process is ready
+     * @param {Function} [tieBreak] - Comparator used when `compare` returns 0
+     */
+    function comparatorPolicy(compare, preemptive, tieBreak = () => 0) {
+        const queued = new Map();   // process -> sequence number when queued
+        let sequence = 0;
+        const order = (a, b) => compare(a, b) || tieBreak(a, b);
+        const heapOrder = (a, b) => compare(a, b) || tieBreak(a, b) || queued.get(a) - queued.get(b);
+        const heap = binaryHeap(heapOrder);
+
+        // Only processes pinned to another core make the heap top unusable
+        const best = (canRun) => {
+            const top = heap.peek();
+            if (top === undefined) return null;
+            if (canRun(top)) return top;
+            return heap.items.filter(canRun).reduce((a, b) => a === null || heapOrder(b, a) < 0 ? b : a, null);
+        };
+        const remove = (p) => {
+            heap.removeAt(heap.indexOf(p));
+            queued.delete(p);
+        };
+
+        return {
+            preemptive,
+            compare: order,
+            add: (p) => {
+                queued.set(p, sequence++);
+                heap.push(p);
+            },
+            pick: (time, canRun = () => true) => {
+                const p = best(canRun);
+                if (p) remove(p);
+                return p;
+            },
+            preempts: (p, time, canRun = () => true) => {
+                const candidate = best(canRun);
+                return candidate !== null && compare(candidate, p) < 0;
+            },
+            remove,
+            peek: (canRun = () => true) => best(canRun),
+            unordered: () => heap.items,
+            queueOrder: heapOrder,
+            update: (p) => heap.update(heap.indexOf(p)),
+            size: heap.size,
+            queue: () => [...heap.items].sort(heapOrder)
+        };
+    }
+
+    /**
+     * Priority policy with optional aging. Every `interval` time units a process
+     * spends waiting in the ready queue, its effective priority improves by
+     * `step` (towards 0 when lower numbers win, upwards otherwise).
+     * Waiting restarts from zero each time the process is (re)queued. Aging
+     * processes are kept in a heap by the instant of their next step, so a tick
+     * only touches the processes that are due.
+     * @param {Object} config
+     * @param {boolean} config.preemptive - Preempt for a strictly higher priority
+     * @param {boolean} config.higherFirst - Higher number = higher priority
+     * @param {Function} config.tieBreak - Comparator for equal priorities
+     * @param {number} config.interval - Aging interval in time units (0 = no aging)
+     * @param {number} config.step - Priority improvement per interval
+     */
+    function agingPriorityPolicy({ preemptive, higherFirst, tieBreak, interval, step }) {
+        const direction = higherFirst ? -1 : 1;
+        const policy = comparatorPolicy(
+            (a, b) => direction * (a.effectivePriority - b.effectivePriority),
+            preemptive,
+            tieBreak
+        );
+        const history = {};     // id -> [{ time, priority }] effective priority changes
+        const { add, pick, remove } = policy;
+
+        // Queued processes that still age, earliest next aging step first
+        const due = binaryHeap((a, b) => a.nextAging - b.nextAging);
+        const ages = (p) => higherFirst || p.effectivePriority > 0;
+        const forget = (p) => {
+            const i = due.indexOf(p);
+            if (i !== -1) due.removeAt(i);
+        };
+        const schedule = (p) => {
+            if (interval <= 0 || !ages(p)) return;
+            p.nextAging = roundTime(p.waitingSince + interval);
+            due.push(p);
+        };
+
+        policy.add = (p, time, reason) => {
+            if (p.effectivePriority === undefined) p.effectivePriority = p.priority;
+            // A process migrated from another core's queue keeps its effective priority
+            if (!history[p.id]) history[p.id] = [{ time, priority: p.effectivePriority }];
+            p.waitingSince = time;
+            add(p, time, reason);
+            schedule(p);
+        };
+        policy.pick = (time, canRun) => {
+            const p = pick(time, canRun);
+            if (p) forget(p);
+            return p;
+        };
+        policy.remove = (p) => {
+            remove(p);
+            forget(p);
+        };
+
+        if (interval > 0) {
+            policy.tick = (time) => {
+                const aged = [];
+                while (due.size() > 0 && due.peek().nextAging <= time) aged.push(due.pop());
+
+                // Aged in ready-queue order
+                return aged.sort(policy.queueOrder).map(p => {
+                    p.effectivePriority = higherFirst
+                        ? p.effectivePriority + step
+                        : Math.max(0, p.effectivePriority - step);
+                    p.waitingSince = time;
+                    policy.update(p);
+                    schedule(p);
+                    history[p.id].push({ time, priority: p.effectivePriority });
+                    return { type: "aging", process: p.id, priority: p.effectivePriority };
+                });
+            };
+            policy.nextTick = () => due.size() > 0 ? due.peek().nextAging : Infinity;
+        }
+
+        policy.explain = (p) => `priority ${p.effectivePriority}`;
+        policy.report = () => ({ priorityHistory: history });
+        return policy;
+    }
+
+    /**
+     * Circular FIFO policy with a fixed time quantum
+     * @param {number} quantum - Time quantum
+     */
+    function roundRobinPolicy(quantum) {
+        const ready = fifoQueue();
+
+        return {
+            preemptive: false,
+            quantum,
+            add: (p) => { ready.push(p); },
+            pick: (time, canRun) => ready.take(canRun),
+            preempts: () => false,
+            remove: (p) => { ready.remove(p); },
+            size: ready.size,
+            queue: ready.toArray
+        };
+    }
+
+    /**
+     * Preemptive policy for real-time jobs (EDF / RM). Besides ordering the
+     * ready queue by `compare`, it reports a "miss" event at the instant an
+     * unfinished job reaches its absolute deadline.
+     * @param {Function} compare - (a, b) => negative if job a should run first
+     * @param {Function} [tieBreak] - Comparator used when `compare` returns 0
+     */
+    function deadlinePolicy(compare, tieBreak) {
+        const policy = comparatorPolicy(compare, true, tieBreak);
+        const { add } = policy;
+        const seen = new Set();     // Jobs queued here at least once
+        // Their deadlines still to come, earliest first (finished jobs included:
+        // popping one at its deadline is cheaper than finding it earlier)
+        const deadlines = binaryHeap((a, b) => a.absoluteDeadline - b.absoluteDeadline);
+        // A job still running or ready has CPU work left in a CPU phase
+        const unfinished = (p) => p.remaining > 0 && p.phases[p.phase].type === "cpu";
+
+        policy.add = (p, time, reason) => {
+            if (!seen.has(p)) {
+                seen.add(p);
+                if (p.absoluteDeadline >= time) deadlines.push(p);
+            }
+            add(p, time, reason);
+        };
+        policy.tick = (time, running) => {
+            const due = [];
+            while (deadlines.size() > 0 && deadlines.peek().absoluteDeadline <= time) due.push(deadlines.pop());
+
+            // Flag missed jobs so per-core policies report each miss only once;
+            // running jobs are reported first, then ready ones in queue order
+            const missed = due.filter(p => p.absoluteDeadline === time && unfinished(p) && !p.missed)
+                .sort((a, b) => running.includes(b) - running.includes(a) || policy.queueOrder(a, b));
+            missed.forEach(p => { p.missed = true; });
+            return missed.map(p => ({ type: "miss", process: p.id }));
+        };
+        policy.nextTick = () => deadlines.size() > 0 ? deadlines.peek().absoluteDeadline : Infinity;
+        return policy;
+    }
+
+    /**
+     * HRRN - Highest Response Ratio Next (Non-Preemptive). At each dispatch the
+     * ready process with the highest (waiting + burst) / burst runs, where
+     * waiting counts from when it (last) entered the ready queue. Every
+     * decision is recorded with the ratio of each candidate (only the chosen
+     * one's when there are more than MAX_LOGGED_CANDIDATES).
+     * A ratio grows by 1 / burst per time unit, so the order of two processes
+     * only changes when one with a shorter burst catches up; the queue is a
+     * kinetic tournament that replays just the matches where that happened.
+     * @param {Function} tieBreak - Comparator for equal ratios
+     */
+    function responseRatioPolicy(tieBreak) {
+        const ready = new Set();        // Ready processes in queue order
+        const decisions = [];   // [{ time, chosen, ratios: [{ process, waiting, burst, ratio }], candidates }]
+        let pinned = 0;                 // Ready processes with a core affinity
+
+        // Higher ratio first; compared as fractions so equal ratios tie
+        // (exactly for whole numbers, to rounding error for fractional times)
+        const order = (a, b, time) => {
+            const wa = roundTime(time - a.readySince);
+            const wb = roundTime(time - b.readySince);
+            const diff = (wb + b.cpuBurst) * a.cpuBurst - (wa + a.cpuBurst) * b.cpuBurst;
+            return (Math.abs(diff) < 1 / TIME_SCALE ? 0 : diff) || tieBreak(a, b);
+        };
+        const highest = (candidates, time) => {
+            let chosen = null;
+            for (const p of candidates) {
+                if (chosen === null || order(p, chosen, time) < 0) chosen = p;
+            }
+            return chosen;
+        };
+
+        // Instant a loser with a shorter burst catches up with the winner,
+        // moved earlier by the window in which order() rounds ratios to a tie
+        const overtakes = (winner, loser) => {
+            const gap = winner.cpuBurst - loser.cpuBurst;
+            if (gap <= 0) return Infinity;
+            const crossing = (loser.readySince * winner.cpuBurst - winner.readySince * loser.cpuBurst) / gap;
+            return crossing - (2 / gap + 1) / TIME_SCALE;
+        };
+        const tournament = kineticTournament(order, overtakes);
+
+        const remove = (p) => {
+            tournament.remove(p);
+            ready.delete(p);
+            if (p.pinned !== null) pinned--;
+        };
+
+        return {
+            preemptive: false,
+            add: (p, time) => {
+                p.readySince = time;
+                tournament.push(p, time);
+                ready.add(p);
+                if (p.pinned !== null) pinned++;
+            },
+            pick: (time, canRun = () => true) => {
+                // Processes pinned to other cores may hide the winner: scan all
+                const eligible = pinned > 0 ? [...ready].filter(canRun) : null;
+                const chosen = eligible ? highest(eligible, time) : tournament.peek(time);
+                if (chosen === null) return null;
+
+                const count = eligible ? eligible.length : ready.size;
+                const listed = count > MAX_LOGGED_CANDIDATES ? [chosen] : eligible || [...ready];
+                decisions.push({
+                    time,
+                    chosen: chosen.id,
+                    ratios: listed.map(p => ({
+                        process: p.id,
+                        waiting: roundTime(time - p.readySince),
+                        burst: p.cpuBurst,
+                        ratio: (time - p.readySince + p.cpuBurst) / p.cpuBurst
+                    })),
+                    candidates: count
+                });
+                remove(chosen);
+                return chosen;
+            },
+            preempts: () => false,
+            remove,
+            explain: (p, time) => `ratio ${((time - p.readySince + p.cpuBurst) / p.cpuBurst).toFixed(2)}`,
+            size: () => ready.size,
+            queue: () => [...ready],
+            report: () => ({ responseRatios: decisions })
+        };
+    }
+
+    /**
+     * Tickets a process holds for proportional-share scheduling
+     * Without an explicit `tickets` field the priority value is used.
+     * @param {Object} p - Process
+     * @returns {number} Positive number of tickets
+     */
+    function ticketsOf(p) {
+        return Math.max(1, parseInt(p.tickets ?? p.priority) || 1);
+    }
+
+    /**
+     * Lottery scheduling: at every quantum boundary one ticket is drawn from
+     * all tickets held by ready processes and its holder runs for a quantum
+     * @param {number} quantum - Time quantum
+     * @param {number} seed - Seed of the random draws, so a run can be reproduced
+     */
+    function lotteryPolicy(quantum, seed) {
+        const ready = weightedQueue();
+        const random = mulberry32(seed);
+        let pinned = 0;         // Ready processes with a core affinity
+
+        const remove = (p) => {
+            ready.remove(p);
+            if (p.pinned !== null) pinned--;
+        };
+
+        return {
+            preemptive: false,
+            quantum,
+            add: (p) => {
+                ready.push(p, ticketsOf(p));
+                if (p.pinned !== null) pinned++;
+            },
+            pick: (time, canRun = () => true) => {
+                let winner;
+                if (pinned === 0) {
+                    // Every ready process may run here: draw from the whole queue
+                    if (ready.size() === 0) return null;
+                    winner = ready.draw(Math.floor(random() * ready.total()));
+                } else {
+                    const eligible = ready.toArray().filter(canRun);
+                    if (eligible.length === 0) return null;
+
+                    const total = eligible.reduce((sum, p) => sum + ticketsOf(p), 0);
+                    let ticket = Math.floor(random() * total);
+                    winner = eligible.find(p => (ticket -= ticketsOf(p)) < 0);
+                }
+                remove(winner);
+                return winner;
+            },
+            preempts: () => false,
+            remove,
+            explain: (p) => `${ticketsOf(p)} ticket${ticketsOf(p) === 1 ? "" : "s"}`,
+            size: ready.size,
+            queue: ready.toArray,
+            report: () => ({ lotterySeed: seed })
+        };
+    }
+
+    /** Stride scheduling numerator: stride = STRIDE_CONSTANT / tickets */
+    const STRIDE_CONSTANT = 10000;
+
+    /**
+     * Stride scheduling: deterministic proportional share. The ready process
+     * with the lowest pass value runs for a quantum and its pass advances by
+     * its stride (when it rejoins the queue), so a process with twice the
+     * tickets runs twice as often.
+     * A process entering the queue for the first time starts at the pass of
+     * the last dispatch, so late arrivals cannot monopolize the CPU.
+     * @param {number} quantum - Time quantum
+     * @param {Function} tieBreak - Comparator for equal pass values
+     */
+    function stridePolicy(quantum, tieBreak) {
+        // Each process carries its pass value and the policy that set it (strideQueue)
+        let globalPass = 0;         // Pass of the most recent dispatch
+        const policy = comparatorPolicy((a, b) => a.pass - b.pass, false, tieBreak);
+        const { add, pick } = policy;
+
+        policy.quantum = quantum;
+        policy.add = (p, time, reason) => {
+            if (p.strideQueue !== policy) {
+                p.pass = globalPass;
+                p.strideQueue = policy;
+            } else if (reason !== "migrate") {
+                p.pass += Math.floor(STRIDE_CONSTANT / ticketsOf(p));
+            }
+            add(p, time, reason);
+        };
+        policy.pick = (time, canRun) => {
+            const p = pick(time, canRun);
+            if (p) globalPass = p.pass;
+            return p;
+        };
+        policy.explain = (p) => `pass ${p.pass}`;
+        return policy;
+    }
+
+    /** CFS load weight for nice values -20..19 (Linux sched_prio_to_weight) */
+    const NICE_WEIGHTS = [
+        88761, 71755, 56483, 46273, 36291, 29154, 23254, 18705, 14949, 11916,
+        9548, 7620, 6100, 4904, 3906, 3121, 2501, 1991, 1586, 1277,
+        1024, 820, 655, 526, 423, 335, 272, 215, 172, 137,
+        110, 87, 70, 56, 45, 36, 29, 23, 18, 15
+    ];
+
+    /** Weight of nice 0; a nice-0 process's vruntime advances at wall-clock speed */
+    const NICE_0_WEIGHT = 1024;
+
+    /**
+     * Nice value of a process, clamped to -20..19 (default 0)
+     * @param {Object} p - Process
+     * @returns {number} Nice value
+     */
+    function niceOf(p) {
+        return Math.min(Math.max(parseInt(p.nice) || 0, -20), 19);
+    }
+
+    /**
+     * CFS load weight of a process
+     * @param {Object} p - Process
+     * @returns {number} Weight from NICE_WEIGHTS
+     */
+    function weightOf(p) {
+        return NICE_WEIGHTS[niceOf(p) + 20];
+    }
+
+    /**
+     * CPU time a process in the simulator has executed so far, over all phases
+     * @param {Object} p - Simulated process (with phases, phase and remaining)
+     * @returns {number} Time units executed
+     */
+    function cpuDoneOf(p) {
+        let done = 0;
+        for (let i = 0; i <= p.phase; i++) {
+            const ph = p.phases[i];
+            if (ph.type === "cpu") done += i === p.phase ? ph.length - p.remaining : ph.length;
+        }
+        return done;
+    }
+
+    /**
+     * CFS - Completely Fair Scheduler (Linux style). Every process has a
+     * virtual runtime that grows by executed time * NICE_0_WEIGHT / weight,
+     * so lower-nice (heavier) processes age more slowly. The ready process with
+     * the smallest vruntime runs next, for a slice of
+     * targetLatency * weight / total runnable weight, but at least
+     * minGranularity. New processes start at min_vruntime, the smallest
+     * vruntime of the running and ready processes (never decreasing); a
+     * process waking from I/O keeps its vruntime, but no less than
+     * min_vruntime - targetLatency / 2 (sleeper credit).
+     * @param {Object} config
+     * @param {number} config.targetLatency - Period in which every runnable process runs once
+     * @param {number} config.minGranularity - Shortest slice
+     * @param {Function} config.tieBreak - Comparator for equal vruntimes
+     */
+    function fairPolicy({ targetLatency, minGranularity, tieBreak }) {
+        // Each process carries its vruntime, the CPU time already added to it
+        // (charged), its weight and the policy that set them (fairQueue)
+        const known = new Set();        // Processes queued here and not migrated away
+        let minVruntime = 0;            // Monotonic floor of the running and ready vruntimes
+        const onCpu = new Set();        // Processes picked and not requeued since
+        let readyWeight = 0;            // Total weight of the ready processes
+
+        const policy = comparatorPolicy((a, b) => a.vruntime - b.vruntime, false, tieBreak);
+        const { add, pick, remove } = policy;
+
+        // Add the CPU time a process executed since it was last charged
+        const charge = (p) => {
+            const done = cpuDoneOf(p);
+            p.vruntime += (done - p.charged) * NICE_0_WEIGHT / p.weight;
+            p.charged = done;
+        };
+
+        // Raise min_vruntime to the smallest vruntime among the processes still
+        // executing a CPU burst and the head of the ready queue
+        const updateMinVruntime = () => {
+            let floor = Infinity;
+            for (const p of onCpu) {
+                if (p.remaining > 0 && p.phases[p.phase].type === "cpu") {
+                    charge(p);
+                    floor = Math.min(floor, p.vruntime);
+                } else {
+                    onCpu.delete(p);    // Completed or blocked for I/O
+                }
+            }
+            const first = policy.peek();
+            if (first) floor = Math.min(floor, first.vruntime);
+            if (floor !== Infinity) minVruntime = Math.max(minVruntime, floor);
+        };
+
+        policy.add = (p, time, reason) => {
+            onCpu.delete(p);
+            updateMinVruntime();
+            if (p.fairQueue !== policy) {
+                // New here (or migrated from another core's queue)
+                p.vruntime = minVruntime;
+                p.charged = cpuDoneOf(p);
+                p.weight = weightOf(p);
+                p.fairQueue = policy;
+                known.add(p);
+            } else {
+                charge(p);
+                if (reason === "io") p.vruntime = Math.max(p.vruntime, minVruntime - targetLatency / 2);
+            }
+            readyWeight += p.weight;
+            add(p, time, reason);
+        };
+        policy.pick = (time, canRun) => {
+            const p = pick(time, canRun);
+            if (p) {
+                readyWeight -= p.weight;
+                onCpu.add(p);
+                updateMinVruntime();
+            }
+            return p;
+        };
+        // Taken away for migration: the process starts afresh if it comes back
+        policy.remove = (p) => {
+            remove(p);
+            known.delete(p);
+            p.fairQueue = null;
+            readyWeight -= p.weight;
+        };
+        // Ready processes were charged when queued (charging them again adds
+        // nothing); a running one is charged up to now
+        policy.explain = (p) => {
+            charge(p);
+            return `vruntime ${Math.round(p.vruntime * 100) / 100}`;
+        };
+        // p was just picked to run on its core: the runnable weight is its own
+        // plus that of this queue's ready processes (tasks running on other
+        // cores belong to their own run queues)
+        policy.quantumFor = (p) => {
+            const total = readyWeight + p.weight;
+            return Math.max(minGranularity, roundTime(targetLatency * p.weight / total));
+        };
+        policy.report = () => {
+            const final = {};
+            const weights = {};
+            known.forEach(p => {
+                charge(p);
+                final[p.id] = p.vruntime;
+                weights[p.id] = p.weight;
+            });
+            return { vruntime: final, weights };
+        };
+        return policy;
+    }
+
+    /** Queue classes for static Multilevel Queue scheduling, highest first */
+    const QUEUE_CLASSES = ["system", "interactive", "batch"];
+
+    /** Default levels for MLFQ / MLQ when none are configured */
+    const DEFAULT_LEVELS = [
+        { quantum: 2, policy: "RR" },
+        { quantum: 4, policy: "RR" },
+        { policy: "FCFS" }
+    ];
+
+    /**
+     * Whether a value is a valid process queue class: a class name or a level number
+     * @param {(string|number)} queueClass - Value of the process `queue` field
+     * @returns {boolean} True for "system" / "interactive" / "batch" or a non-negative integer
+     */
+    function isQueueClass(queueClass) {
+        if (typeof queueClass === "number") return Number.isInteger(queueClass) && queueClass >= 0;
+        if (typeof queueClass !== "string") return false;
+        const name = queueClass.trim().toLowerCase();
+        return QUEUE_CLASSES.includes(name) || /^\d+$/.test(name);
+    }
+
+    /**
+     * Map a process queue class ("system", "batch", or a level number) to a level
+     * @param {(string|number)} queueClass - Value of the process `queue` field
+     * @param {number} levelCount - Number of configured levels
+     * @returns {number} Level index, clamped to the available levels
+     */
+    function queueClassLevel(queueClass, levelCount) {
+        const named = QUEUE_CLASSES.indexOf(String(queueClass).toLowerCase());
+        const level = named >= 0 ? named : parseInt(queueClass) || 0;
+        return Math.min(Math.max(level, 0), levelCount - 1);
+    }
+
+    /**
+     * Several FIFO queues served in strict priority order (level 0 first).
+     * A process in a higher level preempts one running from a lower level.
+     * Each level is RR with its own quantum, or FCFS (runs to completion).
+     *
+     * @param {Array} levels - [{ quantum, policy: "RR" | "FCFS" }], highest first
+     * @param {Object} config
+     * @param {Function} config.initialLevel - p => level a process starts in
+     * @param {boolean} config.feedback - Demote one level on quantum expiry (MLFQ)
+     * @param {number} config.boostInterval - Move everything to level 0 every
+     *                                        N time units (0 = never)
+     *
+     * A boost costs O(levels), not O(processes): each level is a chain of FIFO
+     * queues, and a boost appends the lower levels' queues to level 0's chain.
+     * A process's level is stamped with the boost count when set, and a queued
+     * process stamped before the latest boost is at level 0.
+     */
+    function multilevelPolicy(levels, { initialLevel, feedback, boostInterval }) {
+        const queues = levels.map(() => queueChain());
+        const level = new Map();    // process -> level when last set
+        const stamp = new Map();    // process -> boosts when its level was set
+        let boosts = 0;
+        let count = 0;              // Processes in all queues
+
+        const levelOf = (p) => stamp.get(p) === boosts ? level.get(p) : 0;
+        const setLevel = (p, l) => {
+            level.set(p, l);
+            stamp.set(p, boosts);
+        };
+        const highestReady = (canRun) => queues.findIndex(chain => chain.some(canRun));
+        // Boosts fall on whole multiples of the (possibly fractional) interval
+        const boostsAt = (time) => boostInterval > 0 && time > 0 &&
+            roundTime(Math.round(time / boostInterval) * boostInterval) === time;
+
+        return {
+            preemptive: true,
+            // A process outside the queues keeps its level: boosts while it
+            // runs are applied in tick(), and one blocked on I/O is not boosted
+            add: (p, time, reason) => {
+                const l = level.has(p) ? level.get(p) : initialLevel(p);
+                const demoted = feedback && reason === "quantum" ? Math.min(l + 1, levels.length - 1) : l;
+                setLevel(p, demoted);
+                queues[demoted].push(p);
+                count++;
+            },
+            pick: (time, canRun = () => true) => {
+                const l = highestReady(canRun);
+                if (l < 0) return null;
+                const p = queues[l].take(canRun);
+                setLevel(p, l);
+                count--;
+                return p;
+            },
+            preempts: (p, time, canRun = () => true) => {
+                const l = highestReady(canRun);
+                return l >= 0 && l < levelOf(p);
+            },
+            explain: (p) => `Q${levelOf(p)}`,
+            compare: (a, b) => levelOf(a) - levelOf(b),
+            remove: (p) => {
+                const l = levelOf(p);
+                if (queues[l].remove(p)) count--;
+                setLevel(p, l);
+            },
+            quantumFor: (p) => {
+                const config = levels[levelOf(p)];
+                return config.policy === "FCFS" ? Infinity : config.quantum;
+            },
+            tick: (time, running) => {
+                if (!boostsAt(time)) return [];
+
+                // Priority boost: every process (ready or running) returns to
+                // level 0, the ready ones in level order
+                boosts++;
+                for (let l = 1; l < queues.length; l++) queues[0].append(queues[l].drain());
+                for (const p of running) if (level.has(p)) setLevel(p, 0);
+                return [{ type: "boost" }];
+            },
+            nextTick: (time) => boostInterval
+                ? roundTime((Math.floor(roundTime(time / boostInterval)) + 1) * boostInterval)
+                : Infinity,
+            levelOf,
+            size: () => count,
+            queue: () => queues.flatMap(chain => chain.toArray()),
+            queues: () => queues.map((chain, i) => ({
+                name: feedback ? `Q${i}` : `Q${i} · ${QUEUE_CLASSES[i] || "user"}`,
+                ready: chain.toArray().map(p => p.id)
+            }))
+        };
+    }
+
+    /* ============================================================================
+       SCHEDULING ALGORITHMS
+       Each algorithm is a policy factory: (options) => policy
+    ============================================================================ */
+
+    /**
+     * Tie-breaking comparator selected by { tieBreak: "arrival" | "pid" | "insertion" }
+     * @param {Object} options - Algorithm options
+     * @returns {Function} Comparator (defaults to earlier arrival)
+     */
+    function tieBreakerFor(options) {
+        return TIE_BREAKERS[options.tieBreak] || TIE_BREAKERS.arrival;
+    }
+
+    /**
+     * Attach an explain() hook to a policy
+     * @param {Object} policy - Ready-queue policy
+     * @param {Function} explain - (p, time) => description of p's scheduling key
+     * @returns {Object} The same policy
+     */
+    function explained(policy, explain) {
+        policy.explain = explain;
+        return policy;
+    }
+
+    /** Algorithm identifiers accepted by run(), mapped to their policy factory */
+    const ALGORITHMS = {
+        // FCFS - First Come First Served (Non-Preemptive): ready-queue order
+        FCFS: () => comparatorPolicy(() => 0, false),
+
+        // SJF - Shortest Job First (Non-Preemptive): shortest (next CPU) burst time
+        SJF: (options) => explained(
+            comparatorPolicy((a, b) => a.cpuBurst - b.cpuBurst, false, tieBreakerFor(options)),
+            p => `burst ${p.cpuBurst}`
+        ),
+
+        // SRTF - Shortest Remaining Time First (Preemptive SJF)
+        SRTF: (options) => explained(
+            comparatorPolicy((a, b) => a.remaining - b.remaining, true, tieBreakerFor(options)),
+            p => `remaining ${p.remaining}`
+        ),
+
+        // LJF - Longest Job First (Non-Preemptive): longest (next CPU) burst time
+        LJF: (options) => explained(
+            comparatorPolicy((a, b) => b.cpuBurst - a.cpuBurst, false, tieBreakerFor(options)),
+            p => `burst ${p.cpuBurst}`
+        ),
+
+        // LRTF - Longest Remaining Time First (Preemptive LJF)
+        LRTF: (options) => {
+            const policy = explained(
+                comparatorPolicy((a, b) => b.remaining - a.remaining, true, tieBreakerFor(options)),
+                p => `remaining ${p.remaining}`
+            );
+            // The running process is preempted once its remaining time drops
+            // below the longest waiting one's (at the next instant on the grid)
+            policy.holdFor = (p, time, canRun, resolution) => {
+                const next = policy.peek(canRun);
+                return next ? roundTime(p.remaining - next.remaining + resolution) : Infinity;
+            };
+            return policy;
+        },
+
+        // HRRN - Highest Response Ratio Next (Non-Preemptive): (waiting + burst) / burst
+        HRRN: (options) => responseRatioPolicy(tieBreakerFor(options)),
+
+        // Priority Scheduling: preemptive unless { priorityPreemptive: false },
+        // lower number = higher priority unless { higherPriorityFirst: true },
+        // optionally aged by { agingInterval, agingStep }
+        Priority: (options) => agingPriorityPolicy({
+            preemptive: options.priorityPreemptive !== false,
+            higherFirst: !!options.higherPriorityFirst,
+            tieBreak: tieBreakerFor(options),
+            interval: options.agingInterval || 0,
+            step: options.agingStep || 1
+        }),
+
+        // Round Robin (Preemptive): fixed time quantum in circular order
+        RoundRobin: (options) => roundRobinPolicy(options.timeQuantum || 2),
+
+        // MLFQ - Multilevel Feedback Queue: start at the top, demote on quantum expiry
+        MLFQ: (options) => multilevelPolicy(options.levels || DEFAULT_LEVELS, {
+            initialLevel: () => 0,
+            feedback: true,
+            boostInterval: options.boostInterval || 0
+        }),
+
+        // MLQ - Multilevel Queue: fixed level from each process's queue class
+        MLQ: (options) => {
+            const levels = options.levels || DEFAULT_LEVELS;
+            return multilevelPolicy(levels, {
+                initialLevel: (p) => queueClassLevel(p.queue, levels.length),
+                feedback: false,
+                boostInterval: 0
+            });
+        },
+
+        // Lottery (Preemptive per quantum): seeded random draw weighted by tickets
+        Lottery: (options) => lotteryPolicy(options.timeQuantum || 2, parseInt(options.lotterySeed) || 1),
+
+        // Stride (Preemptive per quantum): lowest pass value, stride = L / tickets
+        Stride: (options) => stridePolicy(options.timeQuantum || 2, tieBreakerFor(options)),
+
+        // CFS - Completely Fair Scheduler: smallest nice-weighted virtual runtime,
+        // slices sized by { targetLatency, minGranularity }
+        CFS: (options) => fairPolicy({
+            targetLatency: options.targetLatency || 6,
+            minGranularity: options.minGranularity || 1,
+            tieBreak: tieBreakerFor(options)
+        }),
+
+        // EDF - Earliest Deadline First (Preemptive): earliest absolute job deadline
+        EDF: (options) => explained(
+            deadlinePolicy(
+                (a, b) => deadlineKey(a.absoluteDeadline) - deadlineKey(b.absoluteDeadline),
+                tieBreakerFor(options)
+            ),
+            p => p.absoluteDeadline === undefined ? "no deadline" : `deadline ${p.absoluteDeadline}`
+        ),
+
+        // RM - Rate Monotonic (Preemptive): shorter period = higher fixed priority
+        RM: (options) => explained(
+            deadlinePolicy(
+                (a, b) => deadlineKey(a.period) - deadlineKey(b.period),
+                tieBreakerFor(options)
+            ),
+            p => p.period === undefined ? "no period" : `period ${p.period}`
+        )
+    };
+
+    /**
+     * Sort key for an optional deadline or period; jobs without one go last
+     * @param {number} [value] - Absolute deadline or period
+     * @returns {number} The value, or a number larger than any real one
+     */
+    function deadlineKey(value) {
+        return value === undefined ? Number.MAX_SAFE_INTEGER : value;
+    }
+
+    /**
+     * FCFS - First Come First Served (Non-Preemptive)
+     * @param {Array} processes - Processes to schedule
+     * @returns {Array} Timeline of process execution
+     */
+    function fcfs(processes) {
+        return simulate(processes, ALGORITHMS.FCFS({})).timeline;
+    }
+
+    /**
+     * SJF - Shortest Job First (Non-Preemptive)
+     * @param {Array} processes - Processes to schedule
+     * @returns {Array} Timeline of process execution
+     */
+    function sjf(processes) {
+        return simulate(processes, ALGORITHMS.SJF({})).timeline;
+    }
+
+    /**
+     * SRTF - Shortest Remaining Time First (Preemptive SJF)
+     * @param {Array} processes - Processes to schedule
+     * @returns {Array} Timeline of process execution
+     */
+    function srtf(processes) {
+        return simulate(processes, ALGORITHMS.SRTF({})).timeline;
+    }
+
+    /**
+     * Priority Scheduling (Preemptive, lower number = higher priority)
+     * @param {Array} processes - Processes to schedule
+     * @returns {Array} Timeline of process execution
+     */
+    function priority(processes) {
+        return simulate(processes, ALGORITHMS.Priority({})).timeline;
+    }
+
+    /**
+     * Round Robin (Preemptive)
+     * @param {Array} processes - Processes to schedule
+     * @param {number} tq - Time quantum
+     * @returns {Array} Timeline of process execution
+     */
+    function roundRobin(processes, tq) {
+        return simulate(processes, ALGORITHMS.RoundRobin({ timeQuantum: tq })).timeline;
+    }
+
+    /**
+     * HRRN - Highest Response Ratio Next (Non-Preemptive)
+     * @param {Array} processes - Processes to schedule
+     * @returns {Array} Timeline of process execution
+     */
+    function hrrn(processes) {
+        return simulate(processes, ALGORITHMS.HRRN({})).timeline;
+    }
+
+    /**
+     * LJF - Longest Job First (Non-Preemptive)
+     * @param {Array} processes - Processes to schedule
+     * @returns {Array} Timeline of process execution
+     */
+    function ljf(processes) {
+        return simulate(processes, ALGORITHMS.LJF({})).timeline;
+    }
+
+    /**
+     * LRTF - Longest Remaining Time First (Preemptive LJF)
+     * @param {Array} processes - Processes to schedule
+     * @returns {Array} Timeline of process execution
+     */
+    function lrtf(processes) {
+        return simulate(processes, ALGORITHMS.LRTF({})).timeline;
+    }
+
+    /* ============================================================================
+       METRICS
+    ============================================================================ */
+
+    /**
+     * Nearest-rank percentile of a list of values
+     * @param {Array<number>} values - Values in any order
+     * @param {number} p - Percentile, 0-100
+     * @returns {number} Smallest value with at least p% of the values at or below it (0 if empty)
+     */
+    function percentile(values, p) {
+        if (!values.length) return 0;
+        const sorted = [...values].sort((a, b) => a - b);
+        return sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+    }
+
+    /**
+     * Jain's fairness index: 1 when every value is equal, down to 1/n when one
+     * value takes everything
+     * @param {Array<number>} values - Non-negative values, one per process
+     * @returns {number} (Σx)² / (n · Σx²), or 1 for an empty or all-zero list
+     */
+    function jainIndex(values) {
+        const sum = values.reduce((s, v) => s + v, 0);
+        const squares = values.reduce((s, v) => s + v * v, 0);
+        return squares ? (sum * sum) / (values.length * squares) : 1;
+    }
+
+    /**
+     * Calculate performance metrics for a finished timeline
+     * Computes waiting time, turnaround time, response time, and CPU utilization.
+     * Time spent blocked (queued for or doing I/O) is reported separately and
+     * is not counted as waiting time. Segments tagged with a `core` are treated
+     * as a multiprocessor run: utilization is reported per core and overall.
+     * Beyond the averages it reports throughput, the maximum and 95th
+     * percentile waiting time, normalized turnaround (turnaround / CPU burst)
+     * with Jain's fairness index over it, and preemptions per process.
+     * @param {Array} processes - Processes that were scheduled
+     * @param {Array} timeline - Timeline returned by one of the algorithms
+     * @param {Array} [ioTimeline] - I/O device segments, for processes with I/O
+     * @returns {Object} Averages, totals and a per-process breakdown
+     */
+    function calculateMetrics(processes, timeline, ioTimeline = []) {
+        const completion = new Map();   // Completion time for each process
+        const firstRun = new Map();     // First execution time for each process
+
+        // Find completion and response times from timeline
+        timeline.forEach(item => {
+            if (isProcessSegment(item)) {
+                completion.set(item.process, item.end);
+                if (!firstRun.has(item.process)) firstRun.set(item.process, item.start);
+            }
+        });
+
+        // Blocked time: from the end of a CPU burst until its I/O completes
+        const blockedTime = new Map();
+        ioTimeline.forEach(item => {
+            blockedTime.set(item.process, roundTime((blockedTime.get(item.process) || 0) + (item.end - item.queued)));
+        });
+
+        // Preemptions: a process stops running with CPU work left and without
+        // blocking on I/O, and something else runs before it resumes. Back-to-back
+        // segments of one process are one run, as are segments separated only by
+        // its own re-dispatch (the switch overhead of a quantum it kept).
+        const blockedAt = new Map();    // Process -> instants it blocked for I/O
+        ioTimeline.forEach(item => {
+            if (!blockedAt.has(item.process)) blockedAt.set(item.process, new Set());
+            blockedAt.get(item.process).add(item.queued);
+        });
+        const ownDispatch = new Map();  // Process -> end -> start of a switch into it from itself
+        timeline.forEach(item => {
+            if (item.process === CONTEXT_SWITCH && item.from === item.to) {
+                if (!ownDispatch.has(item.to)) ownDispatch.set(item.to, new Map());
+                ownDispatch.get(item.to).set(item.end, item.start);
+            }
+        });
+        const lastEnd = new Map();      // Process -> end of its latest segment
+        const preemptions = new Map();
+        timeline.forEach(item => {
+            if (!isProcessSegment(item)) return;
+            const end = lastEnd.get(item.process);
+            const blocked = blockedAt.get(item.process);
+            const own = ownDispatch.get(item.process);
+            if (end !== undefined && end !== item.start && !(blocked && blocked.has(end)) &&
+                !(own && own.get(item.start) === end)) {
+                preemptions.set(item.process, (preemptions.get(item.process) || 0) + 1);
+            }
+            lastEnd.set(item.process, item.end);
+        });
+
+        let totalWait = 0;
+        let totalTurn = 0;
+        let totalResp = 0;
+        let totalBlocked = 0;
+
+        // Calculate metrics for each process
+        const perProcess = processes.map(p => {
+            // A process without work completes on arrival, without running
+            const c = completion.get(p.id) ?? p.arrival;
+            const cpu = cpuTimeOf(p);
+            const blocked = blockedTime.get(p.id) || 0;
+            const tat = roundTime(c - p.arrival);                 // Turnaround Time
+            const wt = roundTime(tat - cpu - blocked);            // Waiting Time (ready queue)
+            const start = firstRun.get(p.id);
+            const rt = roundTime((start ?? p.arrival) - p.arrival); // Response Time
+
+            totalBlocked += blocked;
+            totalWait += wt;
+            totalTurn += tat;
+            totalResp += rt;
+
+            return {
+                id: p.id,
+                arrival: p.arrival,
+                burst: cpu,
+                start,
+                completion: c,
+                waiting: wt,
+                turnaround: tat,
+                response: rt,
+                blocked,
+                normalizedTurnaround: cpu ? tat / cpu : 1,
+                preemptions: preemptions.get(p.id) || 0
+            };
+        });
+        const waits = perProcess.map(p => p.waiting);
+        const normalized = perProcess.map(p => p.normalizedTurnaround);
+
+        const totalTime = timeline.reduce((latest, t) => Math.max(latest, t.end), 0);
+        const totalBurst = perProcess.reduce((s, p) => s + p.burst, 0);
+        const count = processes.length || 1;
+        const coreCount = timeline.reduce((n, item) => Math.max(n, (item.core || 0) + 1), 1);
+
+        // Context switches: a core starts running a different process than the
+        // last one it ran (idle gaps in between do not count as a process)
+        let contextSwitches = 0;
+        const lastProcess = {};     // core -> last process it ran
+        const busyTime = new Array(coreCount).fill(0);
+        timeline.forEach(item => {
+            if (!isProcessSegment(item)) return;
+            const core = item.core || 0;
+            if (lastProcess[core] !== undefined && item.process !== lastProcess[core]) contextSwitches++;
+            lastProcess[core] = item.process;
+            busyTime[core] = roundTime(busyTime[core] + item.end - item.start);
+        });
+
+        // Time the CPU spent on switching overhead (not counted as useful work)
+        const switchTime = timeline
+            .filter(item => item.process === CONTEXT_SWITCH)
+            .reduce((sum, item) => roundTime(sum + (item.end - item.start)), 0);
+
+        return {
+            avgWait: totalWait / count,
+            avgTurn: totalTurn / count,
+            avgResp: totalResp / count,
+            avgBlocked: totalBlocked / count,
+            avgNormTurn: normalized.reduce((s, v) => s + v, 0) / count,
+            maxWait: waits.length ? Math.max(...waits) : 0,
+            p95Wait: percentile(waits, 95),
+            fairness: jainIndex(normalized),
+            throughput: totalTime ? processes.length / totalTime : 0,
+            preemptions: perProcess.reduce((s, p) => s + p.preemptions, 0),
+            totalTime,
+            totalTurnSum: roundTime(totalTurn),
+            cpuUtil: totalTime ? (totalBurst / (totalTime * coreCount)) * 100 : 0,
+            coreUtil: busyTime.map(busy => totalTime ? (busy / totalTime) * 100 : 0),
+            contextSwitches,
+            switchTime,
+            responseTime: Object.fromEntries(firstRun),
+            perProcess
+        };
+    }
+
+    /**
+     * What each process was doing over time, in the classic process states:
+     * new (not arrived yet), ready (in the ready queue, including switching
+     * overhead), running, or blocked (waiting for or using the I/O device).
+     * The segments of a process are contiguous from 0 to its completion, so
+     * its "ready" segments add up to its waiting time.
+     * @param {Array} processes - Processes that were scheduled
+     * @param {Array} timeline - Timeline of the run (all cores)
+     * @param {Array} [ioTimeline] - I/O device segments
+     * @returns {Array} [{ id, segments: [{ state, start, end, core? }] }] in process order
+     */
+    function processStates(processes, timeline, ioTimeline = []) {
+        const busy = {};    // id -> running and blocked intervals
+        const record = (id, interval) => (busy[id] = busy[id] || []).push(interval);
+        timeline.forEach(item => {
+            if (!isProcessSegment(item)) return;
+            const interval = { state: "running", start: item.start, end: item.end };
+            if (item.core !== undefined) interval.core = item.core;
+            record(item.process, interval);
+        });
+        ioTimeline.forEach(item => record(item.process, { state: "blocked", start: item.queued, end: item.end }));
+
+        return processes.map(p => {
+            const segments = [];
+            if (p.arrival > 0) segments.push({ state: "new", start: 0, end: p.arrival });
+
+            let time = p.arrival;
+            (busy[p.id] || []).sort((a, b) => a.start - b.start).forEach(interval => {
+                if (interval.start > time) segments.push({ state: "ready", start: time, end: interval.start });
+                segments.push(interval);
+                time = interval.end;
+            });
+            return { id: p.id, segments };
+        });
+    }
+
+    /* ============================================================================
+       REAL-TIME SCHEDULING
+       A process with a `period` is a periodic task: it releases a job of
+       `burst` time units every period, starting at its arrival time (the
+       task's phase), and each job must finish within `deadline` time units of
+       its release (defaults to the period). EDF and RM simulate the jobs
+       released during one hyperperiod after the last phase.
+    ============================================================================ */
+
+    /** Algorithms that schedule periodic tasks as individual jobs */
+    const REALTIME_ALGORITHMS = ["EDF", "RM"];
+
+    /** Longest hyperperiod that is simulated, in time units */
+    const MAX_HYPERPERIOD = 2000;
+
+    /**
+     * Period of a process
+     * @param {Object} p - Process
+     * @returns {number} Period on the time grid, 0 when it is not a periodic task
+     */
+    function periodOf(p) {
+        const period = roundTime(Number(p.period));
+        return period > 0 ? period : 0;
+    }
+
+    /**
+     * Relative deadline a process was given
+     * @param {Object} p - Process
+     * @returns {(number|undefined)} Deadline on the time grid, if positive
+     */
+    function deadlineOf(p) {
+        const deadline = roundTime(Number(p.deadline));
+        return deadline > 0 ? deadline : undefined;
+    }
+
+    /**
+     * Whether a process is a periodic task
+     * @param {Object} p - Process
+     * @returns {boolean} True when it has a positive period
+     */
+    function isPeriodic(p) {
+        return periodOf(p) > 0;
+    }
+
+    /**
+     * Least common multiple of the periods of all periodic tasks, taken in
+     * units of the time resolution so fractional periods have one too
+     * @param {Array} processes - Processes, of which the periodic ones count
+     * @returns {number} Hyperperiod (1 when there are no periodic tasks)
+     */
+    function hyperperiod(processes) {
+        const gcd = (a, b) => b ? gcd(b, a % b) : a;
+        const periods = processes.filter(isPeriodic).map(p => Math.round(periodOf(p) * TIME_SCALE));
+        if (periods.length === 0) return 1;
+        return roundTime(periods.reduce((h, period) => h / gcd(h, period) * period) / TIME_SCALE);
+    }
+
+    /**
+     * Instant periodic tasks stop releasing jobs at: one hyperperiod after
+     * the latest first release
+     * @param {Array} processes - Processes and periodic tasks
+     * @returns {number} Release horizon
+     * @throws {Error} If the hyperperiod is longer than MAX_HYPERPERIOD
+     */
+    function releaseHorizon(processes) {
+        const length = hyperperiod(processes);
+        if (length > MAX_HYPERPERIOD) {
+            throw new Error(`Hyperperiod of ${length} is too long to simulate (limit ${MAX_HYPERPERIOD})`);
+        }
+        return processes.filter(isPeriodic)
+            .reduce((latest, p) => Math.max(latest, p.arrival), 0) + length;
+    }
+
+    /**
+     * Expand periodic tasks into the jobs they release over the hyperperiod
+     * Job IDs are "<task>#<n>" (T1#1, T1#2, ...); processes without a period
+     * stay a single job, with an absolute deadline only if they have a `deadline`.
+     * @param {Array} processes - Processes and periodic tasks
+     * @returns {Array} Jobs: processes with { task, period, absoluteDeadline }
+     * @throws {Error} If the hyperperiod is longer than MAX_HYPERPERIOD
+     */
+    function expandPeriodicTasks(processes) {
+        const horizon = releaseHorizon(processes);
+
+        return processes.flatMap(p => {
+            const deadline = deadlineOf(p);
+            if (!isPeriodic(p)) {
+                const job = { ...p, task: p.id };
+                if (deadline) job.absoluteDeadline = roundTime(p.arrival + deadline);
+                return [job];
+            }
+
+            const period = periodOf(p);
+            const jobs = [];
+            for (let release = p.arrival, n = 1; release < horizon; release = roundTime(release + period), n++) {
+                jobs.push({
+                    ...p,
+                    id: `${p.id}#${n}`,
+                    task: p.id,
+                    arrival: release,
+                    period,
+                    absoluteDeadline: roundTime(release + (deadline || period))
+                });
+            }
+            return jobs;
+        });
+    }
+
+    /**
+     * Size of the workload expandPeriodicTasks() creates, without creating it
+     * (the UI uses it to decide whether a run is small enough to trace)
+     * @param {Array} processes - Processes and periodic tasks
+     * @returns {{jobs: number, horizon: number}} Number of jobs, and the release horizon
+     * @throws {Error} If the hyperperiod is longer than MAX_HYPERPERIOD
+     */
+    function periodicWorkloadSize(processes) {
+        const horizon = releaseHorizon(processes);
+        const jobs = processes.reduce((count, p) => count + (isPeriodic(p)
+            ? Math.ceil(roundTime((horizon - p.arrival) / periodOf(p)))
+            : 1), 0);
+        return { jobs, horizon };
+    }
+
+    /**
+     * Jobs that completed after their absolute deadline
+     * @param {Array} jobs - Jobs returned by expandPeriodicTasks()
+     * @param {Array} timeline - Timeline of the run
+     * @returns {Array} [{ process, task, deadline, completion, core? }] by deadline
+     */
+    function findDeadlineMisses(jobs, timeline) {
+        const last = {};    // job -> its last timeline segment
+        timeline.forEach(item => {
+            if (isProcessSegment(item)) last[item.process] = item;
+        });
+
+        return jobs
+            .filter(job => job.absoluteDeadline !== undefined && last[job.id] &&
+                last[job.id].end > job.absoluteDeadline)
+            .map(job => {
+                const miss = {
+                    process: job.id,
+                    task: job.task,
+                    deadline: job.absoluteDeadline,
+                    completion: last[job.id].end
+                };
+                if (last[job.id].core !== undefined) miss.core = last[job.id].core;
+                return miss;
+            })
+            .sort((a, b) => a.deadline - b.deadline);
+    }
+
+    /**
+     * Utilization-based schedulability test for a periodic task set
+     *   RM:  U <= n(2^(1/n) - 1) (Liu & Layland) is sufficient; U > 1 never fits
+     *   EDF: U <= 1 is exact when every deadline equals or exceeds the period
+     * Deadlines shorter than the period make a passing test inconclusive.
+     * @param {string} algorithm - "EDF" or "RM"
+     * @param {Array} processes - Processes, of which the periodic ones are tested
+     * @returns {(Object|null)} { algorithm, tasks, utilization, bound, test,
+     *          verdict: "schedulable" | "not schedulable" | "inconclusive",
+     *          hyperperiod }, or null without periodic tasks
+     */
+    function schedulabilityReport(algorithm, processes) {
+        const tasks = processes.filter(isPeriodic).map(p => {
+            const period = periodOf(p);
+            const execution = cpuTimeOf(p);
+            return {
+                id: p.id,
+                period,
+                execution,
+                deadline: deadlineOf(p) ?? period,
+                utilization: execution / period
+            };
+        });
+        if (tasks.length === 0) return null;
+
+        const n = tasks.length;
+        const utilization = tasks.reduce((sum, t) => sum + t.utilization, 0);
+        const implicitDeadlines = tasks.every(t => t.deadline >= t.period);
+        const bound = algorithm === "RM" ? n * (2 ** (1 / n) - 1) : 1;
+
+        let verdict;
+        if (utilization > 1) verdict = "not schedulable";
+        else if (utilization <= bound && implicitDeadlines) verdict = "schedulable";
+        else if (algorithm === "EDF" && implicitDeadlines) verdict = "not schedulable";
+        else verdict = "inconclusive";
+
+        return {
+            algorithm,
+            tasks,
+            utilization,
+            bound,
+            test: algorithm === "RM" ? "U ≤ n(2^(1/n) − 1)" : "U ≤ 1",
+            implicitDeadlines,
+            verdict,
+            hyperperiod: hyperperiod(processes)
+        };
+    }
+
+    /* ============================================================================
+       PROPORTIONAL SHARE
+       Lottery and Stride scheduling aim to give each process a CPU share in
+       proportion to its tickets
+    ============================================================================ */
+
+    /** Algorithms whose results include received vs expected CPU share */
+    const PROPORTIONAL_SHARE_ALGORITHMS = ["Lottery", "Stride"];
+
+    /**
+     * CPU share each process received compared with its ticket share
+     * Both are measured per time unit while the process is in the system
+     * (arrival to completion): the expected share at an instant is its
+     * tickets over the tickets of every process present at that instant,
+     * the received share is its CPU time over all CPU time used meanwhile.
+     * @param {Array} processes - Processes that were scheduled
+     * @param {Array} timeline - Timeline of the run
+     * @returns {Object} id -> { tickets, expected, received } (fractions 0-1)
+     */
+    function proportionalShares(processes, timeline) {
+        // Instants where the tickets present or the busy cores change
+        const changes = new Map();  // time -> { tickets, busy } deltas
+        const change = (time, field, delta) => {
+            if (!changes.has(time)) changes.set(time, { tickets: 0, busy: 0 });
+            changes.get(time)[field] += delta;
+        };
+
+        const completion = {};
+        timeline.forEach(item => {
+            if (!isProcessSegment(item)) return;
+            completion[item.process] = item.end;
+            change(item.start, "busy", 1);
+            change(item.end, "busy", -1);
+        });
+        processes.forEach(p => {
+            change(p.arrival, "tickets", ticketsOf(p));
+            change(completion[p.id], "tickets", -ticketsOf(p));
+        });
+
+        // Running integrals up to each change: sum of 1 / tickets present
+        // and CPU time used (all cores); both are constant between changes
+        const inverse = new Map();
+        const used = new Map();
+        let tickets = 0, busy = 0, inverseSum = 0, usedSum = 0, previous = 0;
+        [...changes.keys()].sort((a, b) => a - b).forEach(time => {
+            if (tickets > 0) inverseSum += (time - previous) / tickets;
+            usedSum += (time - previous) * busy;
+            inverse.set(time, inverseSum);
+            used.set(time, usedSum);
+            tickets += changes.get(time).tickets;
+            busy += changes.get(time).busy;
+            previous = time;
+        });
+
+        const shares = {};
+        processes.forEach(p => {
+            const span = completion[p.id] - p.arrival;
+            const usedMeanwhile = used.get(completion[p.id]) - used.get(p.arrival);
+            shares[p.id] = {
+                tickets: ticketsOf(p),
+                expected: span ? ticketsOf(p) * (inverse.get(completion[p.id]) - inverse.get(p.arrival)) / span : 0,
+                received: usedMeanwhile ? cpuTimeOf(p) / usedMeanwhile : 0
+            };
+        });
+        return shares;
+    }
+
+    /* ============================================================================
+       WORKLOAD GENERATOR
+       Seeded random workloads, so the same seed always reproduces the same
+       processes (in the browser and in Node alike)
+    ============================================================================ */
+
+    /**
+     * Small seeded pseudo-random number generator (mulberry32)
+     * @param {number} seed - 32-bit integer seed
+     * @returns {Function} () => float in [0, 1)
+     */
+    function mulberry32(seed) {
+        let state = seed >>> 0;
+        return function () {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /** Most processes generateWorkload() creates at once (the engine's large-workload target) */
+    const MAX_GENERATED_PROCESSES = 10000;
+
+    /** Distributions accepted by generateWorkload() */
+    const ARRIVAL_DISTRIBUTIONS = ["uniform", "poisson"];
+    const BURST_DISTRIBUTIONS = ["uniform", "exponential", "bimodal"];
+
+    /**
+     * Generate a random workload that is fully determined by its options
+     *
+     * Arrivals are uniform over [0, arrivalMax], or a Poisson process whose
+     * inter-arrival times are exponential with mean `meanInterArrival`.
+     * Bursts are uniform over [burstMin, burstMax], exponential with mean
+     * `meanBurst`, or bimodal: a `cpuBoundShare` fraction of long CPU-bound
+     * bursts from the top quarter of the range, the rest short I/O-bound
+     * bursts from the bottom quarter.
+     *
+     * @param {Object} options
+     * @param {number} options.count - Number of processes (1 to MAX_GENERATED_PROCESSES)
+     * @param {number} options.seed - PRNG seed
+     * @param {string} [options.arrivalDistribution] - "uniform" | "poisson"
+     * @param {number} [options.arrivalMax] - Latest arrival (uniform)
+     * @param {number} [options.meanInterArrival] - Mean gap between arrivals (poisson)
+     * @param {string} [options.burstDistribution] - "uniform" | "exponential" | "bimodal"
+     * @param {number} [options.burstMin] - Shortest burst (uniform / bimodal)
+     * @param {number} [options.burstMax] - Longest burst (uniform / bimodal)
+     * @param {number} [options.meanBurst] - Mean burst (exponential)
+     * @param {number} [options.cpuBoundShare] - Fraction of CPU-bound processes (bimodal)
+     * @param {number} [options.priorityMin] - Lowest priority value (omit for priority 1)
+     * @param {number} [options.priorityMax] - Highest priority value
+     * @param {number} [options.firstId] - Number of the first process ID (P1 by default)
+     * @returns {Array} Processes { id, arrival, burst, priority }, in arrival order
+     * @throws {Error} If the count or a distribution is invalid
+     */
+    function generateWorkload(options) {
+        const {
+            count, seed,
+            arrivalDistribution = "uniform", arrivalMax = 10, meanInterArrival = 2,
+            burstDistribution = "uniform", burstMin = 1, burstMax = 10, meanBurst = 5,
+            cpuBoundShare = 0.3, priorityMin, priorityMax, firstId = 1
+        } = options;
+
+        if (!(Number.isInteger(count) && count >= 1 && count <= MAX_GENERATED_PROCESSES)) {
+            throw new Error(`Number of processes must be between 1 and ${MAX_GENERATED_PROCESSES}`);
+        }
+        if (!ARRIVAL_DISTRIBUTIONS.includes(arrivalDistribution)) {
+            throw new Error(`Unknown arrival distribution: ${arrivalDistribution}`);
+        }
+        if (!BURST_DISTRIBUTIONS.includes(burstDistribution)) {
+            throw new Error(`Unknown burst distribution: ${burstDistribution}`);
+        }
+
+        const random = mulberry32(seed);
+        const integer = (min, max) => min + Math.floor(random() * (max - min + 1));
+        const exponential = (mean) => -mean * Math.log(1 - random());
+
+        const low = Math.max(1, Math.min(burstMin, burstMax));
+        const high = Math.max(low, burstMax);
+        const quarter = Math.floor((high - low) / 4);
+
+        // Arrival times
+        let arrivals;
+        if (arrivalDistribution === "poisson") {
+            let clock = 0;
+            arrivals = Array.from({ length: count }, (_, i) => {
+                if (i > 0) clock += exponential(meanInterArrival);
+                return Math.round(clock);
+            });
+        } else {
+            arrivals = Array.from({ length: count }, () => integer(0, Math.max(0, arrivalMax)))
+                .sort((a, b) => a - b);
+        }
+
+        return arrivals.map((arrival, i) => {
+            // Burst time
+            let burst;
+            if (burstDistribution === "exponential") {
+                burst = Math.max(1, Math.ceil(exponential(meanBurst)));
+            } else if (burstDistribution === "bimodal") {
+                burst = random() < cpuBoundShare
+                    ? integer(high - quarter, high)
+                    : integer(low, low + quarter);
+            } else {
+                burst = integer(low, high);
+            }
+
+            const hasPriority = priorityMin !== undefined && priorityMax !== undefined;
+            return {
+                id: `P${firstId + i}`,
+                arrival,
+                burst,
+                priority: hasPriority
+                    ? integer(Math.min(priorityMin, priorityMax), Math.max(priorityMin, priorityMax))
+                    : 1
+            };
+        });
+    }
+
+    /* ============================================================================
+       PRACTICE GRADING
+       Checks a student's hand-worked schedule against the engine's result
+    ============================================================================ */
+
+    /** Execution table columns graded in practice mode */
+    const GRADED_FIELDS = ["waiting", "turnaround", "response"];
+
+    /**
+     * Parse a Gantt chart answer such as "P1 0-3, P2 3-5, IDLE 5-6"
+     * Segments are separated by commas, semicolons or line breaks; "P1(0-3)"
+     * and "P1: 0 to 3" are accepted too, as are fractional times ("P1 0-2.5").
+     * IDLE and CS are matched case-insensitively.
+     * @param {string} text - Segments as typed
+     * @returns {Array} [{ process, start, end }]
+     * @throws {Error} If a segment is malformed
+     */
+    function parseGanttAnswer(text) {
+        return String(text).split(/[,;\n]/).map(t => t.trim()).filter(Boolean).map(token => {
+            const match = token.match(/^(.+?)\s*[:(]?\s*(\d*\.?\d+)\s*(?:-|–|to)\s*(\d*\.?\d+)\s*\)?$/i);
+            if (!match || parseFloat(match[3]) <= parseFloat(match[2])) {
+                throw new Error(`Invalid segment "${token}" (expected e.g. P1 0-3)`);
+            }
+            const name = match[1].trim();
+            const process = /^idle$/i.test(name) ? IDLE : /^cs$/i.test(name) ? CONTEXT_SWITCH : name;
+            return { process, start: roundTime(parseFloat(match[2])), end: roundTime(parseFloat(match[3])) };
+        });
+    }
+
+    /**
+     * Merge consecutive timeline segments of the same process on the same
+     * core (e.g. a process re-picked right after its quantum expired)
+     * @param {Array} timeline - Timeline from run()
+     * @returns {Array} [{ process, start, end, core? }]
+     */
+    function mergeSegments(timeline) {
+        const merged = [];
+        const lastOnCore = new Map();   // core -> its latest merged segment
+        timeline.forEach(item => {
+            const last = lastOnCore.get(item.core);
+            if (last && last.process === item.process && last.end === item.start) last.end = item.end;
+            else {
+                const segment = { process: item.process, start: item.start, end: item.end };
+                if (item.core !== undefined) segment.core = item.core;
+                merged.push(segment);
+                lastOnCore.set(item.core, segment);
+            }
+        });
+        return merged;
+    }
+
+    /**
+     * Grade a hand-worked schedule against a run() result
+     * Segments are compared in order, after joining back-to-back segments of
+     * one process on both sides ("P1 0-2, P1 2-4" is the same answer as
+     * "P1 0-4"); each table cell is compared exactly (to 1e-6). Missing or
+     * extra segments and empty cells count as wrong.
+     * @param {Object} result - Result of run() for the practice workload
+     * @param {Object} answer - { segments: [{ process, start, end }],
+     *                            table: { id: { waiting, turnaround, response } } }
+     * @returns {Object} { segments: [{ expected, given, correct }],
+     *          cells: [{ process, field, expected, given, correct }],
+     *          correct, total, score (percent) }
+     */
+    function gradeAnswer(result, answer) {
+        const expectedSegments = mergeSegments(result.timeline);
+        const givenSegments = mergeSegments(answer.segments || []);
+        const segments = Array.from({ length: Math.max(expectedSegments.length, givenSegments.length) }, (_, i) => {
+            const expected = expectedSegments[i] || null;
+            const given = givenSegments[i] || null;
+            const correct = !!expected && !!given && expected.process === given.process &&
+                roundTime(expected.start) === roundTime(given.start) && roundTime(expected.end) === roundTime(given.end);
+            return { expected, given, correct };
+        });
+
+        const table = answer.table || {};
+        const cells = result.metrics.perProcess.flatMap(p => GRADED_FIELDS.map(field => {
+            const raw = table[p.id] ? table[p.id][field] : undefined;
+            const given = raw === undefined || raw === null || String(raw).trim() === "" ? null : Number(raw);
+            const correct = given !== null && Math.abs(given - p[field]) < 1e-6;
+            return { process: p.id, field, expected: p[field], given, correct };
+        }));
+
+        // Extra segments count as wrong answers
+        const correct = segments.filter(s => s.correct).length + cells.filter(c => c.correct).length;
+        const total = segments.length + cells.length;
+        return { segments, cells, correct, total, score: total ? (correct / total) * 100 : 0 };
+    }
+
+    /* ============================================================================
+       SHAREABLE SCENARIOS
+       Compact, versioned text encoding of a workload plus settings, used in
+       URL hashes: "<version>.<base64url JSON>"
+    ============================================================================ */
+
+    /** Current scenario encoding version */
+    const SCENARIO_VERSION = 1;
+
+    /**
+     * Option and setting values a scenario leaves out (the UI's initial
+     * controls); decodeScenario() fills them back in
+     */
+    const SCENARIO_DEFAULTS = {
+        options: {
+            timeQuantum: 2, levels: DEFAULT_LEVELS, agingStep: 1,
+            priorityPreemptive: true, higherPriorityFirst: false, tieBreak: "arrival",
+            lotterySeed: 0, targetLatency: 6, minGranularity: 1,
+            contextSwitch: 0, dispatchLatency: 0,
+            cores: 1, perCoreQueues: false, loadBalance: true
+        },
+        settings: { starvationThreshold: 0, colorByNice: false, ganttView: "cpu", timeUnit: "ms", timePrecision: 2 }
+    };
+
+    /**
+     * Copy of `values` without the entries equal to their default
+     * Queue levels match the defaults when their policies and quanta do
+     * (an FCFS level's quantum is ignored).
+     * @param {Object} values - Options or settings
+     * @param {Object} defaults - One of SCENARIO_DEFAULTS
+     * @returns {Object} The values that differ from the defaults
+     */
+    function withoutDefaults(values, defaults) {
+        const sameLevels = (levels, base) => Array.isArray(levels) && levels.length === base.length &&
+            levels.every((level, i) => level.policy === base[i].policy &&
+                (level.policy === "FCFS" || level.quantum === base[i].quantum));
+
+        return Object.fromEntries(Object.entries(values).filter(([key, value]) => key === "levels"
+            ? !sameLevels(value, defaults.levels)
+            : value !== defaults[key]));
+    }
+
+    /**
+     * Encode a scenario for a URL
+     * Processes are stored as arrays: [id, arrival, burst, priority, queue,
+     * affinity, bursts, period, deadline, nice] with defaults left out;
+     * options and settings equal to SCENARIO_DEFAULTS are left out too.
+     * @param {Object} scenario - { algorithm, options, processes, settings?, autorun? }
+     * @returns {string} e.g. "1.eyJhIjoiRkNGUyIs..."
+     */
+    function encodeScenario({ algorithm, options = {}, processes = [], settings, autorun }) {
+        const data = {
+            a: algorithm,
+            o: withoutDefaults(options, SCENARIO_DEFAULTS.options),
+            p: processes.map(p => {
+                const row = [
+                    p.id, p.arrival, p.burst, p.priority ?? 1,
+                    (p.queue ?? "interactive") !== "interactive" ? p.queue : null,
+                    p.affinity ?? null,
+                    p.bursts ? formatBurstSequence(p.bursts) : null,
+                    p.period ?? null,
+                    p.deadline ?? null,
+                    p.nice ?? null
+                ];
+                // Drop trailing defaults (priority 1, no queue class, affinity, bursts, period, deadline or nice)
+                const defaults = [undefined, undefined, undefined, 1, null, null, null, null, null, null];
+                while (row.length > 3 && row[row.length - 1] === defaults[row.length - 1]) row.pop();
+                return row;
+            })
+        };
+        if (settings) data.s = withoutDefaults(settings, SCENARIO_DEFAULTS.settings);
+        if (autorun) data.r = 1;
+
+        // UTF-8 safe base64url (process IDs may contain any character)
+        // (converted in chunks: one call per byte array overflows the stack)
+        const bytes = new TextEncoder().encode(JSON.stringify(data));
+        let binary = "";
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        const base64 = btoa(binary);
+        return `${SCENARIO_VERSION}.${base64.replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "")}`;
+    }
+
+    /**
+     * Whether a decoded options / settings value holds only plain data:
+     * finite numbers, booleans, short identifiers, and arrays or objects of those
+     * @param {*} value - Decoded JSON value
+     * @returns {boolean} True if the value is safe to apply
+     */
+    function isScenarioValue(value) {
+        if (typeof value === "number") return Number.isFinite(value);
+        if (typeof value === "boolean") return true;
+        if (typeof value === "string") return /^[\p{L}\p{N}_.-]{0,32}$/u.test(value);
+        if (Array.isArray(value)) return value.every(isScenarioValue);
+        if (value && typeof value === "object") return Object.values(value).every(isScenarioValue);
+        return false;
+    }
+
+    /**
+     * Decode a scenario produced by encodeScenario()
+     * Links come from other users, so every field is checked: times must be
+     * finite numbers, bursts positive and queue classes known class names or
+     * level numbers (as the CSV importer accepts them). Options and settings
+     * the link leaves out take their SCENARIO_DEFAULTS.
+     * @param {string} text - Encoded scenario
+     * @returns {Object} { algorithm, options, processes, settings, autorun }
+     * @throws {Error} If the version is unknown or the data is malformed or invalid
+     */
+    function decodeScenario(text) {
+        const match = /^(\d+)\.([A-Za-z0-9_-]+)$/.exec(String(text).trim());
+        if (!match) throw new Error("Malformed scenario link");
+        if (parseInt(match[1]) !== SCENARIO_VERSION) {
+            throw new Error(`Unsupported scenario version: ${match[1]}`);
+        }
+
+        let data;
+        try {
+            const binary = atob(match[2].replace(/-/g, "+").replace(/_/g, "/"));
+            data = JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, ch => ch.charCodeAt(0))));
+        } catch (err) {
+            throw new Error("Malformed scenario link");
+        }
+
+        if (!data || !ALGORITHMS[data.a] || !Array.isArray(data.p)) throw new Error("Malformed scenario link");
+        if (!isScenarioValue(data.o ?? {}) || !isScenarioValue(data.s ?? {})) {
+            throw new Error("Invalid scenario link: unexpected option values");
+        }
+
+        const isTime = (value) => typeof value === "number" && Number.isFinite(value);
+        const isSet = (value) => value !== null && value !== undefined;
+
+        const processes = data.p.map((row, i) => {
+            if (!Array.isArray(row)) throw new Error(`Invalid scenario link: process ${i + 1} is malformed`);
+            const [id, arrival, burst, priority = 1, queue, affinity, bursts, period, deadline, nice] = row;
+            const invalid = (field) => new Error(`Invalid scenario link: process ${i + 1} has an invalid ${field}`);
+
+            if ((typeof id !== "string" && !isTime(id)) || String(id) === "") throw invalid("ID");
+            if (!isTime(arrival) || arrival < 0) throw invalid("arrival time");
+            if (!bursts && (!isTime(burst) || burst <= 0)) throw invalid("burst time");
+            if (bursts && typeof bursts !== "string") throw invalid("burst sequence");
+            if (!isTime(priority)) throw invalid("priority");
+            if (isSet(queue) && !isQueueClass(queue)) throw invalid("queue class");
+            if (isSet(affinity) && !(Number.isInteger(affinity) && affinity >= 0)) throw invalid("affinity");
+            if (isSet(period) && !(isTime(period) && period > 0)) throw invalid("period");
+            if (isSet(deadline) && !(isTime(deadline) && deadline > 0)) throw invalid("deadline");
+            if (isSet(nice) && !isTime(nice)) throw invalid("nice value");
+
+            const p = { id: String(id), arrival, burst, priority, queue: queue ?? "interactive" };
+            if (isSet(affinity)) p.affinity = affinity;
+            if (period) p.period = period;
+            if (deadline) p.deadline = deadline;
+            if (isSet(nice)) p.nice = nice;
+            if (bursts) {
+                p.bursts = parseBurstSequence(bursts);
+                p.burst = cpuTimeOf(p);
+            }
+            return p;
+        });
+
+        return {
+            algorithm: data.a,
+            options: {
+                ...SCENARIO_DEFAULTS.options,
+                levels: DEFAULT_LEVELS.map(level => ({ ...level })),
+                ...data.o
+            },
+            processes,
+            settings: { ...SCENARIO_DEFAULTS.settings, ...data.s },
+            autorun: !!data.r
+        };
+    }
+
+    /* ============================================================================
+       ENTRY POINT
+    ============================================================================ */
+
+    /**
+     * Check that a workload can be simulated
+     * @param {Array} processes - Processes to schedule
+     * @throws {Error} Naming the first process with a missing or invalid field
+     */
+    function validateProcesses(processes) {
+        if (!Array.isArray(processes)) throw new Error("Processes must be an array");
+        const isTime = (value) => typeof value === "number" && Number.isFinite(value);
+
+        processes.forEach((p, i) => {
+            if (!p || p.id === undefined || p.id === null || String(p.id) === "") {
+                throw new Error(`Process ${i + 1} has no ID`);
+            }
+            const name = `Process ${p.id}`;
+            if (!isTime(p.arrival) || p.arrival < 0) {
+                throw new Error(`${name}: arrival time must be a number of at least 0`);
+            }
+            phasesOf(p).forEach(ph => {
+                if (!isTime(ph.length) || !(roundTime(ph.length) > 0)) {
+                    throw new Error(`${name}: ${ph.type === "io" ? "I/O" : "CPU"} burst must be a positive number`);
+                }
+            });
+            ["period", "deadline"].forEach(field => {
+                if (p[field] === undefined || p[field] === null) return;
+                if (!isTime(p[field]) || !(roundTime(p[field]) > 0)) {
+                    throw new Error(`${name}: ${field} must be a positive number`);
+                }
+            });
+        });
+    }
+
+    /**
+     * Check the options that size time slices and set timer intervals
+     * Options left out take their defaults; aging and priority boosts are
+     * off unless their interval is given.
+     * @param {Object} options - Algorithm options (see run)
+     * @throws {Error} Naming the first option that is not a positive time
+     */
+    function validateOptions(options) {
+        const isPositiveTime = (value) => typeof value === "number" && Number.isFinite(value) &&
+            roundTime(value) > 0;
+        const labels = {
+            timeQuantum: "time quantum",
+            targetLatency: "target latency",
+            minGranularity: "minimum granularity",
+            boostInterval: "boost interval",
+            agingInterval: "aging interval"
+        };
+
+        Object.keys(labels).forEach(key => {
+            if (options[key] === undefined || options[key] === null) return;
+            if (!isPositiveTime(options[key])) throw new Error(`Options: ${labels[key]} must be a positive number`);
+        });
+        (options.levels || []).forEach((level, i) => {
+            if (level.policy !== "FCFS" && !isPositiveTime(level.quantum)) {
+                throw new Error(`Level Q${i}: time quantum must be a positive number`);
+            }
+        });
+    }
+
+    /**
+     * Run an algorithm by name and compute its metrics
+     * @param {string} algorithm - One of the keys of ALGORITHMS
+     * @param {Array} processes - Processes to schedule
+     * @param {Object} [options] - Algorithm options ({ timeQuantum } for Round Robin,
+     *                              { levels, boostInterval } for MLFQ / MLQ,
+     *                              { agingInterval, agingStep, priorityPreemptive,
+     *                                higherPriorityFirst } for Priority,
+     *                              { tieBreak } for SJF / SRTF / LJF / LRTF / HRRN /
+     *                                Priority / Stride / EDF / RM,
+     *                              { timeQuantum, lotterySeed } for Lottery,
+     *                              { targetLatency, minGranularity } for CFS,
+     *                              { contextSwitch, dispatchLatency } overhead,
+     *                              { cores, perCoreQueues, loadBalance } multiprocessor,
+     *                              { trace: true } to also return per-tick snapshots)
+     * @returns {{algorithm: string, timeline: Array, metrics: Object, snapshots: (Array|null), events: Array}}
+     *          plus algorithm-specific details (e.g. priorityHistory for Priority;
+     *          responseRatios for HRRN; vruntime and weights for CFS;
+     *          jobs, deadlineMisses and schedulability for EDF / RM, whose
+     *          metrics are per job; shares for Lottery / Stride)
+     * @throws {Error} For an unknown algorithm, an invalid process (see validateProcesses)
+     *                 or an invalid option (see validateOptions)
+     */
+    function run(algorithm, processes, options = {}) {
+        const createPolicy = ALGORITHMS[algorithm];
+        if (!createPolicy) throw new Error(`Unknown algorithm: ${algorithm}`);
+        validateProcesses(processes);
+        validateOptions(options);
+
+        // Per-core queues need one policy instance per core
+        const cores = Math.max(1, parseInt(options.cores) || 1);
+        const policy = options.perCoreQueues && cores > 1
+            ? Array.from({ length: cores }, () => createPolicy(options))
+            : createPolicy(options);
+
+        // Real-time algorithms schedule the jobs released by periodic tasks
+        const realtime = REALTIME_ALGORITHMS.includes(algorithm);
+        const workload = realtime ? expandPeriodicTasks(processes) : processes;
+
+        const { timeline, snapshots, ...details } = simulate(workload, policy, options);
+        const metrics = calculateMetrics(workload, timeline, details.ioTimeline);
+        const result = { algorithm, timeline, metrics, snapshots, ...details };
+
+        if (realtime) {
+            result.jobs = workload;
+            result.deadlineMisses = findDeadlineMisses(workload, timeline);
+            result.schedulability = schedulabilityReport(algorithm, processes);
+        }
+        if (PROPORTIONAL_SHARE_ALGORITHMS.includes(algorithm)) {
+            result.shares = proportionalShares(processes, timeline);
+        }
+        return result;
+    }
+
+    /** Algorithms included in a side-by-side comparison, in display order */
+    const COMPARED_ALGORITHMS = ["FCFS", "SJF", "SRTF", "Priority", "RoundRobin"];
+
+    /**
+     * Run several algorithms on the same workload for side-by-side comparison
+     * @param {Array} processes - Processes to schedule
+     * @param {Object} [options] - Options shared by every run (e.g. { timeQuantum })
+     * @param {Array<string>} [algorithms] - Algorithms to compare
+     * @returns {Array<Object>} One run() result per algorithm, in the given order
+     */
+    function compare(processes, options = {}, algorithms = COMPARED_ALGORITHMS) {
+        return algorithms.map(algorithm => run(algorithm, processes, options));
+    }
+
+    return {
+        IDLE,
+        CONTEXT_SWITCH,
+        TIME_DECIMALS,
+        roundTime,
+        isProcessSegment,
+        parseBurstSequence,
+        formatBurstSequence,
+        cpuTimeOf,
+        ALGORITHMS,
+        QUEUE_CLASSES,
+        isQueueClass,
+        TIE_BREAKERS,
+        DEFAULT_LEVELS,
+        simulate,
+        fcfs,
+        sjf,
+        srtf,
+        priority,
+        roundRobin,
+        hrrn,
+        ljf,
+        lrtf,
+        validateProcesses,
+        calculateMetrics,
+        percentile,
+        jainIndex,
+        processStates,
+        run,
+        COMPARED_ALGORITHMS,
+        compare,
+        REALTIME_ALGORITHMS,
+        MAX_HYPERPERIOD,
+        hyperperiod,
+        expandPeriodicTasks,
+        periodicWorkloadSize,
+        findDeadlineMisses,
+        schedulabilityReport,
+        STRIDE_CONSTANT,
+        NICE_WEIGHTS,
+        niceOf,
+        weightOf,
+        PROPORTIONAL_SHARE_ALGORITHMS,
+        ticketsOf,
+        proportionalShares,
+        GRADED_FIELDS,
+        parseGanttAnswer,
+        mergeSegments,
+        gradeAnswer,
+        mulberry32,
+        MAX_GENERATED_PROCESSES,
+        ARRIVAL_DISTRIBUTIONS,
+        BURST_DISTRIBUTIONS,
+        generateWorkload,
+        SCENARIO_VERSION,
+        SCENARIO_DEFAULTS,
+        encodeScenario,
+        decodeScenario
+    };
+});
@@ -3,7 +3,13 @@
  * CPU SCHEDULER VISUALIZER
  * ============================================================================
  * A comprehensive web application for visualizing various CPU scheduling 
- * algorithms including FCFS, SJF, SRTF, Priority, and Round Robin.
+ * algorithms including FCFS, SJF, SRTF, HRRN, LJF, LRTF, Priority, Round Robin, MLFQ,
+ * Multilevel Queue, CFS, Lottery and Stride, and the real-time EDF and Rate
+ * Monotonic algorithms.
+ * 
+ * The algorithms and metrics live in engine.js (SchedulerEngine), which runs in
+ * a Web Worker (engine-worker.js) when the browser allows; this file only
+ * handles user input and rendering.
  * 
  * Features:
  * - Manual process entry
@@ -20,6 +26,59 @@ class Scheduler {
         this.processes = [];      // Array to store all processes
         this.timeline = [];       // Array to store execution timeline
         this.metrics = null;      // Object to store calculated metrics
+        this.result = null;       // Full engine result of the last run
+        this.runInput = null;     // { algorithm, processes, options } the last run simulated
+        this.niceIndex = null;    // { processes, index: process ID -> process }, for niceColor()
+        this.autosaveTimer = null;
+        this.editingIndex = null; // Process list entry being edited in place
+
+        // Undo/redo history of the process list (JSON snapshots)
+        this.history = { undo: [], redo: [] };
+
+        // localStorage keys
+        this.storageKeys = {
+            workspaces: "cpuScheduler.workspaces",
+            session: "cpuScheduler.session"
+        };
+        this.snapshots = [];      // Per-tick scheduler state used for playback
+        this.traceSelection = null;   // Index of the decision log entry whose bar is highlighted
+        this.comparison = null;   // Results of every algorithm in compare mode
+        this.comparisonProcesses = null;  // The process list they were run on
+        this.quiz = null;         // Practice mode: { algorithm, options, processes, result }
+
+        // Background simulation (engine-worker.js)
+        this.worker = null;       // Worker, or false once it proved unavailable
+        this.workerRequests = new Map();  // Request id -> { resolve, reject, args }
+        this.requestCount = 0;    // Last worker request id
+        this.runCount = 0;        // Last run() call, so stale results are dropped
+        this.pendingRun = null;   // { algorithm, processes, options } of the run being simulated
+        this.compareCount = 0;    // Last compareAll() call, likewise
+        this.quizCount = 0;       // Last startQuiz() call, likewise
+
+        // Largest run recorded for step-by-step playback, in instants x processes
+        this.maxPlaybackCells = 500000;
+        this.maxTraceEntries = 2000;      // Decision log entries listed at most
+        this.maxSwimlanes = 500;          // Per-process Gantt rows drawn at most
+        this.maxChartProcesses = 30;      // Processes in the per-process metrics chart
+        this.colorIndex = null;           // { processes, index: process ID -> position }, for processColor()
+        this.maxLegendProcesses = 60;     // Processes listed in the Gantt color legend
+
+        // Interactive Gantt chart
+        this.ganttZoom = 1;               // 1 fits the whole schedule, larger values stretch it
+        this.ganttDrawn = null;           // Result the chart was last drawn for (bars grow in once per run)
+        this.ganttRedrawTimer = null;     // Pending redraw after zooming
+        this.maxGanttZoom = 200;
+        this.ganttMaxTime = 0;            // Time at the right edge of the drawn chart
+        this.ganttDrag = null;            // Ongoing pan / pinch: { pointers, viewport, ... }
+        this.ganttDragged = false;        // Swallow the click that ends a pan
+        this.tooltipBar = null;           // Bar the tooltip currently describes
+        this.selectedProcess = null;      // Process highlighted in the chart and execution table
+
+        // Step-by-step playback state
+        this.playback = {
+            time: null,           // Current simulation clock (null = not started)
+            timer: null           // Interval handle while playing
+        };
 
         // Algorithm descriptions for the info modal
         this.algorithmDescriptions = {
@@ -29,16 +88,82 @@ class Scheduler {
             
             SRTF: "Shortest Remaining Time First (SRTF) is the preemptive version of SJF that can interrupt a running process if a new process arrives with a shorter remaining time. This allows for better average turnaround times and response times compared to non-preemptive SJF. However, the frequent context switching can add overhead, and longer processes may face significant starvation. SRTF is ideal for time-sharing systems where responsiveness is critical, but it requires accurate burst time prediction.",
             
-            Priority: "Priority Scheduling assigns a priority value to each process and executes them in order of priority, with lower numbers typically indicating higher priority. This implementation uses preemptive priority scheduling, where a running process can be interrupted if a higher-priority process arrives. Processes with equal priority can be scheduled using FCFS. This flexible algorithm allows the system to favor important tasks, but it can lead to indefinite blocking or starvation of low-priority processes. This can be mitigated using aging, where priority increases as processes wait longer. Priority scheduling works well in systems with clear process importance hierarchies and dynamic workload requirements.",
+            HRRN: "Highest Response Ratio Next (HRRN) is a non-preemptive algorithm that fixes the starvation problem of SJF. Whenever the CPU becomes free, it computes a response ratio for every ready process, (waiting time + burst time) / burst time, and runs the process with the highest ratio to completion. A short job starts with a high ratio and is picked quickly, as in SJF, but the ratio of a long job grows the longer it waits, so it eventually wins as well. HRRN therefore balances short average waiting times with fairness towards long jobs. Like SJF, it needs burst times in advance, and it recomputes every ratio at each decision.",
+
+            LJF: "Longest Job First (LJF) is the opposite of SJF: when the CPU becomes free, it selects the ready process with the largest burst time and runs it to completion. It is non-preemptive and easy to analyse, but short processes can wait a very long time behind long ones, so average waiting and response times are usually poor and short jobs can starve. LJF appears mostly in exercises that contrast it with SJF, and in batch settings where finishing the largest jobs first is desirable.",
+
+            LRTF: "Longest Remaining Time First (LRTF) is the preemptive version of LJF. At every instant it runs the ready process with the most remaining burst time, so a running process is preempted as soon as another process has more work left. As the longest jobs are worked down, processes end up taking turns, and they tend to finish close together near the end of the schedule. This gives very high average turnaround and waiting times and many context switches, so LRTF is mainly a teaching counterpart to SRTF rather than a practical scheduler.",
+
+            Priority: "Priority Scheduling assigns a priority value to each process and executes them in order of priority, with lower numbers typically indicating higher priority. In the preemptive variant a running process is interrupted as soon as a higher-priority process arrives; in the non-preemptive variant the higher-priority process waits until the current one finishes. Processes with equal priority are ordered by the selected tie-break rule (earlier arrival by default). This flexible algorithm allows the system to favor important tasks, but it can lead to indefinite blocking or starvation of low-priority processes. This can be mitigated using aging, where priority increases as processes wait longer. Priority scheduling works well in systems with clear process importance hierarchies and dynamic workload requirements.",
             
-            RoundRobin: "Round Robin (RR) is a preemptive algorithm designed for time-sharing systems that allocates a fixed time quantum to each process in circular order. When a process's time slice expires, it's moved to the back of the ready queue, ensuring fair CPU distribution and good response times. The performance heavily depends on the time quantum size: too small causes excessive context switching overhead, while too large degenerates into FCFS. RR prevents starvation and works excellently for interactive systems where all processes should get regular CPU access."
+            RoundRobin: "Round Robin (RR) is a preemptive algorithm designed for time-sharing systems that allocates a fixed time quantum to each process in circular order. When a process's time slice expires, it's moved to the back of the ready queue, ensuring fair CPU distribution and good response times. The performance heavily depends on the time quantum size: too small causes excessive context switching overhead, while too large degenerates into FCFS. RR prevents starvation and works excellently for interactive systems where all processes should get regular CPU access.",
+
+            MLFQ: "Multilevel Feedback Queue (MLFQ) keeps several ready queues ordered by priority and always serves the highest non-empty queue, preempting a process from a lower queue when a higher one becomes ready. Every process starts in the top queue; if it uses up its whole time quantum it is demoted one level, so CPU-bound jobs sink towards the lower queues while short, interactive jobs finish quickly near the top. Lower queues typically use longer quanta or FCFS. Because long jobs can starve at the bottom, a periodic priority boost moves every process back to the top queue. MLFQ learns process behaviour without knowing burst times in advance, which is why variants of it are used in real operating systems.",
+
+            MLQ: "Multilevel Queue (MLQ) scheduling permanently assigns each process to one queue class, such as system, interactive or batch, based on its type. Each queue can use its own algorithm (for example Round Robin for interactive work and FCFS for batch jobs), and the queues themselves are served in fixed priority order: a lower queue only runs when all higher queues are empty, and a process arriving in a higher queue preempts one from a lower queue. Unlike MLFQ, processes never move between queues, so the scheme has little overhead but lower-priority classes can starve while higher classes stay busy.",
+
+            CFS: "The Completely Fair Scheduler (CFS) was the default Linux scheduler from 2.6.23 until 6.6. Instead of fixed queues or priorities it tracks each process's virtual runtime (vruntime): the CPU time it has received, scaled by its weight. The weight comes from the nice value (−20 to 19); each nice step changes the weight by about 25%, and vruntime grows as real time × 1024 / weight, so heavier (lower-nice) processes age more slowly and get more CPU. The scheduler always runs the process with the smallest vruntime. Slices are not fixed: the target latency is divided among runnable processes in proportion to their weights, but never below the minimum granularity. New processes start at the current minimum vruntime and processes waking from I/O get a limited credit, so interactive tasks respond quickly without starving CPU-bound ones. Unlike textbook algorithms, CFS aims for fairness over time rather than optimizing a single metric.",
+
+            Lottery: "Lottery Scheduling is a proportional-share algorithm: every process holds a number of tickets, and at each quantum boundary the scheduler draws one ticket at random from all tickets held by ready processes; the holder of the winning ticket runs for one quantum. A process's chance of winning is its share of the tickets, so over time it receives roughly that share of the CPU. The draws are random, so short runs can deviate noticeably from the expected shares, but no process ever starves as long as it holds at least one ticket. Tickets make it easy to express relative importance, and to transfer or inflate them between cooperating processes. The random generator here is seeded, so the same seed reproduces the same draws.",
+
+            Stride: "Stride Scheduling is the deterministic counterpart of lottery scheduling. Each process gets a stride inversely proportional to its tickets (stride = L / tickets for a large constant L) and a pass value that starts at zero. At each quantum boundary the ready process with the lowest pass runs for one quantum, and its pass advances by its stride. A process with twice the tickets has half the stride and therefore runs twice as often. Because there is no randomness, every process receives its proportional share with an error of at most one quantum, even over short intervals. Newly arriving processes start at the current pass so they cannot monopolize the CPU.",
+
+            EDF: "Earliest Deadline First (EDF) is a dynamic-priority real-time algorithm for periodic tasks. Each task releases a job every period, and every job must finish before its deadline. At any instant EDF runs the ready job whose absolute deadline is closest, preempting the running job when a job with an earlier deadline is released. On a single CPU, EDF is optimal: when deadlines equal periods, a task set is schedulable exactly when its total utilization U = Σ C/T is at most 1. Once the system is overloaded, though, EDF gives no guarantee about which jobs miss their deadlines, and misses can cascade.",
+
+            RM: "Rate Monotonic (RM) is a fixed-priority real-time algorithm for periodic tasks: the shorter a task's period, the higher its priority, and a higher-priority job preempts a lower-priority one as soon as it is released. RM is optimal among fixed-priority schemes when deadlines equal periods. Liu and Layland showed that n tasks are always schedulable when their utilization is at most n(2^(1/n) − 1), about 69% for many tasks. Above that bound the test is inconclusive, and only simulating the hyperperiod (or an exact response-time analysis) tells whether every deadline is met. Because priorities never change, RM is predictable and widely used in embedded systems."
+        };
+
+        // Short algorithm names used in compare mode
+        this.algorithmShortNames = {
+            FCFS: "FCFS",
+            SJF: "SJF",
+            SRTF: "SRTF",
+            HRRN: "HRRN",
+            LJF: "LJF",
+            LRTF: "LRTF",
+            Priority: "Priority",
+            RoundRobin: "Round Robin",
+            MLFQ: "MLFQ",
+            MLQ: "Multilevel Queue",
+            CFS: "CFS",
+            Lottery: "Lottery",
+            Stride: "Stride",
+            EDF: "EDF",
+            RM: "Rate Monotonic"
+        };
+
+        // Process states drawn in the per-process swimlanes
+        this.stateNames = {
+            new: "Not arrived",
+            ready: "Ready (waiting)",
+            running: "Running",
+            blocked: "Blocked on I/O"
         };
 
+        // Metrics shown in compare mode; `better` tells which direction wins
+        this.comparisonMetrics = [
+            { key: "avgWait", label: "Avg Waiting", time: true, better: "low" },
+            { key: "avgTurn", label: "Avg Turnaround", time: true, better: "low" },
+            { key: "avgResp", label: "Avg Response", time: true, better: "low" },
+            { key: "cpuUtil", label: "CPU Utilization", unit: "%", better: "high" },
+            { key: "contextSwitches", label: "Context Switches", unit: "", better: "low", digits: 0 },
+            { key: "throughput", label: "Throughput", rate: true, better: "high" },
+            { key: "maxWait", label: "Max Waiting", time: true, better: "low" },
+            { key: "p95Wait", label: "p95 Waiting", time: true, better: "low" },
+            { key: "avgNormTurn", label: "Avg Normalized TAT", unit: "×", better: "low" },
+            { key: "fairness", label: "Fairness (Jain)", unit: "", better: "high", digits: 3 }
+        ];
+
         // Initialize the application
         this.initElements();
         this.attachEvents();
         this.injectCPUSVGGradient();
         this.setupCPUInitial();
+        this.renderLevelConfig();
+        this.renderWorkspaces();
+
+        // Shared links take precedence over the autosaved session
+        if (!this.restoreFromURL() && !this.restoreAutosave()) this.renderProcesses();
     }
 
     /* ============================================================================
@@ -50,12 +175,65 @@ class Scheduler {
         this.algorithmSelect = document.getElementById("algorithmSelect");
         this.timeQuantumInput = document.getElementById("timeQuantum");
         this.timeQuantumCard = document.getElementById("timeQuantumCard");
+        this.lotteryCard = document.getElementById("lotteryCard");
+        this.cfsCard = document.getElementById("cfsCard");
+        this.targetLatencyInput = document.getElementById("targetLatency");
+        this.minGranularityInput = document.getElementById("minGranularity");
+        this.colorByNiceInput = document.getElementById("colorByNice");
+        this.lotterySeedInput = document.getElementById("lotterySeed");
+        this.contextSwitchInput = document.getElementById("contextSwitch");
+
+        // Priority variant and tie-break controls
+        this.priorityOptionsCard = document.getElementById("priorityOptionsCard");
+        this.priorityPreemptiveInput = document.getElementById("priorityPreemptive");
+        this.higherPriorityFirstInput = document.getElementById("higherPriorityFirst");
+        this.tieBreakCard = document.getElementById("tieBreakCard");
+        this.tieBreakInput = document.getElementById("tieBreak");
+
+        // Priority aging controls
+        this.agingCard = document.getElementById("agingCard");
+        this.agingEnabledInput = document.getElementById("agingEnabled");
+        this.agingStepInput = document.getElementById("agingStep");
+        this.agingIntervalInput = document.getElementById("agingInterval");
+        this.starvationThresholdInput = document.getElementById("starvationThreshold");
+        this.timeUnitSelect = document.getElementById("timeUnit");
+        this.timePrecisionInput = document.getElementById("timePrecision");
+
+        // Multilevel queue controls (MLFQ / MLQ)
+        this.multilevelCard = document.getElementById("multilevelCard");
+        this.levelCountInput = document.getElementById("levelCount");
+        this.levelConfig = document.getElementById("levelConfig");
+        this.boostCard = document.getElementById("boostCard");
+        this.boostIntervalInput = document.getElementById("boostInterval");
+        this.dispatchLatencyInput = document.getElementById("dispatchLatency");
+
+        // Multiprocessor controls
+        this.coreCountInput = document.getElementById("coreCount");
+        this.multicoreCard = document.getElementById("multicoreCard");
+        this.perCoreQueuesInput = document.getElementById("perCoreQueues");
+        this.loadBalanceInput = document.getElementById("loadBalance");
 
         // Action buttons
         this.addBtn = document.getElementById("addBtn");
         this.runBtn = document.getElementById("runBtn");
         this.resetBtn = document.getElementById("resetBtn");
+        this.compareBtn = document.getElementById("compareBtn");
+        this.quizBtn = document.getElementById("quizBtn");
+        this.exportCsvBtn = document.getElementById("exportCsvBtn");
+        this.exportJsonBtn = document.getElementById("exportJsonBtn");
+        this.exportSvgBtn = document.getElementById("exportSvgBtn");
+        this.exportPngBtn = document.getElementById("exportPngBtn");
+        this.shareBtn = document.getElementById("shareBtn");
+        this.shareAutorunInput = document.getElementById("shareAutorun");
+
+        // Workspace panel
+        this.workspaceNameInput = document.getElementById("workspaceName");
+        this.saveWorkspaceBtn = document.getElementById("saveWorkspaceBtn");
+        this.workspaceList = document.getElementById("workspaceList");
+        this.autosaveStatus = document.getElementById("autosaveStatus");
         this.clearAllBtn = document.getElementById("clearAllBtn");
+        this.undoBtn = document.getElementById("undoBtn");
+        this.redoBtn = document.getElementById("redoBtn");
 
         // Manual entry inputs
         this.processIdInput = document.getElementById("processId");
@@ -63,13 +241,27 @@ class Scheduler {
         this.burstTimeInput = document.getElementById("burstTime");
         this.priorityInput = document.getElementById("priority");
         this.priorityLabel = document.getElementById("priorityLabel");
+        this.queueClassInput = document.getElementById("queueClass");
+        this.burstSequenceInput = document.getElementById("burstSequence");
+        this.affinityInput = document.getElementById("affinity");
+        this.niceInput = document.getElementById("nice");
+        this.niceLabel = document.getElementById("niceLabel");
+        this.periodicFields = document.getElementById("periodicFields");
+        this.periodInput = document.getElementById("period");
+        this.deadlineInput = document.getElementById("deadline");
+        this.queueClassLabel = document.getElementById("queueClassLabel");
 
         // Process list display
         this.processList = document.getElementById("processList");
 
         // Gantt chart elements
         this.ganttContainer = document.getElementById("ganttContainer");
+        this.ganttViewSelect = document.getElementById("ganttView");
         this.ganttPlaceholder = document.getElementById("ganttPlaceholder");
+        this.ganttTooltip = document.getElementById("ganttTooltip");
+        this.zoomOutBtn = document.getElementById("zoomOutBtn");
+        this.zoomInBtn = document.getElementById("zoomInBtn");
+        this.zoomFitBtn = document.getElementById("zoomFitBtn");
 
         // Metric display elements
         this.avgWaitEl = document.getElementById("avgWait");
@@ -77,6 +269,7 @@ class Scheduler {
         this.avgRespEl = document.getElementById("avgResponse");
         this.totalTimeEl = document.getElementById("totalTime");
         this.totalTATEl = document.getElementById("totalTAT");
+        this.contextSwitchesEl = document.getElementById("contextSwitches");
 
         // Metric progress bars
         this.avgWaitBar = document.getElementById("avgWaitBar");
@@ -84,14 +277,67 @@ class Scheduler {
         this.avgRespBar = document.getElementById("avgRespBar");
         this.totalTimeBar = document.getElementById("totalTimeBar");
         this.totalTATBar = document.getElementById("totalTATBar");
+        this.contextSwitchesBar = document.getElementById("contextSwitchesBar");
+        this.preemptionsEl = document.getElementById("preemptions");
+        this.preemptionsBar = document.getElementById("preemptionsBar");
+        this.throughputEl = document.getElementById("throughput");
+        this.throughputBar = document.getElementById("throughputBar");
+        this.waitSpreadEl = document.getElementById("waitSpread");
+        this.waitSpreadBar = document.getElementById("waitSpreadBar");
+        this.avgNormTurnEl = document.getElementById("avgNormTurn");
+        this.avgNormTurnBar = document.getElementById("avgNormTurnBar");
+        this.fairnessEl = document.getElementById("fairness");
+        this.fairnessBar = document.getElementById("fairnessBar");
+        this.processChart = document.getElementById("processChart");
 
         // CPU utilization circle
         this.cpuProgress = document.getElementById("cpuProgress");
         this.cpuPercent = document.getElementById("cpuPercent");
+        this.coreUtilEl = document.getElementById("coreUtil");
+
+        // Playback controls and live state panel
+        this.stepBackBtn = document.getElementById("stepBackBtn");
+        this.playPauseBtn = document.getElementById("playPauseBtn");
+        this.stepForwardBtn = document.getElementById("stepForwardBtn");
+        this.playbackSpeed = document.getElementById("playbackSpeed");
+        this.playbackClock = document.getElementById("playbackClock");
+        this.playbackState = document.getElementById("playbackState");
+        this.stateIORow = document.getElementById("stateIORow");
+        this.stateIO = document.getElementById("stateIO");
+        this.stateRunning = document.getElementById("stateRunning");
+        this.stateReady = document.getElementById("stateReady");
+        this.stateEvents = document.getElementById("stateEvents");
+        this.stateRemaining = document.getElementById("stateRemaining");
+
+        // Decision log
+        this.tracePanel = document.getElementById("tracePanel");
+        this.traceLog = document.getElementById("traceLog");
 
         // Execution details table
         this.executionDetails = document.getElementById("executionDetails");
 
+        // Schedulability report (EDF / RM)
+        this.schedulabilityCard = document.getElementById("schedulabilityCard");
+        this.schedulabilityReport = document.getElementById("schedulabilityReport");
+
+        // Compare mode elements
+        this.comparisonCard = document.getElementById("comparisonCard");
+        this.comparisonGantt = document.getElementById("comparisonGantt");
+        this.comparisonTable = document.getElementById("comparisonTable");
+        this.comparisonChart = document.getElementById("comparisonChart");
+
+        // Practice mode elements
+        this.quizCard = document.getElementById("quizCard");
+        this.quizCloseBtn = document.getElementById("quizCloseBtn");
+        this.quizPrompt = document.getElementById("quizPrompt");
+        this.quizWorkload = document.getElementById("quizWorkload");
+        this.quizGanttInput = document.getElementById("quizGantt");
+        this.quizGanttFeedback = document.getElementById("quizGanttFeedback");
+        this.quizTable = document.getElementById("quizTable");
+        this.quizSubmitBtn = document.getElementById("quizSubmitBtn");
+        this.quizNewBtn = document.getElementById("quizNewBtn");
+        this.quizScore = document.getElementById("quizScore");
+
         // Algorithm info modal elements
         this.algoInfoBtn = document.getElementById("algoInfoBtn");
         this.algoModal = document.getElementById("algoModal");
@@ -109,6 +355,30 @@ class Scheduler {
         this.tabBtns = document.querySelectorAll(".tab-btn");
         this.manualTab = document.getElementById("manualTab");
         this.uploadTab = document.getElementById("uploadTab");
+        this.generateTab = document.getElementById("generateTab");
+
+        // Workload generator inputs
+        this.genCountInput = document.getElementById("genCount");
+        this.genCountInput.max = SchedulerEngine.MAX_GENERATED_PROCESSES;
+        this.genSeedInput = document.getElementById("genSeed");
+        this.genArrivalInput = document.getElementById("genArrival");
+        this.genArrivalUniform = document.getElementById("genArrivalUniform");
+        this.genArrivalPoisson = document.getElementById("genArrivalPoisson");
+        this.genArrivalMaxInput = document.getElementById("genArrivalMax");
+        this.genMeanGapInput = document.getElementById("genMeanGap");
+        this.genBurstInput = document.getElementById("genBurst");
+        this.genBurstRange = document.getElementById("genBurstRange");
+        this.genBurstMinInput = document.getElementById("genBurstMin");
+        this.genBurstMaxInput = document.getElementById("genBurstMax");
+        this.genBurstMean = document.getElementById("genBurstMean");
+        this.genMeanBurstInput = document.getElementById("genMeanBurst");
+        this.genBimodal = document.getElementById("genBimodal");
+        this.genCpuShareInput = document.getElementById("genCpuShare");
+        this.genPriorityEnabledInput = document.getElementById("genPriorityEnabled");
+        this.genPriorityRange = document.getElementById("genPriorityRange");
+        this.genPriorityMinInput = document.getElementById("genPriorityMin");
+        this.genPriorityMaxInput = document.getElementById("genPriorityMax");
+        this.generateBtn = document.getElementById("generateBtn");
     }
 
     /* ============================================================================
@@ -118,10 +388,57 @@ class Scheduler {
     attachEvents() {
         // Algorithm and control events
         this.algorithmSelect.addEventListener("change", () => this.handleAlgorithmChange());
+        this.levelCountInput.addEventListener("change", () => this.renderLevelConfig());
+        this.higherPriorityFirstInput.addEventListener("change", () => this.updatePriorityLabel());
+        this.coreCountInput.addEventListener("change", () => this.updateMulticoreOptions());
+        this.perCoreQueuesInput.addEventListener("change", () => this.updateMulticoreOptions());
+        this.colorByNiceInput.addEventListener("change", () => {
+            if (this.result) this.renderGantt(this.playback.time);
+        });
+        this.ganttViewSelect.addEventListener("change", () => {
+            this.scheduleAutosave();
+            if (this.result) this.renderGantt(this.playback.time);
+        });
+        this.timeUnitSelect.addEventListener("change", () => this.refreshTimeDisplay());
+        this.timePrecisionInput.addEventListener("change", () => this.refreshTimeDisplay());
         this.addBtn.addEventListener("click", () => this.addProcess());
         this.runBtn.addEventListener("click", () => this.run());
         this.resetBtn.addEventListener("click", () => this.reset());
+        this.compareBtn.addEventListener("click", () => this.compareAll());
+        this.quizBtn.addEventListener("click", () => this.startQuiz(this.processes.length === 0));
+        this.quizNewBtn.addEventListener("click", () => this.startQuiz(true));
+        this.quizSubmitBtn.addEventListener("click", () => this.submitQuiz());
+        this.quizCloseBtn.addEventListener("click", () => this.closeQuiz());
+        this.exportCsvBtn.addEventListener("click", () => this.exportCSV());
+        this.exportJsonBtn.addEventListener("click", () => this.exportJSON());
+        this.exportSvgBtn.addEventListener("click", () => this.exportSVG());
+        this.exportPngBtn.addEventListener("click", () => this.exportPNG());
+        this.shareBtn.addEventListener("click", () => this.shareLink());
+
+        // A pasted scenario link in the same tab only changes the hash
+        window.addEventListener("hashchange", () => this.restoreFromURL());
+
+        // Workspaces, and autosave whenever a setting changes
+        this.saveWorkspaceBtn.addEventListener("click", () => this.saveWorkspace());
+        this.workspaceNameInput.addEventListener("keypress", (e) => {
+            if (e.key === "Enter") this.saveWorkspace();
+        });
+        this.algorithmSelect.closest(".card").addEventListener("change", () => this.scheduleAutosave());
         this.clearAllBtn.addEventListener("click", () => this.clearAll());
+        this.undoBtn.addEventListener("click", () => this.undo());
+        this.redoBtn.addEventListener("click", () => this.redo());
+
+        // Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y); text fields keep their own undo
+        document.addEventListener("keydown", (e) => {
+            if (!(e.ctrlKey || e.metaKey)) return;
+            const key = e.key.toLowerCase();
+            if (key !== "z" && key !== "y") return;
+            if (e.target.closest && e.target.closest("input, textarea, select, [contenteditable]")) return;
+
+            e.preventDefault();
+            if (key === "y" || e.shiftKey) this.redo();
+            else this.undo();
+        });
 
         // Enter key to add process
         this.processIdInput.addEventListener("keypress", (e) => {
@@ -163,6 +480,47 @@ class Scheduler {
 
         // Download template button
         this.downloadTemplate.addEventListener("click", () => this.downloadSampleTemplate());
+
+        // Workload generator
+        this.generateBtn.addEventListener("click", () => this.generateProcesses());
+        [this.genArrivalInput, this.genBurstInput, this.genPriorityEnabledInput].forEach(input => {
+            input.addEventListener("change", () => this.updateGeneratorFields());
+        });
+
+        // Gantt zoom, pan, tooltips and process selection
+        this.zoomInBtn.addEventListener("click", () => this.zoomGantt(this.ganttZoom * 2));
+        this.zoomOutBtn.addEventListener("click", () => this.zoomGantt(this.ganttZoom / 2));
+        this.zoomFitBtn.addEventListener("click", () => this.zoomGantt(1));
+        this.ganttContainer.addEventListener("wheel", (e) => this.handleGanttWheel(e), { passive: false });
+        this.ganttContainer.addEventListener("pointerdown", (e) => this.startGanttDrag(e));
+        window.addEventListener("pointermove", (e) => this.moveGanttDrag(e));
+        window.addEventListener("pointerup", (e) => this.endGanttDrag(e));
+        window.addEventListener("pointercancel", (e) => this.endGanttDrag(e));
+        this.ganttContainer.addEventListener("mousemove", (e) => this.showGanttTooltip(e));
+        this.ganttContainer.addEventListener("mouseleave", () => this.hideGanttTooltip());
+        this.ganttContainer.addEventListener("click", (e) => {
+            if (this.ganttDragged) {
+                this.ganttDragged = false;
+                return;
+            }
+            const target = e.target.closest(".gantt-bar[data-process], .swimlane-row[data-process]");
+            if (target && this.isProcessId(target.dataset.process)) this.selectProcess(target.dataset.process);
+        });
+        this.executionDetails.addEventListener("click", (e) => {
+            const row = e.target.closest("tr[data-process]");
+            if (!row) return;
+            this.selectProcess(row.dataset.process);
+            if (this.selectedProcess !== null) this.revealProcessInGantt(this.selectedProcess);
+        });
+
+        // Playback controls
+        this.playPauseBtn.addEventListener("click", () => this.togglePlayback());
+        this.stepForwardBtn.addEventListener("click", () => this.stepPlayback(1));
+        this.stepBackBtn.addEventListener("click", () => this.stepPlayback(-1));
+        this.playbackSpeed.addEventListener("change", () => {
+            // Restart the timer so the new speed applies immediately
+            if (this.playback.timer) this.startPlayback();
+        });
     }
 
     /* ============================================================================
@@ -180,6 +538,73 @@ class Scheduler {
 
         this.manualTab.classList.toggle("active", tabName === "manual");
         this.uploadTab.classList.toggle("active", tabName === "upload");
+        this.generateTab.classList.toggle("active", tabName === "generate");
+    }
+
+    /* ============================================================================
+       WORKLOAD GENERATOR
+    ============================================================================ */
+
+    /**
+     * Show only the parameters used by the selected distributions
+     */
+    updateGeneratorFields() {
+        const poisson = this.genArrivalInput.value === "poisson";
+        this.genArrivalUniform.style.display = poisson ? "none" : "block";
+        this.genArrivalPoisson.style.display = poisson ? "block" : "none";
+
+        const burst = this.genBurstInput.value;
+        this.genBurstRange.style.display = burst === "exponential" ? "none" : "grid";
+        this.genBurstMean.style.display = burst === "exponential" ? "block" : "none";
+        this.genBimodal.style.display = burst === "bimodal" ? "block" : "none";
+
+        this.genPriorityRange.style.display = this.genPriorityEnabledInput.checked ? "grid" : "none";
+    }
+
+    /**
+     * Generate a seeded random workload and add it to the process list
+     * An empty seed picks a random one and fills it in, so the workload can be
+     * reproduced later
+     */
+    generateProcesses() {
+        const count = Number(this.genCountInput.value);
+        const max = SchedulerEngine.MAX_GENERATED_PROCESSES;
+        if (!(Number.isInteger(count) && count >= 1 && count <= max)) {
+            return alert(`⚠️ Number of processes must be between 1 and ${max}.`);
+        }
+        if (this.genSeedInput.value.trim() === "") {
+            this.genSeedInput.value = Math.floor(Math.random() * 1000000);
+        }
+
+        // Continue numbering after existing P<n> IDs so generated IDs never clash
+        const lastId = this.processes.reduce((max, p) => {
+            const match = /^P(\d+)$/.exec(p.id);
+            return match ? Math.max(max, parseInt(match[1])) : max;
+        }, 0);
+
+        const options = {
+            count,
+            seed: parseInt(this.genSeedInput.value) || 0,
+            arrivalDistribution: this.genArrivalInput.value,
+            arrivalMax: Math.max(0, parseInt(this.genArrivalMaxInput.value) || 0),
+            meanInterArrival: Math.max(0.1, parseFloat(this.genMeanGapInput.value) || 1),
+            burstDistribution: this.genBurstInput.value,
+            burstMin: Math.max(1, parseInt(this.genBurstMinInput.value) || 1),
+            burstMax: Math.max(1, parseInt(this.genBurstMaxInput.value) || 1),
+            meanBurst: Math.max(1, parseFloat(this.genMeanBurstInput.value) || 1),
+            cpuBoundShare: Math.min(Math.max(parseFloat(this.genCpuShareInput.value) || 0, 0), 100) / 100,
+            firstId: lastId + 1
+        };
+        if (this.genPriorityEnabledInput.checked) {
+            options.priorityMin = parseInt(this.genPriorityMinInput.value) || 0;
+            options.priorityMax = parseInt(this.genPriorityMaxInput.value) || 0;
+        }
+
+        this.recordHistory();
+        SchedulerEngine.generateWorkload(options).forEach(p => {
+            this.processes.push({ ...p, queue: "interactive" });
+        });
+        this.renderProcesses();
     }
 
     /* ============================================================================
@@ -274,6 +699,7 @@ class Scheduler {
         let successCount = 0;
         let errorCount = 0;
         const errors = [];
+        const before = JSON.stringify(this.processes);
 
         data.forEach((row, index) => {
             // Normalize column names (case-insensitive, trim whitespace)
@@ -287,6 +713,12 @@ class Scheduler {
             let arrival = null;
             let burst = null;
             let priority = 1;
+            let queue = "interactive";
+            let sequence = null;
+            let affinity = null;
+            let period = null;
+            let deadline = null;
+            let nice = null;
 
             // Find Process ID (supports: Process, ProcessID, PID)
             if (normalizedRow.hasOwnProperty('process')) process = normalizedRow.process;
@@ -304,9 +736,32 @@ class Scheduler {
             else if (normalizedRow.hasOwnProperty('burst')) burst = normalizedRow.burst;
             else if (normalizedRow.hasOwnProperty('bt')) burst = normalizedRow.bt;
 
-            // Find Priority (optional, supports: Priority, P)
+            // Find Priority (optional, supports: Priority, P, Tickets for Lottery / Stride)
             if (normalizedRow.hasOwnProperty('priority')) priority = normalizedRow.priority;
             else if (normalizedRow.hasOwnProperty('p')) priority = normalizedRow.p;
+            else if (normalizedRow.hasOwnProperty('tickets')) priority = normalizedRow.tickets;
+
+            // Find Queue Class (optional, supports: Queue, QueueClass, Class)
+            if (normalizedRow.hasOwnProperty('queue')) queue = normalizedRow.queue;
+            else if (normalizedRow.hasOwnProperty('queueclass')) queue = normalizedRow.queueclass;
+            else if (normalizedRow.hasOwnProperty('class')) queue = normalizedRow.class;
+
+            // Find Burst Sequence (optional, supports: Bursts, BurstSequence, Sequence)
+            if (normalizedRow.hasOwnProperty('bursts')) sequence = normalizedRow.bursts;
+            else if (normalizedRow.hasOwnProperty('burstsequence')) sequence = normalizedRow.burstsequence;
+            else if (normalizedRow.hasOwnProperty('sequence')) sequence = normalizedRow.sequence;
+
+            // Find Core Affinity (optional, supports: Affinity, Core, CPU)
+            if (normalizedRow.hasOwnProperty('affinity')) affinity = normalizedRow.affinity;
+            else if (normalizedRow.hasOwnProperty('core')) affinity = normalizedRow.core;
+            else if (normalizedRow.hasOwnProperty('cpu')) affinity = normalizedRow.cpu;
+
+            // Find Period and relative Deadline (optional, periodic tasks for EDF / RM)
+            if (normalizedRow.hasOwnProperty('period')) period = normalizedRow.period;
+            if (normalizedRow.hasOwnProperty('deadline')) deadline = normalizedRow.deadline;
+
+            // Find Nice value (optional, CFS)
+            if (normalizedRow.hasOwnProperty('nice')) nice = normalizedRow.nice;
 
             // Validation checks
             if (!process) {
@@ -328,32 +783,79 @@ class Scheduler {
                 return;
             }
 
-            const arrivalNum = Number(arrival);
-            if (isNaN(arrivalNum) || arrivalNum < 0) {
-                errors.push(`Row ${index + 2}: Invalid arrival time for ${process}`);
+            // A burst sequence (CPU/IO phases) replaces the plain burst time
+            let bursts = null;
+            if (sequence !== null && String(sequence).trim() !== "") {
+                try {
+                    bursts = SchedulerEngine.parseBurstSequence(sequence);
+                } catch (err) {
+                    errors.push(`Row ${index + 2}: ${err.message} for ${process}`);
+                    errorCount++;
+                    return;
+                }
+            }
+
+            // Times are checked once rounded, the way they will be stored
+            const periodText = String(period ?? "").trim();
+            const deadlineText = String(deadline ?? "").trim();
+            const times = {
+                arrival: SchedulerEngine.roundTime(Number(arrival)),
+                burst: bursts ? undefined : SchedulerEngine.roundTime(Number(burst)),
+                period: periodText ? SchedulerEngine.roundTime(Number(periodText)) : undefined,
+                deadline: deadlineText ? SchedulerEngine.roundTime(Number(deadlineText)) : undefined
+            };
+            const timeError = this.validateProcessTimes(process, times);
+            if (timeError) {
+                errors.push(`Row ${index + 2}: ${timeError}`);
+                errorCount++;
+                return;
+            }
+
+            // Queue class must be a known class name or a level number
+            const queueName = String(queue ?? "").trim().toLowerCase() || "interactive";
+            if (!SchedulerEngine.isQueueClass(queueName)) {
+                errors.push(`Row ${index + 2}: Invalid queue class for ${process}`);
+                errorCount++;
+                return;
+            }
+
+            // Affinity must be a core number when given
+            const affinityText = String(affinity ?? "").trim();
+            if (affinityText && !/^\d+$/.test(affinityText)) {
+                errors.push(`Row ${index + 2}: Invalid core affinity for ${process}`);
                 errorCount++;
                 return;
             }
 
-            if (!burst || burst <= 0) {
-                errors.push(`Row ${index + 2}: Invalid burst time for ${process}`);
+            // Nice must be a whole number from -20 to 19 when given
+            const niceText = String(nice ?? "").trim();
+            if (niceText && !(/^-?\d+$/.test(niceText) && parseInt(niceText) >= -20 && parseInt(niceText) <= 19)) {
+                errors.push(`Row ${index + 2}: Invalid nice value for ${process}`);
                 errorCount++;
                 return;
             }
 
             // Add valid process
-            this.processes.push({
+            const newProcess = {
                 id: String(process),
-                arrival: arrivalNum,
-                burst: parseInt(burst),
-                priority: parseInt(priority) || 1
-            });
+                arrival: times.arrival,
+                burst: bursts ? SchedulerEngine.cpuTimeOf({ bursts }) : times.burst,
+                priority: parseInt(priority) || 1,
+                queue: queueName
+            };
+            if (bursts) newProcess.bursts = bursts;
+            if (affinityText) newProcess.affinity = parseInt(affinityText);
+            if (periodText) newProcess.period = times.period;
+            if (deadlineText) newProcess.deadline = times.deadline;
+            if (niceText) newProcess.nice = parseInt(niceText);
+            this.processes.push(newProcess);
 
             successCount++;
         });
 
         // Show results with detailed feedback
         if (successCount > 0) {
+            this.recordHistory(before);
             this.renderProcesses();
             alert(`✅ Successfully imported ${successCount} process(es).${errorCount > 0 ? `\n\n⚠️ ${errorCount} error(s) found:\n${errors.slice(0, 5).join('\n')}${errors.length > 5 ? '\n...' : ''}` : ''}`);
         } else {
@@ -366,23 +868,38 @@ class Scheduler {
      * Creates a CSV file with example data and triggers download
      */
     downloadSampleTemplate() {
-        const csvContent = `Process,ArrivalTime,BurstTime,Priority
-P1,0,5,2
-P2,1,3,1
-P3,2,8,3
-P4,3,6,2
-P5,4,4,1`;
-
-        const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+        const csvContent = `Process,ArrivalTime,BurstTime,Priority,Queue
+P1,0,5,2,system
+P2,1,3,1,interactive
+P3,2,8,3,batch
+P4,3,6,2,interactive
+P5,4,4,1,system`;
+
+        this.downloadFile(csvContent, 'cpu_scheduler_template.csv', 'text/csv;charset=utf-8;');
+    }
+
+    /* ============================================================================
+       EXPORT
+       Saves the last run as CSV, JSON, SVG or PNG
+    ============================================================================ */
+
+    /**
+     * Trigger a browser download
+     * @param {(string|Blob)} content - File contents
+     * @param {string} filename - Suggested file name
+     * @param {string} type - MIME type (used when content is a string)
+     */
+    downloadFile(content, filename, type) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type });
         const link = document.createElement('a');
-        
+
         // Handle IE 10+ separately
         if (navigator.msSaveBlob) {
-            navigator.msSaveBlob(blob, 'cpu_scheduler_template.csv');
+            navigator.msSaveBlob(blob, filename);
         } else {
             const url = URL.createObjectURL(blob);
             link.href = url;
-            link.download = 'cpu_scheduler_template.csv';
+            link.download = filename;
             link.style.display = 'none';
             document.body.appendChild(link);
             link.click();
@@ -394,471 +911,2250 @@ P5,4,4,1`;
         }
     }
 
-    /* ============================================================================
-       ALGORITHM INFO MODAL
-    ============================================================================ */
+    /**
+     * Base file name for exports of the last run, e.g. "cpu_schedule_roundrobin"
+     * @returns {string} File name without extension
+     */
+    exportFileName() {
+        return `cpu_schedule_${this.result.algorithm.toLowerCase()}`;
+    }
 
     /**
-     * Show algorithm information modal
-     * Displays detailed description of the selected algorithm
+     * Export the execution details table of the last run as CSV
      */
-    showAlgorithmInfo() {
-        const algo = this.algorithmSelect.value;
-        const algoNames = {
-            FCFS: "First Come First Served (FCFS)",
-            SJF: "Shortest Job First (SJF)",
-            SRTF: "Shortest Remaining Time First (SRTF)",
-            Priority: "Priority Scheduling (Preemptive)",
-            RoundRobin: "Round Robin"
+    exportCSV() {
+        if (!this.result) return;
+
+        const { processes } = this.runInput;
+        const history = this.result.priorityHistory;
+        const hasIO = processes.some(p => p.bursts);
+        const jobs = this.result.jobs;
+        const shares = this.result.shares;
+        const vruntime = this.result.vruntime;
+        const deadlines = {};
+        if (jobs) jobs.forEach(job => { deadlines[job.id] = job.absoluteDeadline; });
+        const missed = new Set(jobs ? this.result.deadlineMisses.map(miss => miss.process) : []);
+        const header = ["Process", "ArrivalTime", "BurstTime"]
+            .concat(history ? ["EffectivePriority"] : [])
+            .concat(["Start", "Completion"])
+            .concat(jobs ? ["Deadline", "Missed"] : [])
+            .concat(["Waiting"])
+            .concat(hasIO ? ["Blocked"] : [])
+            .concat(["Turnaround", "Response", "NormalizedTurnaround", "Preemptions"])
+            .concat(shares ? ["Tickets", "ShareReceived", "ShareExpected"] : [])
+            .concat(vruntime ? ["Nice", "Weight", "Vruntime"] : []);
+
+        // Quote fields containing separators, quotes or line breaks
+        const field = (value) => {
+            const text = String(value ?? "");
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
         };
-        
-        this.modalTitle.textContent = algoNames[algo];
-        this.modalDescription.textContent = this.algorithmDescriptions[algo];
-        this.algoModal.classList.add("active");
+
+        const rows = this.metrics.perProcess.map(p => [p.id, p.arrival, p.burst]
+            .concat(history ? [(history[p.id] || []).map((c, i) => i === 0 ? c.priority : `${c.priority} (t=${c.time})`).join(" → ")] : [])
+            .concat([p.start, p.completion])
+            .concat(jobs ? [deadlines[p.id], missed.has(p.id) ? "yes" : "no"] : [])
+            .concat([p.waiting])
+            .concat(hasIO ? [p.blocked] : [])
+            .concat([p.turnaround, p.response, p.normalizedTurnaround.toFixed(4), p.preemptions])
+            .concat(shares ? [shares[p.id].tickets, shares[p.id].received.toFixed(4), shares[p.id].expected.toFixed(4)] : [])
+            .concat(vruntime ? [SchedulerEngine.niceOf(processes.find(q => q.id === p.id) || {}), this.result.weights[p.id], vruntime[p.id].toFixed(4)] : []));
+
+        const csv = [header, ...rows].map(row => row.map(field).join(",")).join("\n");
+        this.downloadFile(csv, `${this.exportFileName()}.csv`, "text/csv;charset=utf-8;");
     }
 
     /**
-     * Hide algorithm information modal
+     * Export the full run (inputs, options, timeline, metrics) as JSON
+     * Inputs are the ones the run simulated, not the current process list.
      */
-    hideAlgorithmInfo() {
-        this.algoModal.classList.remove("active");
-    }
+    exportJSON() {
+        if (!this.result) return;
+
+        // Everything the engine returned except the (large) playback trace
+        const { snapshots, algorithm, ...details } = this.result;
+        const data = {
+            algorithm,
+            options: this.runInput.options,
+            processes: this.runInput.processes,
+            ...details
+        };
 
-    /* ============================================================================
-       PROCESS MANAGEMENT
-    ============================================================================ */
+        this.downloadFile(JSON.stringify(data, null, 2), `${this.exportFileName()}.json`, "application/json");
+    }
 
     /**
-     * Handle algorithm selection change
-     * Shows/hides relevant inputs based on selected algorithm
+     * Export the Gantt chart as a standalone SVG image
      */
-    handleAlgorithmChange() {
-        const algo = this.algorithmSelect.value;
-        
-        // Show Time Quantum only for Round Robin
-        this.timeQuantumCard.style.display = (algo === "RoundRobin") ? "block" : "none";
-        
-        // Show Priority input only for Priority Scheduling
-        const showPriority = (algo === "Priority");
-        this.priorityInput.style.display = showPriority ? "block" : "none";
-        this.priorityLabel.style.display = showPriority ? "block" : "none";
-        
-        this.renderProcesses();
+    exportSVG() {
+        if (!this.result) return;
+        this.downloadFile(this.buildGanttSVG(), `${this.exportFileName()}.svg`, "image/svg+xml;charset=utf-8");
     }
 
     /**
-     * Clear all processes
-     * Removes all processes and resets the visualization
+     * Export the Gantt chart as a PNG image (the SVG rendered on a canvas)
      */
-    clearAll() {
-        this.processes = [];
-        this.renderProcesses();
-        this.reset();
+    exportPNG() {
+        if (!this.result) return;
+
+        const svg = this.buildGanttSVG();
+        const url = URL.createObjectURL(new Blob([svg], { type: "image/svg+xml;charset=utf-8" }));
+        const image = new Image();
+
+        image.onload = () => {
+            // Render at 2x so the image stays sharp in documents
+            const scale = 2;
+            const canvas = document.createElement("canvas");
+            canvas.width = image.width * scale;
+            canvas.height = image.height * scale;
+            const ctx = canvas.getContext("2d");
+            ctx.scale(scale, scale);
+            ctx.drawImage(image, 0, 0);
+            URL.revokeObjectURL(url);
+
+            canvas.toBlob(blob => {
+                if (!blob) return alert("⚠️ Could not export the PNG: the chart could not be drawn.");
+                this.downloadFile(blob, `${this.exportFileName()}.png`, "image/png");
+            });
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            alert("⚠️ Could not export the PNG: the chart image could not be rendered.");
+        };
+        image.src = url;
     }
 
     /**
-     * Add a new process manually
-     * Validates input and adds process to the list
+     * Build a standalone SVG of the Gantt chart: one lane per CPU core, an
+     * I/O lane when processes do I/O, and a time axis
+     * @returns {string} SVG document
      */
-    addProcess() {
-        const id = this.processIdInput.value.trim();
-        const arrival = parseInt(this.arrivalTimeInput.value) || 0;
-        const burst = parseInt(this.burstTimeInput.value) || 1;
-        const priority = parseInt(this.priorityInput.value) || 1;
+    buildGanttSVG() {
+        // Colors come from the run's own process list, as on screen
+        const { processes } = this.runInput;
+        const timelines = this.result.timelines || [this.timeline];
+        const ioTimeline = this.result.ioTimeline || [];
+        const maxTime = this.metrics.totalTime || 1;
+
+        const width = 900;
+        const labelWidth = 80;
+        const laneHeight = 32;
+        const laneGap = 10;
+        const top = 40;
+        const chartWidth = width - labelWidth - 20;
+        const x = (t) => labelWidth + (t / maxTime) * chartWidth;
+
+        // Lanes: [{ label, bars: [{ start, end, text, fill, dashed }] }]
+        const lanes = timelines.map((timeline, core) => ({
+            label: timelines.length > 1 ? `CPU ${core}` : "CPU",
+            bars: timeline.map(item => {
+                if (item.process === SchedulerEngine.IDLE) {
+                    return { ...item, text: "IDLE", fill: "#1e293b", dashed: true };
+                }
+                if (item.process === SchedulerEngine.CONTEXT_SWITCH) {
+                    return { ...item, text: "CS", fill: "#7f1d1d" };
+                }
+                // Same color rule as the on-screen chart
+                const fill = this.colorsByNice()
+                    ? this.niceColor(item.process, processes)
+                    : this.processColor(item.process, processes);
+                return { ...item, text: item.process, fill };
+            })
+        }));
+        if (ioTimeline.length) {
+            lanes.push({
+                label: "I/O",
+                bars: ioTimeline.map(item => ({
+                    ...item,
+                    text: item.process,
+                    fill: this.processColor(item.process, processes)
+                }))
+            });
+        }
 
-        // Validation
-        if (!id) return alert("Please provide a Process ID.");
-        if (this.processes.some(p => p.id === id)) return alert("Process ID already exists.");
-        if (burst <= 0) return alert("Burst Time must be at least 1.");
+        const axisY = top + lanes.length * (laneHeight + laneGap);
+        const height = axisY + 30;
+        const parts = [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Inter, Arial, sans-serif">`,
+            `<rect width="${width}" height="${height}" fill="#0f172a"/>`,
+            `<text x="${labelWidth}" y="24" font-size="15" font-weight="700" fill="#f1f5f9">${this.escapeHTML(this.algorithmShortNames[this.result.algorithm])} — Gantt Chart</text>`
+        ];
+
+        lanes.forEach((lane, i) => {
+            const y = top + i * (laneHeight + laneGap);
+            parts.push(`<text x="${labelWidth - 10}" y="${y + laneHeight / 2 + 4}" font-size="12" fill="#94a3b8" text-anchor="end">${this.escapeHTML(lane.label)}</text>`);
+
+            lane.bars.forEach(bar => {
+                const barX = x(bar.start);
+                const barWidth = x(bar.end) - barX;
+                const stroke = bar.dashed ? ` stroke="#64748b" stroke-dasharray="4 3"` : ` stroke="#0f172a"`;
+                parts.push(`<rect x="${barX.toFixed(2)}" y="${y}" width="${barWidth.toFixed(2)}" height="${laneHeight}" fill="${bar.fill}"${stroke}/>`);
+
+                // Skip labels that would not fit in the bar
+                if (barWidth >= bar.text.length * 7 + 4) {
+                    parts.push(`<text x="${(barX + barWidth / 2).toFixed(2)}" y="${y + laneHeight / 2 + 4}" font-size="12" font-weight="700" fill="${bar.dashed ? "#64748b" : "#ffffff"}" text-anchor="middle">${this.escapeHTML(bar.text)}</text>`);
+                }
+            });
+        });
 
-        // Add process
-        this.processes.push({ id, arrival, burst, priority });
+        // Deadline misses: a red line on the lane where the late job finished
+        (this.result.deadlineMisses || []).forEach(miss => {
+            const y = top + (miss.core || 0) * (laneHeight + laneGap);
+            parts.push(`<line x1="${x(miss.deadline).toFixed(2)}" y1="${y - 4}" x2="${x(miss.deadline).toFixed(2)}" y2="${y + laneHeight + 4}" stroke="#ef4444" stroke-width="2"><title>${this.escapeHTML(miss.process)} missed its deadline</title></line>`);
+        });
 
-        // Clear input fields
-        this.processIdInput.value = "";
-        this.arrivalTimeInput.value = "0";
-        this.burstTimeInput.value = "1";
-        this.priorityInput.value = "1";
+        // Time axis, thinned out for long schedules
+        parts.push(`<line x1="${labelWidth}" y1="${axisY}" x2="${x(maxTime)}" y2="${axisY}" stroke="#475569"/>`);
+        this.axisTicks(maxTime).forEach(t => {
+            parts.push(`<line x1="${x(t).toFixed(2)}" y1="${axisY}" x2="${x(t).toFixed(2)}" y2="${axisY + 4}" stroke="#475569"/>`);
+            parts.push(`<text x="${x(t).toFixed(2)}" y="${axisY + 16}" font-size="11" fill="#94a3b8" text-anchor="middle">${this.formatTime(t)}</text>`);
+        });
 
-        this.renderProcesses();
+        parts.push("</svg>");
+        return parts.join("\n");
     }
 
+    /* ============================================================================
+       TIME FORMATTING
+       Times may be fractional (e.g. measured traces); they are shown in the
+       selected unit, rounded to the selected number of decimals
+    ============================================================================ */
+
     /**
-     * Delete a specific process
-     * @param {string} id - Process ID to delete
+     * Selected time unit
+     * @returns {string} "ms", "µs" or "ticks"
      */
-    deleteProcess(id) {
-        this.processes = this.processes.filter(p => p.id !== id);
-        this.renderProcesses();
+    timeUnit() {
+        return this.timeUnitSelect.value;
     }
 
     /**
-     * Render the process list
-     * Updates the UI to show all added processes
+     * Decimal places shown for times and averages
+     * @returns {number} 0 to SchedulerEngine.TIME_DECIMALS
      */
-    renderProcesses() {
-        this.processList.innerHTML = "";
+    timePrecision() {
+        const decimals = parseInt(this.timePrecisionInput.value);
+        return Math.min(Math.max(isNaN(decimals) ? 2 : decimals, 0), SchedulerEngine.TIME_DECIMALS);
+    }
 
-        if (this.processes.length === 0) {
-            this.processList.innerHTML = `<p class="placeholder-text">No processes added</p>`;
-            this.clearAllBtn.style.display = "none";
-            return;
-        }
+    /**
+     * Format an instant or duration, without trailing zeros (2.50 -> "2.5", 3 -> "3")
+     * @param {number} value - Time
+     * @returns {string} Rounded to the selected precision
+     */
+    formatTime(value) {
+        return String(+value.toFixed(this.timePrecision()));
+    }
 
-        this.clearAllBtn.style.display = "block";
-        const isPriority = this.algorithmSelect.value === "Priority";
+    /**
+     * Format a duration with its unit, e.g. "12.5 ms"
+     * @param {number} value - Time
+     * @returns {string} Formatted time and unit
+     */
+    formatDuration(value) {
+        return `${this.formatTime(value)} ${this.timeUnit()}`;
+    }
 
-        this.processes.forEach(p => {
-            const div = document.createElement("div");
-            div.className = "process-item";
+    /**
+     * Format an average with exactly the selected number of decimals (2.50)
+     * @param {number} value - Average time
+     * @returns {string} Formatted average
+     */
+    formatAverage(value) {
+        return value.toFixed(this.timePrecision());
+    }
 
-            // Show priority only for Priority Scheduling
-            const detail =
-                `AT:${p.arrival} • BT:${p.burst}` +
-                (isPriority ? ` • P:${p.priority}` : "");
+    /**
+     * Format a rate per time unit, e.g. "0.250 / ms"
+     * @param {number} value - Events per time unit
+     * @returns {string} Formatted rate
+     */
+    formatRate(value) {
+        const unit = this.timeUnit() === "ticks" ? "tick" : this.timeUnit();
+        return `${value.toFixed(3)} / ${unit}`;
+    }
 
-            div.innerHTML = `
-              <div>
-                <div class="process-id">${p.id}</div>
-                <div class="process-details">${detail}</div>
-              </div>
-              <button class="btn btn-danger" onclick="scheduler.deleteProcess('${p.id}')">✕</button>
-            `;
+    /**
+     * Escape user text (process IDs, imported or shared values) for HTML templates
+     * @param {*} value - Value to interpolate
+     * @returns {string} Text safe to place in element content or a quoted attribute
+     */
+    escapeHTML(value) {
+        const entities = { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" };
+        return String(value).replace(/[&<>"']/g, ch => entities[ch]);
+    }
 
-            this.processList.appendChild(div);
-        });
+    /**
+     * Show the selected unit wherever it is part of the static page
+     */
+    updateTimeUnitLabels() {
+        document.querySelectorAll(".time-unit").forEach(el => { el.textContent = this.timeUnit(); });
+    }
+
+    /**
+     * Redraw every time shown after the unit or precision changed
+     */
+    refreshTimeDisplay() {
+        this.updateTimeUnitLabels();
+        if (!this.result) {
+            this.totalTimeEl.textContent = this.formatDuration(0);
+            this.totalTATEl.textContent = this.formatDuration(0);
+            this.waitSpreadEl.textContent = this.formatDuration(0);
+            return;
+        }
+        this.updateMetrics();
+        this.renderExecutionDetails();
+        this.renderSchedulability();
+        this.renderTraceLog();
+        this.renderGantt(this.playback.time);
+        this.setPlaybackTime(this.playback.time);
+        if (this.comparison) this.renderComparison();
     }
 
     /* ============================================================================
-       SCHEDULING ALGORITHMS
-       Each method implements a specific CPU scheduling algorithm
+       SCENARIO STATE
+       The processes, algorithm and options as one plain object, shared by
+       shareable links, saved workspaces and the autosaved session
     ============================================================================ */
 
     /**
-     * FCFS - First Come First Served (Non-Preemptive)
-     * Executes processes in order of arrival
-     * @returns {Array} Timeline of process execution
+     * Capture the current scenario
+     * @returns {Object} { algorithm, options, processes, settings }
      */
-    fcfs() {
-        const result = [];
-        const sorted = [...this.processes].sort((a, b) => a.arrival - b.arrival);
-        let time = 0;
-
-        for (const p of sorted) {
-            // Add idle time if CPU is waiting for process arrival
-            if (time < p.arrival) {
-                result.push({ process: "IDLE", start: time, end: p.arrival });
-                time = p.arrival;
+    getScenario() {
+        return {
+            algorithm: this.algorithmSelect.value,
+            options: this.getAlgorithmOptions(),
+            processes: this.processes,
+            settings: {
+                starvationThreshold: parseFloat(this.starvationThresholdInput.value) || 0,
+                colorByNice: this.colorByNiceInput.checked,
+                ganttView: this.ganttViewSelect.value,
+                timeUnit: this.timeUnit(),
+                timePrecision: this.timePrecision()
             }
-
-            // Execute process
-            result.push({ process: p.id, start: time, end: time + p.burst, arrival: p.arrival });
-            time += p.burst;
-        }
-
-        return result;
+        };
     }
 
     /**
-     * SJF - Shortest Job First (Non-Preemptive)
-     * Selects process with shortest burst time
-     * @returns {Array} Timeline of process execution
+     * Load a scenario into the UI, replacing the current one
+     * @param {Object} scenario - As returned by getScenario()
      */
-    sjf() {
-        const result = [];
-        const remaining = [...this.processes];
-        let time = 0;
-
-        while (remaining.length > 0) {
-            // Get all processes that have arrived
-            const available = remaining.filter(p => p.arrival <= time);
-
-            if (available.length === 0) {
-                // No process available, jump to next arrival
-                const nextArrival = Math.min(...remaining.map(p => p.arrival));
-                result.push({ process: "IDLE", start: time, end: nextArrival });
-                time = nextArrival;
-                continue;
-            }
-
-            // Select process with shortest burst time
-            const p = available.reduce((a, b) => a.burst < b.burst ? a : b);
-            result.push({ process: p.id, start: time, end: time + p.burst, arrival: p.arrival });
-            time += p.burst;
-            remaining.splice(remaining.indexOf(p), 1);
+    applyScenario(scenario) {
+        this.pausePlayback();
+        this.algorithmSelect.value = scenario.algorithm;
+        this.setAlgorithmOptions(scenario.options || {});
+        if (scenario.settings && scenario.settings.starvationThreshold !== undefined) {
+            this.starvationThresholdInput.value = scenario.settings.starvationThreshold;
+        }
+        if (scenario.settings && scenario.settings.colorByNice !== undefined) {
+            this.colorByNiceInput.checked = !!scenario.settings.colorByNice;
+        }
+        if (scenario.settings && scenario.settings.ganttView !== undefined) {
+            this.ganttViewSelect.value = scenario.settings.ganttView;
+        }
+        if (scenario.settings && scenario.settings.timeUnit !== undefined) {
+            this.timeUnitSelect.value = scenario.settings.timeUnit;
+        }
+        if (scenario.settings && scenario.settings.timePrecision !== undefined) {
+            this.timePrecisionInput.value = scenario.settings.timePrecision;
         }
+        this.updateTimeUnitLabels();
+        this.processes = scenario.processes.map(p => ({ ...p }));
 
-        return result;
+        // handleAlgorithmChange() also renders the process list
+        this.handleAlgorithmChange();
+        this.reset();
     }
 
+    /* ============================================================================
+       SHAREABLE LINKS
+       The workload, algorithm and options are encoded in the URL hash
+       (#s=<SchedulerEngine.encodeScenario()>)
+    ============================================================================ */
+
     /**
-     * Priority Scheduling (Preemptive)
-     * Executes highest priority process, can preempt lower priority
-     * Lower priority number = Higher priority
-     * @returns {Array} Timeline of process execution
+     * Build a link to the current scenario, put it in the address bar and
+     * copy it to the clipboard
      */
-    priority() {
-        const procs = this.processes.map(p => ({ ...p, remaining: p.burst }));
-        const result = [];
-        let time = 0;
-        let active = null;
-        let startTime = 0;
-
-        while (procs.some(p => p.remaining > 0)) {
-            // Get all available processes
-            const available = procs.filter(p => p.arrival <= time && p.remaining > 0);
-
-            if (available.length === 0) {
-                // No process available, add idle time
-                const nextArrival = Math.min(...procs.filter(p => p.remaining > 0).map(p => p.arrival));
-                result.push({ process: "IDLE", start: time, end: nextArrival });
-                time = nextArrival;
-                continue;
-            }
-
-            // Get highest priority process (lower number = higher priority)
-            const highestPriority = available.reduce((a, b) => a.priority < b.priority ? a : b);
-
-            // Preemption: switch to higher priority process
-            if (active !== highestPriority) {
-                if (active !== null) {
-                    result.push({ process: active.id, start: startTime, end: time });
-                }
-                active = highestPriority;
-                startTime = time;
-            }
+    shareLink() {
+        let encoded;
+        try {
+            encoded = SchedulerEngine.encodeScenario({
+                ...this.getScenario(),
+                autorun: this.shareAutorunInput.checked
+            });
+        } catch (err) {
+            return alert(`⚠️ Could not create the share link: ${err.message}`);
+        }
 
-            // Execute for 1 time unit
-            active.remaining--;
-            time++;
+        // Update the address bar without triggering hashchange / a reload
+        history.replaceState(null, "", `#s=${encoded}`);
+        const url = location.href;
 
-            // Process completed
-            if (active.remaining === 0) {
-                result.push({ process: active.id, start: startTime, end: time, arrival: active.arrival });
-                active = null;
-            }
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(url)
+                .then(() => alert("🔗 Link copied to clipboard."))
+                .catch(() => prompt("Copy this link:", url));
+        } else {
+            prompt("Copy this link:", url);
         }
-
-        return result;
     }
 
     /**
-     * SRTF - Shortest Remaining Time First (Preemptive SJF)
-     * Preempts if a process with shorter remaining time arrives
-     * @returns {Array} Timeline of process execution
+     * Restore a scenario from the URL hash, if there is one
+     * Auto-runs when the link asks for it
+     * @returns {boolean} Whether a scenario was loaded
      */
-    srtf() {
-        const procs = this.processes.map(p => ({ ...p, remaining: p.burst }));
-        const result = [];
-        let time = 0;
-        let active = null;
-        let startTime = 0;
-
-        while (procs.some(p => p.remaining > 0)) {
-            const available = procs.filter(p => p.arrival <= time && p.remaining > 0);
-
-            if (available.length === 0) {
-                const nextArrival = Math.min(...procs.filter(p => p.remaining > 0).map(p => p.arrival));
-                result.push({ process: "IDLE", start: time, end: nextArrival });
-                time = nextArrival;
-                continue;
-            }
+    restoreFromURL() {
+        const match = /^#s=(.+)$/.exec(location.hash);
+        if (!match) return false;
 
-            // Select process with shortest remaining time
-            const shortest = available.reduce((a, b) => a.remaining < b.remaining ? a : b);
+        let scenario;
+        try {
+            scenario = SchedulerEngine.decodeScenario(decodeURIComponent(match[1]));
+        } catch (err) {
+            alert(`⚠️ Could not load the shared scenario: ${err.message}`);
+            return false;
+        }
 
-            // Preemption check
-            if (active !== shortest) {
-                if (active !== null) {
-                    result.push({ process: active.id, start: startTime, end: time });
-                }
-                active = shortest;
-                startTime = time;
-            }
+        this.applyScenario(scenario);
+        this.shareAutorunInput.checked = scenario.autorun;
+        if (scenario.autorun && this.processes.length > 0) this.run();
+        return true;
+    }
 
-            active.remaining--;
-            time++;
+    /* ============================================================================
+       WORKSPACES
+       Named scenarios kept in localStorage, and an autosave of the current
+       session. Only inputs and options are stored; results are re-run on load.
+    ============================================================================ */
 
-            if (active.remaining === 0) {
-                result.push({ process: active.id, start: startTime, end: time, arrival: active.arrival });
-                active = null;
-            }
+    /**
+     * Read a JSON value from localStorage
+     * @param {string} key - Storage key
+     * @param {*} fallback - Returned when missing, unreadable or storage is blocked
+     * @returns {*} Stored value
+     */
+    readStorage(key, fallback) {
+        try {
+            const text = localStorage.getItem(key);
+            return text ? JSON.parse(text) : fallback;
+        } catch (err) {
+            return fallback;
         }
-
-        return result;
     }
 
     /**
-     * Round Robin (Preemptive)
-     * Each process gets a fixed time quantum in circular order
-     * @param {number} tq - Time quantum
-     * @returns {Array} Timeline of process execution
+     * Write a JSON value to localStorage
+     * @param {string} key - Storage key
+     * @param {*} value - Value to store
+     * @returns {boolean} Whether it was stored (false when full or blocked)
      */
-    roundRobin(tq) {
-        const result = [];
-        const queue = [];
-        const procs = this.processes.map(p => ({ ...p, remaining: p.burst }));
-        let time = 0;
+    writeStorage(key, value) {
+        try {
+            localStorage.setItem(key, JSON.stringify(value));
+            return true;
+        } catch (err) {
+            return false;
+        }
+    }
+
+    /**
+     * Current scenario plus the inputs and average wait of its last run, as
+     * stored in a workspace. Results are not stored: they can outgrow the
+     * storage quota, and loading re-runs the (deterministic) simulation with
+     * the last run's own algorithm, options and processes. The processes are
+     * left out (null) while they match the scenario's.
+     * A run still being simulated counts as the last run (without its average
+     * wait yet), so saving while a loaded workspace re-runs keeps its results.
+     * @returns {Object} { scenario, lastRun: { algorithm, options, processes, avgWait } | null, savedAt }
+     */
+    getWorkspaceState() {
+        const scenario = this.getScenario();
+        const run = this.pendingRun || (this.result ? this.runInput : null);
+        let lastRun = null;
+        if (run) {
+            const { algorithm, options, processes } = run;
+            lastRun = {
+                algorithm,
+                options,
+                processes: JSON.stringify(processes) === JSON.stringify(scenario.processes) ? null : processes,
+                avgWait: this.pendingRun ? null : this.metrics.avgWait
+            };
+        }
+        return { scenario, lastRun, savedAt: new Date().toISOString() };
+    }
+
+    /**
+     * Restore a stored workspace state, re-running its last run if it had one
+     * @param {Object} state - As returned by getWorkspaceState()
+     */
+    applyWorkspaceState(state) {
+        this.applyScenario(state.scenario);
+        const { lastRun } = state;
+        if (!lastRun) return;
+        this.run({
+            algorithm: lastRun.algorithm,
+            options: lastRun.options,
+            processes: lastRun.processes || state.scenario.processes
+        });
+    }
+
+    /**
+     * Save the current scenario under the name typed in the workspace panel
+     */
+    saveWorkspace() {
+        const name = this.workspaceNameInput.value.trim();
+        if (!name) return alert("Please enter a workspace name.");
+
+        const workspaces = this.readStorage(this.storageKeys.workspaces, {});
+        if (workspaces[name] && !confirm(`Overwrite workspace "${name}"?`)) return;
+
+        workspaces[name] = this.getWorkspaceState();
+        if (!this.writeStorage(this.storageKeys.workspaces, workspaces)) {
+            return alert("❌ Could not save: browser storage is full or disabled.");
+        }
+
+        this.workspaceNameInput.value = "";
+        this.renderWorkspaces();
+    }
+
+    /**
+     * Load a saved workspace, replacing the current processes and settings
+     * @param {string} name - Workspace name
+     */
+    loadWorkspace(name) {
+        const workspace = this.readStorage(this.storageKeys.workspaces, {})[name];
+        if (!workspace) return;
+        this.recordHistory();
+        this.applyWorkspaceState(workspace);
+        this.autosave();
+    }
+
+    /**
+     * Rename a saved workspace
+     * @param {string} name - Current name
+     */
+    renameWorkspace(name) {
+        const workspaces = this.readStorage(this.storageKeys.workspaces, {});
+        const newName = (prompt("New workspace name:", name) || "").trim();
+        if (!newName || newName === name) return;
+        if (workspaces[newName]) return alert(`A workspace named "${newName}" already exists.`);
+
+        workspaces[newName] = workspaces[name];
+        delete workspaces[name];
+        if (!this.writeStorage(this.storageKeys.workspaces, workspaces)) {
+            return alert("❌ Could not rename: browser storage is full or disabled.");
+        }
+        this.renderWorkspaces();
+    }
+
+    /**
+     * Copy a saved workspace under a free "<name> (copy)" name
+     * @param {string} name - Workspace to copy
+     */
+    duplicateWorkspace(name) {
+        const workspaces = this.readStorage(this.storageKeys.workspaces, {});
+        let copyName = `${name} (copy)`;
+        for (let i = 2; workspaces[copyName]; i++) copyName = `${name} (copy ${i})`;
+
+        workspaces[copyName] = { ...workspaces[name], savedAt: new Date().toISOString() };
+        if (!this.writeStorage(this.storageKeys.workspaces, workspaces)) {
+            return alert("❌ Could not save: browser storage is full or disabled.");
+        }
+        this.renderWorkspaces();
+    }
+
+    /**
+     * Delete a saved workspace after confirmation
+     * @param {string} name - Workspace name
+     */
+    deleteWorkspace(name) {
+        if (!confirm(`Delete workspace "${name}"?`)) return;
+
+        const workspaces = this.readStorage(this.storageKeys.workspaces, {});
+        delete workspaces[name];
+        if (!this.writeStorage(this.storageKeys.workspaces, workspaces)) {
+            return alert("❌ Could not delete: browser storage is disabled.");
+        }
+        this.renderWorkspaces();
+    }
+
+    /**
+     * Render the saved workspace list, newest first
+     */
+    renderWorkspaces() {
+        const workspaces = this.readStorage(this.storageKeys.workspaces, {});
+        const names = Object.keys(workspaces)
+            .sort((a, b) => String(workspaces[b].savedAt).localeCompare(String(workspaces[a].savedAt)));
+
+        this.workspaceList.innerHTML = "";
+        if (names.length === 0) {
+            this.workspaceList.innerHTML = `<p class="placeholder-text">No saved workspaces</p>`;
+            return;
+        }
+
+        names.forEach(name => {
+            const { scenario, lastRun, savedAt } = workspaces[name];
+            const avgWait = lastRun && lastRun.avgWait;
+            const runProcesses = lastRun && lastRun.processes;
+            const summary = `${scenario.processes.length} process(es) • ` +
+                (lastRun
+                    ? `last run: ${this.algorithmShortNames[lastRun.algorithm]}` +
+                      (runProcesses ? ` on ${runProcesses.length} process(es)` : "") +
+                      (typeof avgWait === "number" ? `, avg WT ${this.formatAverage(avgWait)}` : "")
+                    : this.algorithmShortNames[scenario.algorithm]);
+
+            const div = document.createElement("div");
+            div.className = "process-item workspace-item";
+            div.innerHTML = `
+              <div>
+                <div class="process-id"></div>
+                <div class="process-details workspace-summary"></div>
+                <div class="process-details">${new Date(savedAt).toLocaleString()}</div>
+              </div>
+              <div class="item-actions">
+                <button class="btn btn-primary" data-action="load" title="Load">⤓</button>
+                <button class="btn btn-secondary" data-action="rename" title="Rename">✎</button>
+                <button class="btn btn-secondary" data-action="duplicate" title="Duplicate">⧉</button>
+                <button class="btn btn-danger" data-action="delete" title="Delete">✕</button>
+              </div>
+            `;
+            // Names are user text: set them without HTML interpretation
+            div.querySelector(".process-id").textContent = name;
+            div.querySelector(".workspace-summary").textContent = summary;
+
+            div.querySelectorAll("[data-action]").forEach(btn => {
+                btn.addEventListener("click", () => {
+                    const action = btn.dataset.action;
+                    if (action === "load") this.loadWorkspace(name);
+                    else if (action === "rename") this.renameWorkspace(name);
+                    else if (action === "duplicate") this.duplicateWorkspace(name);
+                    else this.deleteWorkspace(name);
+                });
+            });
+
+            this.workspaceList.appendChild(div);
+        });
+    }
+
+    /**
+     * Save the current session shortly after a change (debounced)
+     */
+    scheduleAutosave() {
+        clearTimeout(this.autosaveTimer);
+        this.autosaveTimer = setTimeout(() => this.autosave(), 300);
+    }
+
+    /**
+     * Save the current session so a reload or closed tab does not lose it
+     * A failed save is shown in the status line instead of passing silently.
+     */
+    autosave() {
+        clearTimeout(this.autosaveTimer);
+        const saved = this.writeStorage(this.storageKeys.session, this.getWorkspaceState());
+        this.autosaveStatus.textContent = saved
+            ? `Autosaved ${new Date().toLocaleTimeString()}`
+            : "⚠️ Autosave failed: browser storage is full or disabled. Export or share the scenario to keep it.";
+        this.autosaveStatus.classList.toggle("storage-error", !saved);
+    }
+
+    /**
+     * Restore the autosaved session, if there is one
+     * @returns {boolean} Whether a session was restored
+     */
+    restoreAutosave() {
+        const state = this.readStorage(this.storageKeys.session, null);
+        if (!state || !state.scenario || !SchedulerEngine.ALGORITHMS[state.scenario.algorithm]) return false;
+
+        this.applyWorkspaceState(state);
+        return true;
+    }
+
+    /* ============================================================================
+       ALGORITHM INFO MODAL
+    ============================================================================ */
+
+    /**
+     * Show algorithm information modal
+     * Displays detailed description of the selected algorithm
+     */
+    showAlgorithmInfo() {
+        const algo = this.algorithmSelect.value;
+        const algoNames = {
+            FCFS: "First Come First Served (FCFS)",
+            SJF: "Shortest Job First (SJF)",
+            SRTF: "Shortest Remaining Time First (SRTF)",
+            HRRN: "Highest Response Ratio Next (HRRN)",
+            LJF: "Longest Job First (LJF)",
+            LRTF: "Longest Remaining Time First (LRTF)",
+            Priority: `Priority Scheduling (${this.priorityPreemptiveInput.checked ? "Preemptive" : "Non-Preemptive"})`,
+            RoundRobin: "Round Robin",
+            MLFQ: "Multilevel Feedback Queue (MLFQ)",
+            MLQ: "Multilevel Queue (MLQ)",
+            CFS: "Completely Fair Scheduler (CFS)",
+            Lottery: "Lottery Scheduling",
+            Stride: "Stride Scheduling",
+            EDF: "Earliest Deadline First (EDF)",
+            RM: "Rate Monotonic (RM)"
+        };
+        
+        this.modalTitle.textContent = algoNames[algo];
+        this.modalDescription.textContent = this.algorithmDescriptions[algo];
+        this.algoModal.classList.add("active");
+    }
+
+    /**
+     * Hide algorithm information modal
+     */
+    hideAlgorithmInfo() {
+        this.algoModal.classList.remove("active");
+    }
+
+    /* ============================================================================
+       PROCESS MANAGEMENT
+    ============================================================================ */
+
+    /**
+     * Handle algorithm selection change
+     * Shows/hides relevant inputs based on selected algorithm
+     */
+    handleAlgorithmChange() {
+        const algo = this.algorithmSelect.value;
+        
+        // Show Time Quantum for the quantum-based algorithms, the seed only for Lottery
+        const proportional = SchedulerEngine.PROPORTIONAL_SHARE_ALGORITHMS.includes(algo);
+        this.timeQuantumCard.style.display = (algo === "RoundRobin" || proportional) ? "block" : "none";
+        this.lotteryCard.style.display = (algo === "Lottery") ? "block" : "none";
+        
+        // Show Priority input for Priority Scheduling, and as tickets for Lottery / Stride
+        const showPriority = (algo === "Priority");
+        this.priorityInput.style.display = (showPriority || proportional) ? "block" : "none";
+        this.priorityLabel.style.display = (showPriority || proportional) ? "block" : "none";
+        this.agingCard.style.display = showPriority ? "block" : "none";
+        this.priorityOptionsCard.style.display = showPriority ? "block" : "none";
+        this.updatePriorityLabel();
+
+        // Tie-break rule applies to the key-based algorithms
+        const showTieBreak = ["SJF", "SRTF", "HRRN", "LJF", "LRTF", "Priority", "CFS", "Stride", "EDF", "RM"].includes(algo);
+        this.tieBreakCard.style.display = showTieBreak ? "block" : "none";
+
+        // Show queue levels for MLFQ/MLQ, boost only for MLFQ, queue class only for MLQ
+        const multilevel = (algo === "MLFQ" || algo === "MLQ");
+        this.multilevelCard.style.display = multilevel ? "block" : "none";
+        this.boostCard.style.display = (algo === "MLFQ") ? "block" : "none";
+        this.queueClassInput.style.display = (algo === "MLQ") ? "block" : "none";
+        this.queueClassLabel.style.display = (algo === "MLQ") ? "block" : "none";
+        this.renderLevelConfig();
+
+        // Nice value and slice sizing only for CFS
+        this.cfsCard.style.display = (algo === "CFS") ? "block" : "none";
+        this.niceInput.style.display = (algo === "CFS") ? "block" : "none";
+        this.niceLabel.style.display = (algo === "CFS") ? "block" : "none";
+
+        // Period and deadline only for the real-time algorithms
+        const realtime = SchedulerEngine.REALTIME_ALGORITHMS.includes(algo);
+        this.periodicFields.style.display = realtime ? "block" : "none";
+        
+        this.renderProcesses();
+    }
+
+    /**
+     * Show queue options only for more than one core; load balancing only
+     * applies to per-core queues
+     */
+    updateMulticoreOptions() {
+        const cores = Math.min(Math.max(parseInt(this.coreCountInput.value) || 1, 1), 8);
+        this.coreCountInput.value = cores;
+        this.multicoreCard.style.display = cores > 1 ? "block" : "none";
+        this.loadBalanceInput.disabled = !this.perCoreQueuesInput.checked;
+    }
+
+    /**
+     * Keep the priority input label in sync with the priority order toggle
+     * (the same input holds tickets for Lottery / Stride)
+     */
+    updatePriorityLabel() {
+        if (SchedulerEngine.PROPORTIONAL_SHARE_ALGORITHMS.includes(this.algorithmSelect.value)) {
+            this.priorityLabel.textContent = "Tickets";
+            return;
+        }
+        this.priorityLabel.textContent = this.higherPriorityFirstInput.checked
+            ? "Priority (higher = higher)"
+            : "Priority (lower = higher)";
+    }
 
-        while (queue.length > 0 || procs.some(p => p.remaining > 0)) {
-            // Add newly arrived processes to queue
-            procs.filter(p => p.arrival === time).forEach(p => queue.push(p));
+    /**
+     * Render one row (policy + quantum) per MLFQ/MLQ queue level
+     * Keeps the values already entered for levels that still exist
+     * @param {Array} [current] - Level settings to show instead of the entered ones
+     */
+    renderLevelConfig(current = this.getLevelConfig()) {
+        const count = Math.min(Math.max(parseInt(this.levelCountInput.value) || 1, 1), 5);
+        this.levelCountInput.value = count;
+
+        const defaults = SchedulerEngine.DEFAULT_LEVELS;
+        const isMLQ = this.algorithmSelect.value === "MLQ";
+
+        this.levelConfig.innerHTML = "";
+        for (let i = 0; i < count; i++) {
+            // New levels default to the engine's defaults, or RR with a doubled quantum
+            const level = current[i] || defaults[i] || { quantum: 2 ** (i + 1), policy: "RR" };
+            const name = isMLQ ? `Q${i} · ${SchedulerEngine.QUEUE_CLASSES[i] || "user"}` : `Q${i}`;
+
+            const row = document.createElement("div");
+            row.className = "level-row";
+            row.innerHTML = `
+              <span class="level-name">${name}</span>
+              <select class="form-select level-policy">
+                <option value="RR" ${level.policy === "RR" ? "selected" : ""}>RR</option>
+                <option value="FCFS" ${level.policy === "FCFS" ? "selected" : ""}>FCFS</option>
+              </select>
+              <input type="number" class="form-input level-quantum" min="0" step="any" title="Time quantum" />
+            `;
+            row.querySelector(".level-quantum").value = level.quantum || 2 ** (i + 1);
+
+            // Quantum is meaningless for FCFS levels
+            const policy = row.querySelector(".level-policy");
+            const quantum = row.querySelector(".level-quantum");
+            quantum.disabled = policy.value === "FCFS";
+            policy.addEventListener("change", () => { quantum.disabled = policy.value === "FCFS"; });
+
+            this.levelConfig.appendChild(row);
+        }
+    }
+
+    /**
+     * Read the queue level configuration from the UI
+     * @returns {Array} [{ policy, quantum }] for SchedulerEngine MLFQ/MLQ
+     */
+    getLevelConfig() {
+        return [...this.levelConfig.querySelectorAll(".level-row")].map(row => ({
+            policy: row.querySelector(".level-policy").value,
+            quantum: this.parseTimeInput(row.querySelector(".level-quantum"), 1)
+        }));
+    }
+
+    /**
+     * Clear all processes
+     * Removes all processes and resets the visualization
+     */
+    clearAll() {
+        if (this.processes.length) this.recordHistory();
+        this.processes = [];
+        this.renderProcesses();
+        this.reset();
+    }
 
-            if (queue.length === 0) {
-                time++;
-                continue;
+    /**
+     * Add a new process manually
+     * Validates input and adds process to the list
+     */
+    addProcess() {
+        const id = this.processIdInput.value.trim();
+        const arrival = SchedulerEngine.roundTime(parseFloat(this.arrivalTimeInput.value));
+        const burst = SchedulerEngine.roundTime(parseFloat(this.burstTimeInput.value));
+        const priority = parseInt(this.priorityInput.value) || 1;
+        const queue = this.queueClassInput.value;
+        const sequence = this.burstSequenceInput.value.trim();
+        const affinity = this.affinityInput.value.trim();
+        const period = this.periodInput.value.trim();
+        const deadline = this.deadlineInput.value.trim();
+        const nice = parseInt(this.niceInput.value) || 0;
+
+        // Validation (a burst sequence replaces the burst time, so that is not checked)
+        const times = {
+            arrival,
+            burst: sequence ? undefined : burst,
+            period: period ? SchedulerEngine.roundTime(parseFloat(period)) : undefined,
+            deadline: deadline ? SchedulerEngine.roundTime(parseFloat(deadline)) : undefined
+        };
+        const error = this.validateProcessFields(id, affinity) || this.validateProcessTimes(id, times);
+        if (error) return alert(error);
+        if (nice < -20 || nice > 19) return alert("Nice must be between -20 and 19.");
+
+        // Optional CPU/IO burst sequence overrides the burst time
+        let bursts = null;
+        if (sequence) {
+            try {
+                bursts = SchedulerEngine.parseBurstSequence(sequence);
+            } catch (err) {
+                return alert(err.message);
             }
+        }
+
+        // Add process
+        const process = bursts
+            ? { id, arrival, burst: SchedulerEngine.cpuTimeOf({ bursts }), priority, queue, bursts }
+            : { id, arrival, burst, priority, queue };
+        if (affinity) process.affinity = parseInt(affinity);
+        if (period) process.period = times.period;
+        if (deadline) process.deadline = times.deadline;
+        if (nice) process.nice = nice;
+        this.recordHistory();
+        this.processes.push(process);
 
-            // Get next process from queue
-            const p = queue.shift();
-            const exec = Math.min(tq, p.remaining); // Execute for quantum or remaining time
+        // Clear input fields
+        this.processIdInput.value = "";
+        this.arrivalTimeInput.value = "0";
+        this.burstTimeInput.value = "1";
+        this.priorityInput.value = "1";
+        this.burstSequenceInput.value = "";
+        this.affinityInput.value = "";
+        this.periodInput.value = "";
+        this.deadlineInput.value = "";
+        this.niceInput.value = "0";
+
+        this.renderProcesses();
+    }
+
+    /**
+     * Delete a specific process
+     * @param {string} id - Process ID to delete
+     */
+    deleteProcess(id) {
+        this.recordHistory();
+        this.processes = this.processes.filter(p => p.id !== id);
+        this.renderProcesses();
+    }
+
+    /**
+     * Validation shared by manual entry and inline editing
+     * @param {string} id - Process ID
+     * @param {string} [affinity] - Core affinity as typed ("" = any core)
+     * @param {number} [ignoreIndex] - Entry being edited (its own ID is not a duplicate)
+     * @returns {(string|null)} Error message, or null when valid
+     */
+    validateProcessFields(id, affinity = "", ignoreIndex = -1) {
+        if (!id) return "Please provide a Process ID.";
+        if (this.processes.some((p, i) => p.id === id && i !== ignoreIndex)) return "Process ID already exists.";
+        if (affinity && !/^\d+$/.test(affinity)) return "Core Affinity must be a core number (0, 1, ...).";
+        return null;
+    }
+
+    /**
+     * Time checks shared by manual entry, inline editing and import, so all
+     * three accept the same processes. Pass the times already rounded with
+     * roundTime(), so a burst too small to store is caught as a zero burst.
+     * @param {string} id - Process ID, named in the message
+     * @param {Object} times - Rounded times; optional ones are undefined when not given
+     * @param {number} times.arrival - Arrival time
+     * @param {number} [times.burst] - Burst time (left out when a burst sequence sets it)
+     * @param {number} [times.period] - Period of a periodic task
+     * @param {number} [times.deadline] - Relative deadline
+     * @returns {(string|null)} Error message, or null when valid
+     */
+    validateProcessTimes(id, { arrival, burst, period, deadline }) {
+        if (!(arrival >= 0)) return `Invalid arrival time for ${id}`;
+        if (burst !== undefined && !(burst > 0)) return `Invalid burst time for ${id}`;
+        if (period !== undefined && !(period > 0)) return `Invalid period for ${id}`;
+        if (deadline !== undefined && !(deadline > 0)) return `Invalid deadline for ${id}`;
+        return null;
+    }
+
+    /**
+     * Start editing a process list entry in place
+     * @param {number} index - Position in the process list
+     */
+    editProcess(index) {
+        this.editingIndex = index;
+        this.renderProcesses();
+        const first = this.processList.querySelector(".edit-id");
+        if (first) first.focus();
+    }
 
-            result.push({ process: p.id, start: time, end: time + exec, arrival: p.arrival });
-            time += exec;
-            p.remaining -= exec;
+    /**
+     * Apply the values typed into an entry being edited
+     * @param {number} index - Position in the process list
+     * @param {HTMLElement} item - The entry's element with the edit inputs
+     */
+    saveProcessEdit(index, item) {
+        const original = this.processes[index];
+        const id = item.querySelector(".edit-id").value.trim();
+        const arrival = SchedulerEngine.roundTime(parseFloat(item.querySelector(".edit-arrival").value));
+        const burst = original.bursts ? original.burst
+            : SchedulerEngine.roundTime(parseFloat(item.querySelector(".edit-burst").value));
+        const priority = parseInt(item.querySelector(".edit-priority").value) || 1;
+
+        const error = this.validateProcessFields(id, "", index) || this.validateProcessTimes(id, { arrival, burst });
+        if (error) return alert(error);
+
+        this.recordHistory();
+        this.processes[index] = { ...original, id, arrival, burst, priority };
+        this.editingIndex = null;
+        this.renderProcesses();
+    }
 
-            // Add newly arrived processes
-            procs.filter(px => px.arrival <= time && px.remaining > 0 && !queue.includes(px))
-                 .forEach(px => queue.push(px));
+    /**
+     * Leave in-place editing without changes
+     */
+    cancelProcessEdit() {
+        this.editingIndex = null;
+        this.renderProcesses();
+    }
 
-            // Re-queue if process not finished
-            if (p.remaining > 0) queue.push(p);
+    /**
+     * Insert a copy of a process right after it, with the next free ID
+     * (P3 -> P4, or "name-copy" for IDs without a number)
+     * @param {number} index - Position in the process list
+     */
+    duplicateProcess(index) {
+        const original = this.processes[index];
+        const taken = new Set(this.processes.map(p => p.id));
+        const match = /^(.*?)(\d+)$/.exec(original.id);
+
+        let id;
+        if (match) {
+            let n = parseInt(match[2]) + 1;
+            while (taken.has(match[1] + n)) n++;
+            id = match[1] + n;
+        } else {
+            id = `${original.id}-copy`;
+            for (let i = 2; taken.has(id); i++) id = `${original.id}-copy${i}`;
         }
 
-        return result;
+        this.recordHistory();
+        this.processes.splice(index + 1, 0, { ...original, id });
+        this.renderProcesses();
+    }
+
+    /**
+     * Move a process up or down in the list (list order breaks ties)
+     * @param {number} index - Position in the process list
+     * @param {number} delta - -1 to move up, 1 to move down
+     */
+    moveProcess(index, delta) {
+        const target = index + delta;
+        if (target < 0 || target >= this.processes.length) return;
+
+        this.recordHistory();
+        const [p] = this.processes.splice(index, 1);
+        this.processes.splice(target, 0, p);
+        this.renderProcesses();
     }
 
     /* ============================================================================
-       EXECUTION & VISUALIZATION
+       UNDO / REDO
+       Covers every change to the process list (add, edit, duplicate, reorder,
+       delete, clear all, import, generate, workspace load)
     ============================================================================ */
 
     /**
-     * Run the selected scheduling algorithm
-     * Executes algorithm, calculates metrics, and updates UI
+     * Remember the process list before a change
+     * @param {string} [snapshot] - JSON of the list to remember (defaults to the current list)
+     */
+    recordHistory(snapshot = JSON.stringify(this.processes)) {
+        this.history.undo.push(snapshot);
+        if (this.history.undo.length > 100) this.history.undo.shift();
+        this.history.redo = [];
+        this.updateHistoryButtons();
+    }
+
+    /**
+     * Revert the last change to the process list
+     */
+    undo() {
+        if (this.history.undo.length === 0) return;
+        this.history.redo.push(JSON.stringify(this.processes));
+        this.processes = JSON.parse(this.history.undo.pop());
+        this.editingIndex = null;
+        this.renderProcesses();
+    }
+
+    /**
+     * Re-apply the last undone change
+     */
+    redo() {
+        if (this.history.redo.length === 0) return;
+        this.history.undo.push(JSON.stringify(this.processes));
+        this.processes = JSON.parse(this.history.redo.pop());
+        this.editingIndex = null;
+        this.renderProcesses();
+    }
+
+    /**
+     * Enable the undo/redo buttons only when there is something to undo/redo
+     */
+    updateHistoryButtons() {
+        this.undoBtn.disabled = this.history.undo.length === 0;
+        this.redoBtn.disabled = this.history.redo.length === 0;
+    }
+
+    /**
+     * Render the process list
+     * Updates the UI to show all added processes
      */
-    run() {
+    renderProcesses() {
+        this.colorIndex = null;
+        this.scheduleAutosave();
+        this.updateHistoryButtons();
+        this.processList.innerHTML = "";
+
         if (this.processes.length === 0) {
-            return alert("Please add at least one process.");
+            this.processList.innerHTML = `<p class="placeholder-text">No processes added</p>`;
+            this.clearAllBtn.style.display = "none";
+            return;
         }
 
-        const algo = this.algorithmSelect.value;
+        this.clearAllBtn.style.display = "block";
+        const isPriority = this.algorithmSelect.value === "Priority";
+        const isMLQ = this.algorithmSelect.value === "MLQ";
+        const isProportional = SchedulerEngine.PROPORTIONAL_SHARE_ALGORITHMS.includes(this.algorithmSelect.value);
+        const isCFS = this.algorithmSelect.value === "CFS";
 
-        // Execute selected algorithm
-        if (algo === "FCFS") this.timeline = this.fcfs();
-        else if (algo === "SJF") this.timeline = this.sjf();
-        else if (algo === "Priority") this.timeline = this.priority();
-        else if (algo === "SRTF") this.timeline = this.srtf();
-        else this.timeline = this.roundRobin(parseInt(this.timeQuantumInput.value) || 2);
+        this.processes.forEach((p, index) => {
+            if (index === this.editingIndex) {
+                this.processList.appendChild(this.createProcessEditor(p, index));
+                return;
+            }
 
-        // Update all visualizations
-        this.calculateMetrics();
-        this.renderGantt();
-        this.updateMetrics();
-        this.renderExecutionDetails();
+            const div = document.createElement("div");
+            div.className = "process-item";
+
+            // Show priority only for Priority Scheduling
+            const detail =
+                `AT:${p.arrival} • BT:${p.burst}` +
+                (isPriority ? ` • P:${p.priority}` : "") +
+                (isProportional ? ` • Tickets:${SchedulerEngine.ticketsOf(p)}` : "") +
+                (isCFS ? ` • nice:${SchedulerEngine.niceOf(p)}` : "") +
+                (isMLQ ? ` • Q:${p.queue}` : "") +
+                (p.affinity !== undefined ? ` • CPU${p.affinity}` : "") +
+                (p.period ? ` • T:${p.period}` : "") +
+                (p.deadline ? ` • D:${p.deadline}` : "") +
+                (p.bursts ? ` • ${SchedulerEngine.formatBurstSequence(p.bursts)}` : "");
+
+            div.innerHTML = `
+              <div>
+                <div class="process-id"></div>
+                <div class="process-details"></div>
+              </div>
+              <div class="item-actions">
+                <button class="btn btn-secondary" data-action="up" title="Move up" ${index === 0 ? "disabled" : ""}>↑</button>
+                <button class="btn btn-secondary" data-action="down" title="Move down" ${index === this.processes.length - 1 ? "disabled" : ""}>↓</button>
+                <button class="btn btn-secondary" data-action="edit" title="Edit">✎</button>
+                <button class="btn btn-secondary" data-action="duplicate" title="Duplicate">⧉</button>
+                <button class="btn btn-danger" data-action="delete" title="Delete">✕</button>
+              </div>
+            `;
+            div.querySelector(".process-id").textContent = p.id;
+            div.querySelector(".process-details").textContent = detail;
+
+            const actions = {
+                up: () => this.moveProcess(index, -1),
+                down: () => this.moveProcess(index, 1),
+                edit: () => this.editProcess(index),
+                duplicate: () => this.duplicateProcess(index),
+                delete: () => this.deleteProcess(p.id)
+            };
+            div.querySelectorAll("[data-action]").forEach(btn => {
+                btn.addEventListener("click", actions[btn.dataset.action]);
+            });
+
+            this.processList.appendChild(div);
+        });
+    }
+
+    /**
+     * Build the in-place editor for one process list entry
+     * Enter saves, Escape cancels
+     * @param {Object} p - Process being edited
+     * @param {number} index - Position in the process list
+     * @returns {HTMLElement} Editor element
+     */
+    createProcessEditor(p, index) {
+        const div = document.createElement("div");
+        div.className = "process-item editing";
+        div.innerHTML = `
+          <div class="process-edit-fields">
+            <label>ID<input class="form-input edit-id" /></label>
+            <label>AT<input class="form-input edit-arrival" type="number" min="0" step="any" /></label>
+            <label>BT<input class="form-input edit-burst" type="number" min="0" step="any" /></label>
+            <label>P<input class="form-input edit-priority" type="number" /></label>
+          </div>
+          <div class="item-actions">
+            <button class="btn btn-success" data-action="save" title="Save (Enter)">✓</button>
+            <button class="btn btn-secondary" data-action="cancel" title="Cancel (Esc)">✕</button>
+          </div>
+        `;
+
+        div.querySelector(".edit-id").value = p.id;
+        div.querySelector(".edit-arrival").value = p.arrival;
+        div.querySelector(".edit-priority").value = p.priority;
+        const burst = div.querySelector(".edit-burst");
+        burst.value = p.burst;
+        // A burst sequence defines the total CPU time
+        if (p.bursts) {
+            burst.disabled = true;
+            burst.title = SchedulerEngine.formatBurstSequence(p.bursts);
+        }
+
+        div.querySelector('[data-action="save"]').addEventListener("click", () => this.saveProcessEdit(index, div));
+        div.querySelector('[data-action="cancel"]').addEventListener("click", () => this.cancelProcessEdit());
+        div.addEventListener("keydown", (e) => {
+            if (e.key === "Enter") this.saveProcessEdit(index, div);
+            else if (e.key === "Escape") this.cancelProcessEdit();
+        });
+
+        return div;
+    }
+
+    /* ============================================================================
+       EXECUTION & VISUALIZATION
+    ============================================================================ */
+
+    /**
+     * Read a time option from an input; times may be fractional
+     * @param {HTMLInputElement} input - Number input
+     * @param {number} fallback - Used when the entry is missing or not positive
+     * @returns {number} Positive time on the engine's time grid, or the fallback
+     */
+    parseTimeInput(input, fallback) {
+        const value = SchedulerEngine.roundTime(parseFloat(input.value));
+        return value > 0 ? value : fallback;
+    }
+
+    /**
+     * Collect algorithm options from the UI controls
+     * @returns {Object} Options passed to SchedulerEngine.run()
+     */
+    getAlgorithmOptions() {
+        return {
+            timeQuantum: this.parseTimeInput(this.timeQuantumInput, 2),
+            levels: this.getLevelConfig(),
+            // Boosts and aging are off when their interval is left out
+            boostInterval: this.parseTimeInput(this.boostIntervalInput, undefined),
+            agingInterval: this.agingEnabledInput.checked
+                ? this.parseTimeInput(this.agingIntervalInput, 1) : undefined,
+            agingStep: Math.max(1, parseInt(this.agingStepInput.value) || 1),
+            priorityPreemptive: this.priorityPreemptiveInput.checked,
+            higherPriorityFirst: this.higherPriorityFirstInput.checked,
+            tieBreak: this.tieBreakInput.value,
+            lotterySeed: parseInt(this.lotterySeedInput.value) || 0,
+            targetLatency: this.parseTimeInput(this.targetLatencyInput, 6),
+            minGranularity: this.parseTimeInput(this.minGranularityInput, 1),
+            contextSwitch: Math.max(0, parseFloat(this.contextSwitchInput.value) || 0),
+            dispatchLatency: Math.max(0, parseFloat(this.dispatchLatencyInput.value) || 0),
+            cores: Math.min(Math.max(parseInt(this.coreCountInput.value) || 1, 1), 8),
+            perCoreQueues: this.perCoreQueuesInput.checked,
+            loadBalance: this.loadBalanceInput.checked
+        };
+    }
+
+    /**
+     * Fill the UI controls from an options object (inverse of getAlgorithmOptions)
+     * Options that are missing keep their current value, except the boost
+     * and aging intervals: leaving those out turns boosts and aging off.
+     * @param {Object} options - Options as returned by getAlgorithmOptions()
+     */
+    setAlgorithmOptions(options) {
+        const set = (input, value) => { if (value !== undefined) input.value = value; };
+        const check = (input, value) => { if (value !== undefined) input.checked = !!value; };
+
+        set(this.timeQuantumInput, options.timeQuantum);
+        this.boostIntervalInput.value = options.boostInterval || 0;
+        this.agingEnabledInput.checked = options.agingInterval > 0;
+        if (options.agingInterval > 0) this.agingIntervalInput.value = options.agingInterval;
+        set(this.agingStepInput, options.agingStep);
+        check(this.priorityPreemptiveInput, options.priorityPreemptive);
+        check(this.higherPriorityFirstInput, options.higherPriorityFirst);
+        set(this.tieBreakInput, options.tieBreak);
+        if (options.lotterySeed) this.lotterySeedInput.value = options.lotterySeed;
+        set(this.targetLatencyInput, options.targetLatency);
+        set(this.minGranularityInput, options.minGranularity);
+        set(this.contextSwitchInput, options.contextSwitch);
+        set(this.dispatchLatencyInput, options.dispatchLatency);
+        set(this.coreCountInput, options.cores);
+        check(this.perCoreQueuesInput, options.perCoreQueues);
+        check(this.loadBalanceInput, options.loadBalance);
+
+        if (Array.isArray(options.levels) && options.levels.length) {
+            this.levelCountInput.value = options.levels.length;
+            this.renderLevelConfig(options.levels);
+        }
+        this.updatePriorityLabel();
+        this.updateMulticoreOptions();
+    }
+
+    /**
+     * Run the selected scheduling algorithm
+     * Executes algorithm, calculates metrics, and updates UI
+     * @param {Object} [input] - { algorithm, processes, options } to run instead
+     *                           of the form (e.g. the last run of a workspace)
+     */
+    async run(input = null) {
+        if (!input && this.processes.length === 0) {
+            return alert("Please add at least one process.");
+        }
+
+        // An empty lottery seed picks a random one and fills it in, so the
+        // run can be reproduced later
+        if (!input && this.algorithmSelect.value === "Lottery" && !(parseInt(this.lotterySeedInput.value) > 0)) {
+            this.lotterySeedInput.value = 1 + Math.floor(Math.random() * 1000000);
+        }
+
+        // Execute selected algorithm in the headless engine (with playback
+        // trace unless the workload is too large to step through)
+        const algo = input ? input.algorithm : this.algorithmSelect.value;
+        const options = input ? input.options : this.getAlgorithmOptions();
+        // Copies, so exports describe this run even after the list is edited
+        const processes = (input ? input.processes : this.processes).map(p => ({ ...p }));
+        const runId = ++this.runCount;
+        let result;
+        this.pendingRun = { algorithm: algo, processes, options };
+        this.setSimulating(true);
+        try {
+            result = await this.simulate(algo, processes, { ...options, trace: this.canTrace(algo, processes) });
+        } catch (err) {
+            return alert(err.message);
+        } finally {
+            if (runId === this.runCount) {
+                this.pendingRun = null;
+                this.setSimulating(false);
+            }
+        }
+        if (runId !== this.runCount) return;
+
+        this.runInput = { algorithm: algo, processes, options };
+        this.result = result;
+        this.timeline = result.timeline;
+        this.metrics = result.metrics;
+        this.snapshots = result.snapshots || [];
+
+        // Update all visualizations (playback starts positioned at the end)
+        this.pausePlayback();
+        this.traceSelection = null;
+        this.selectedProcess = null;
+        this.ganttZoom = 1;
+        this.renderTraceLog();
+        this.renderGantt();
+        this.setPlaybackTime(this.metrics.totalTime);
+        this.updateMetrics();
+        this.renderSchedulability();
+        this.renderExecutionDetails();
+        this.updateExportButtons();
+        this.scheduleAutosave();
+    }
+
+    /* ============================================================================
+       BACKGROUND SIMULATION
+       The engine runs in a Web Worker so a large workload does not freeze the
+       page. Where workers are unavailable (e.g. pages opened from file:// in
+       some browsers) it runs on the page instead.
+    ============================================================================ */
+
+    /**
+     * Run the engine, in the worker when possible
+     * @param {string} algorithm - Algorithm identifier
+     * @param {Array} processes - Processes to schedule
+     * @param {Object} options - Engine options
+     * @returns {Promise<Object>} Engine result; rejects with the engine's error
+     */
+    simulate(algorithm, processes, options) {
+        const args = [algorithm, processes, options];
+        const worker = this.getWorker();
+        if (!worker) return new Promise(resolve => resolve(SchedulerEngine.run(...args)));
+
+        return new Promise((resolve, reject) => {
+            const id = ++this.requestCount;
+            this.workerRequests.set(id, { resolve, reject, args });
+            worker.postMessage({ id, algorithm, processes, options });
+        });
+    }
+
+    /**
+     * The engine worker, started on first use
+     * @returns {?Worker} Null when workers cannot be used
+     */
+    getWorker() {
+        if (this.worker !== null) return this.worker || null;
+
+        try {
+            this.worker = new Worker("engine-worker.js");
+        } catch (err) {
+            this.worker = false;
+            return null;
+        }
+
+        this.worker.onmessage = (event) => {
+            const { id, result, error } = event.data;
+            const request = this.workerRequests.get(id);
+            if (!request) return;
+            this.workerRequests.delete(id);
+            if (error) request.reject(new Error(error));
+            else request.resolve(result);
+        };
+
+        // The worker script failed to load: run everything on the page from now on
+        this.worker.onerror = (event) => {
+            event.preventDefault();
+            this.worker.terminate();
+            this.worker = false;
+            this.workerRequests.forEach(({ resolve, reject, args }) => {
+                try {
+                    resolve(SchedulerEngine.run(...args));
+                } catch (err) {
+                    reject(err);
+                }
+            });
+            this.workerRequests.clear();
+        };
+        return this.worker;
+    }
+
+    /**
+     * Whether the current workload is small enough to record a snapshot of
+     * every instant for playback
+     * EDF and RM schedule every job their periodic tasks release over the
+     * hyperperiod, so those runs are sized by their jobs, not their tasks.
+     * @param {string} algorithm - Algorithm about to be run
+     * @param {Array} processes - Processes about to be run
+     * @returns {boolean} True to request the playback trace
+     */
+    canTrace(algorithm, processes) {
+        let count = processes.length;
+        let horizon = processes.reduce((latest, p) => Math.max(latest, p.arrival), 0) +
+            processes.reduce((sum, p) => sum + (p.bursts
+                ? p.bursts.reduce((total, phase) => total + phase.length, 0)
+                : p.burst), 0);
+
+        if (SchedulerEngine.REALTIME_ALGORITHMS.includes(algorithm)) {
+            try {
+                const size = SchedulerEngine.periodicWorkloadSize(processes);
+                count = size.jobs;
+                horizon = Math.max(horizon, size.horizon);
+            } catch (err) {
+                return false;   // Hyperperiod too long: the run itself reports it
+            }
+        }
+        return horizon * count <= this.maxPlaybackCells;
+    }
+
+    /**
+     * Show that a simulation is in progress on the Run button
+     * @param {boolean} busy - Simulation running
+     */
+    setSimulating(busy) {
+        this.runBtn.disabled = busy;
+        this.runBtn.textContent = busy ? "⏳ Simulating…" : "▶ Run";
+    }
+
+    /**
+     * Processes the last run scheduled: the jobs released by periodic tasks
+     * for EDF / RM, otherwise the process list itself
+     * @returns {Array} Scheduled processes or jobs
+     */
+    scheduledProcesses() {
+        return (this.result && this.result.jobs) || this.runProcesses();
+    }
+
+    /**
+     * Process list of the last run, as it was when the run started (the
+     * current list before any run), so edits do not change a drawn schedule
+     * @returns {Array} Processes
+     */
+    runProcesses() {
+        return this.runInput ? this.runInput.processes : this.processes;
+    }
+
+    /**
+     * Exports are available once there is a run to export
+     */
+    updateExportButtons() {
+        [this.exportCsvBtn, this.exportJsonBtn, this.exportSvgBtn, this.exportPngBtn].forEach(btn => {
+            btn.disabled = !this.result;
+        });
+    }
+
+    /**
+     * Render the Gantt chart visualization
+     * Creates visual timeline of process execution, one lane per CPU core
+     * @param {number} [upTo] - Playback instant the lanes are clipped at
+     */
+    renderGantt(upTo = Infinity) {
+        this.hideGanttTooltip();
+        if (!this.timeline.length) {
+            this.ganttPlaceholder.style.display = "flex";
+            this.ganttContainer.innerHTML = "";
+            this.ganttContainer.appendChild(this.ganttPlaceholder);
+            this.updateZoomControls();
+            return;
+        }
+
+        this.ganttPlaceholder.style.display = "none";
+
+        const maxTime = this.timeline.reduce((latest, t) => Math.max(latest, t.end), 0);
+        const timelines = (this.result && this.result.timelines) || [this.timeline];
+        this.ganttMaxTime = maxTime;
+
+        // Lanes are drawn on a canvas `ganttZoom` times as wide as the
+        // scrolling viewport. Redraws keep the viewport, so its scroll position
+        // and a pan or pinch in progress carry over.
+        let viewport = this.ganttContainer.querySelector(".gantt-viewport");
+        if (!viewport) {
+            viewport = document.createElement("div");
+            viewport.className = "gantt-viewport";
+            viewport.appendChild(document.createElement("div"));
+        }
+        const scrollLeft = viewport.scrollLeft;
+        const canvas = viewport.firstChild;
+        // Bars grow in only when a run is first drawn
+        canvas.className = this.ganttDrawn === this.result ? "gantt-canvas redraw" : "gantt-canvas";
+        canvas.style.width = `${this.ganttZoom * 100}%`;
+        canvas.innerHTML = "";
+        [...this.ganttContainer.children].forEach(child => {
+            if (child !== viewport) child.remove();
+        });
+        this.ganttContainer.appendChild(viewport);
+        this.ganttDrawn = this.result;
+
+        // Lane width in pixels, which decides the segments merged into one bar
+        const width = (this.ganttContainer.clientWidth || Infinity) * this.ganttZoom;
+
+        if (this.ganttViewSelect.value === "process" && this.result) {
+            this.renderSwimlanes(canvas, maxTime, width);
+        } else {
+            // Render chart and axis (with labelled lanes for several cores or I/O)
+            const ioTimeline = (this.result && this.result.ioTimeline) || [];
+            const labelled = timelines.length > 1 || ioTimeline.length > 0;
+
+            // Deadline misses are marked on the lane where the late job finished
+            const misses = (this.result && this.result.deadlineMisses) || [];
+
+            timelines.forEach((timeline, core) => {
+                if (labelled) {
+                    canvas.appendChild(this.createLaneLabel(timelines.length > 1 ? `CPU ${core}` : "CPU"));
+                }
+                const chart = this.createGanttChart(timeline, maxTime, width);
+                chart.dataset.core = core;
+                misses
+                    .filter(miss => (miss.core || 0) === core)
+                    .forEach(miss => chart.appendChild(this.createDeadlineMarker(miss, maxTime)));
+                canvas.appendChild(chart);
+            });
+
+            if (ioTimeline.length) {
+                canvas.appendChild(this.createLaneLabel("I/O Device"));
+                canvas.appendChild(this.renderIOLane(ioTimeline, maxTime, width));
+            }
+            canvas.appendChild(this.createTimeAxis(maxTime, this.ganttZoom));
+            this.ganttContainer.appendChild(this.colorsByNice()
+                ? this.createNiceLegend()
+                : this.createProcessLegend(this.runProcesses()));
+        }
+
+        viewport.scrollLeft = scrollLeft;
+        this.clipGantt(upTo);
+        this.updateZoomControls();
+        this.highlightTraceSegment();
+        this.highlightSelectedProcess();
+    }
+
+    /**
+     * Show the drawn chart up to a playback instant: the bars of every lane
+     * are clipped there and later deadline misses hidden, so stepping
+     * through playback does not redraw the lanes
+     * @param {number} upTo - Simulation time
+     */
+    clipGantt(upTo) {
+        const hidden = upTo < this.ganttMaxTime ? (1 - upTo / this.ganttMaxTime) * 100 : 0;
+        this.ganttContainer.querySelectorAll(".gantt-track").forEach(track => {
+            track.style.clipPath = hidden > 0 ? `inset(0 ${hidden}% 0 0)` : "";
+        });
+        this.ganttContainer.querySelectorAll(".deadline-miss").forEach(marker => {
+            marker.hidden = Number(marker.dataset.deadline) > upTo;
+        });
+    }
+
+    /**
+     * Group the segments of a lane into bars: runs of segments narrower
+     * than a pixel are drawn as one merged bar, so a lane holds at most
+     * about two bars per pixel however many segments a run has
+     * @param {Array} segments - [{ start, end }] in time order
+     * @param {number} maxTime - Time at the right edge of the chart
+     * @param {number} width - Lane width in pixels
+     * @returns {Array} [{ start, end, first, last }], each bar covering segments first ... last
+     */
+    ganttBars(segments, maxTime, width) {
+        const pixel = maxTime / width;
+        const bars = [];
+        segments.forEach((segment, i) => {
+            const bar = bars[bars.length - 1];
+            if (bar && bar.end - bar.start < pixel && segment.end - segment.start < pixel) {
+                bar.end = segment.end;
+                bar.last = i;
+            } else {
+                bars.push({ start: segment.start, end: segment.end, first: i, last: i });
+            }
+        });
+        return bars;
+    }
+
+    /**
+     * Bar standing in for several segments too short to draw one by one
+     * @param {Object} span - { start, end, first, last } from ganttBars()
+     * @param {number} maxTime - Time at the right edge of the chart
+     * @returns {HTMLElement} Bar element
+     */
+    createMergedBar(span, maxTime) {
+        const bar = document.createElement("div");
+        bar.className = "gantt-bar merged-bar";
+        bar.style.width = ((span.end - span.start) / maxTime) * 100 + "%";
+        Object.assign(bar.dataset, { state: "merged", start: span.start, end: span.end, count: span.last - span.first + 1 });
+        return bar;
+    }
+
+    /**
+     * Element holding the bars of a lane, clipped at the playback instant
+     * @param {HTMLElement} lane - Chart element of the lane
+     * @returns {HTMLElement} Track element, appended to the lane
+     */
+    createGanttTrack(lane) {
+        const track = document.createElement("div");
+        track.className = "gantt-track";
+        lane.appendChild(track);
+        return track;
+    }
+
+    /**
+     * Whether Gantt bars are colored by nice level instead of per segment
+     * @returns {boolean} True for CFS runs with the option enabled
+     */
+    colorsByNice() {
+        return this.colorByNiceInput.checked && !!this.result && this.result.algorithm === "CFS";
+    }
+
+    /**
+     * Color of a nice level: red for -20 (heaviest) through blue for 19
+     * @param {string} id - Process ID
+     * @param {Array} [processes] - Process list of the run (the last run's by default)
+     * @returns {string} CSS color
+     */
+    niceColor(id, processes = this.runProcesses()) {
+        if (!this.niceIndex || this.niceIndex.processes !== processes) {
+            this.niceIndex = { processes, index: new Map(processes.map(p => [p.id, p])) };
+        }
+        const nice = SchedulerEngine.niceOf(this.niceIndex.index.get(id) || {});
+        return `hsl(${Math.round(((nice + 20) / 39) * 210)}, 70%, 45%)`;
+    }
+
+    /**
+     * Legend for Gantt bars colored by nice level
+     * @returns {HTMLElement} Legend element
+     */
+    createNiceLegend() {
+        const legend = document.createElement("div");
+        legend.className = "nice-legend";
+        legend.innerHTML = `
+          <span>nice −20</span>
+          <div class="nice-scale"></div>
+          <span>19</span>
+        `;
+        return legend;
+    }
+
+    /**
+     * Create the bars of one CPU lane
+     * @param {Array} timeline - Segments run on this CPU
+     * @param {number} maxTime - Time at the right edge of the chart
+     * @param {number} width - Lane width in pixels
+     * @returns {HTMLElement} Chart element for the lane
+     */
+    createGanttChart(timeline, maxTime, width) {
+        const byNice = this.colorsByNice();
+
+        const chart = document.createElement("div");
+        chart.className = "gantt-chart";
+        const track = this.createGanttTrack(chart);
+
+        this.ganttBars(timeline, maxTime, width).forEach(span => {
+            if (span.first !== span.last) {
+                track.appendChild(this.createMergedBar(span, maxTime));
+                return;
+            }
+
+            const item = timeline[span.first];
+            const bar = document.createElement("div");
+            bar.style.width = ((item.end - item.start) / maxTime) * 100 + "%";
+            bar.dataset.segment = span.first;
+            bar.dataset.process = item.process;
+
+            if (item.process === SchedulerEngine.IDLE) {
+                bar.className = "gantt-bar idle-bar";
+                bar.textContent = "IDLE";
+            } else if (item.process === SchedulerEngine.CONTEXT_SWITCH) {
+                bar.className = "gantt-bar cs-bar";
+                bar.textContent = "CS";
+            } else {
+                bar.className = "gantt-bar process-bar";
+                bar.style.backgroundColor = byNice ? this.niceColor(item.process) : this.processColor(item.process);
+                bar.textContent = item.process;
+
+                // Queue level the segment ran from (MLFQ / MLQ)
+                if (item.level !== undefined) {
+                    const tag = document.createElement("span");
+                    tag.className = "level-tag";
+                    tag.textContent = `Q${item.level}`;
+                    bar.appendChild(tag);
+                }
+            }
+
+            track.appendChild(bar);
+        });
+
+        return chart;
+    }
+
+    /**
+     * Marker drawn on a Gantt lane at the instant a job missed its deadline
+     * @param {Object} miss - { process, deadline, completion } from the engine
+     * @param {number} maxTime - Time at the right edge of the chart
+     * @returns {HTMLElement} Marker element
+     */
+    createDeadlineMarker(miss, maxTime) {
+        const marker = document.createElement("div");
+        marker.className = "deadline-miss";
+        marker.dataset.deadline = miss.deadline;
+        // Bars sit inside the chart's 12px padding
+        marker.style.left = `calc(12px + (100% - 24px) * ${miss.deadline / maxTime})`;
+        marker.title = `${miss.process} missed its deadline at t=${this.formatTime(miss.deadline)} (finished at ${this.formatTime(miss.completion)})`;
+        return marker;
+    }
+
+    /**
+     * Render the I/O device lane, with empty gaps while the device is free
+     * @param {Array} ioTimeline - [{ process, start, end, queued }] from the engine
+     * @param {number} maxTime - Time at the right edge of the chart
+     * @param {number} width - Lane width in pixels
+     * @returns {HTMLElement} Chart element for the lane
+     */
+    renderIOLane(ioTimeline, maxTime, width) {
+        const lane = document.createElement("div");
+        lane.className = "gantt-chart io-lane";
+        const track = this.createGanttTrack(lane);
+
+        const addBar = (className, start, end, text = "") => {
+            const bar = document.createElement("div");
+            bar.className = className;
+            bar.style.width = ((end - start) / maxTime) * 100 + "%";
+            bar.textContent = text;
+            track.appendChild(bar);
+            return bar;
+        };
+
+        // A merged bar also covers the gaps between its segments
+        let time = 0;
+        this.ganttBars(ioTimeline, maxTime, width).forEach(span => {
+            if (span.start > time) addBar("gantt-bar io-gap", time, span.start);
+            time = span.end;
+            if (span.first !== span.last) {
+                track.appendChild(this.createMergedBar(span, maxTime));
+                return;
+            }
+
+            const item = ioTimeline[span.first];
+            const bar = addBar("gantt-bar io-bar process-bar", item.start, item.end, item.process);
+            bar.style.backgroundColor = this.processColor(item.process);
+            Object.assign(bar.dataset, { process: item.process, state: "io", start: item.start, end: item.end, queued: item.queued });
+        });
+
+        return lane;
+    }
+
+    /**
+     * Small caption shown above a Gantt lane
+     * @param {string} text - Lane name
+     * @returns {HTMLElement} Label element
+     */
+    createLaneLabel(text) {
+        const label = document.createElement("div");
+        label.className = "gantt-lane-label";
+        label.textContent = text;
+        return label;
+    }
+
+    /**
+     * Create the time axis shown under a Gantt chart
+     * @param {number} maxTime - Time at the right edge of the chart
+     * @param {number} [zoom] - Gantt zoom; zooming in adds ticks
+     * @returns {HTMLElement} Axis element with a marker at every axisTicks() instant
+     */
+    createTimeAxis(maxTime, zoom = 1) {
+        const axis = document.createElement("div");
+        axis.className = "time-axis";
+        this.axisTicks(maxTime, zoom).forEach(t => axis.appendChild(this.createTimeMarker(t, maxTime)));
+        return axis;
+    }
+
+    /**
+     * Instants labelled on a time axis: every tickSpacing() units, plus the end
+     * of the schedule unless a tick is too close to it
+     * @param {number} maxTime - Time at the right edge of the chart
+     * @param {number} [zoom] - Gantt zoom
+     * @returns {Array<number>} Instants in increasing order
+     */
+    axisTicks(maxTime, zoom = 1) {
+        const spacing = this.tickSpacing(maxTime, zoom);
+        const count = Math.floor(SchedulerEngine.roundTime(maxTime / spacing));
+        const ticks = Array.from({ length: count + 1 }, (_, i) => SchedulerEngine.roundTime(i * spacing));
+        const last = ticks[ticks.length - 1];
+        if (last !== maxTime && (maxTime - last) / spacing > 0.5) ticks.push(maxTime);
+        return ticks;
+    }
+
+    /**
+     * Axis marker at one instant
+     * @param {number} time - Instant to label
+     * @param {number} maxTime - Time at the right edge of the chart
+     * @returns {HTMLElement} Marker element
+     */
+    createTimeMarker(time, maxTime) {
+        const marker = document.createElement("div");
+        marker.className = "time-marker";
+        marker.style.left = `${(time / maxTime) * 100}%`;
+        marker.textContent = this.formatTime(time);
+        return marker;
+    }
+
+    /**
+     * Distance between axis ticks: a 1, 2 or 5 times power of ten giving at
+     * most about 25 ticks per chart width. Schedules ending on a whole time
+     * unit get whole ticks; fractional ones go down to the displayed precision.
+     * @param {number} maxTime - Time at the right edge of the chart
+     * @param {number} [zoom] - Gantt zoom; the chart is this many widths wide
+     * @returns {number} Tick spacing in time units
+     */
+    tickSpacing(maxTime, zoom = 1) {
+        const minimum = Number.isInteger(maxTime) ? 1 : 10 ** -this.timePrecision();
+        const rough = maxTime / (25 * zoom);
+        if (rough <= minimum) return minimum;
+        const power = Math.pow(10, Math.floor(Math.log10(rough)));
+        return [1, 2, 5, 10].map(f => SchedulerEngine.roundTime(f * power)).find(step => step >= rough);
+    }
+
+    /**
+     * Stable color for a process, based on its position in the process list
+     * of the run it appears in. Hues step by the golden angle, so each process
+     * gets its own color and neighbours in the list contrast (jobs of a
+     * periodic task, e.g. "T1#2", share the task's color).
+     * @param {string} id - Process ID
+     * @param {Array} [processes] - Process list of the run (the last run's by default)
+     * @returns {string} CSS color
+     */
+    processColor(id, processes = this.runProcesses()) {
+        if (!this.colorIndex || this.colorIndex.processes !== processes) {
+            this.colorIndex = { processes, index: new Map(processes.map((p, i) => [p.id, i])) };
+        }
+        const positions = this.colorIndex.index;
+        let index = positions.get(id);
+        if (index === undefined && String(id).includes("#")) {
+            index = positions.get(String(id).slice(0, String(id).lastIndexOf("#")));
+        }
+        return `hsl(${Math.round((217 + (index || 0) * 137.508) % 360)}, 70%, 45%)`;
+    }
+
+    /**
+     * Legend naming the color of each process in a run
+     * @param {Array} processes - Process list of the run
+     * @returns {HTMLElement} Legend element
+     */
+    createProcessLegend(processes) {
+        const legend = document.createElement("div");
+        legend.className = "process-legend";
+        processes.slice(0, this.maxLegendProcesses).forEach(p => {
+            const item = document.createElement("span");
+            item.className = "process-legend-item";
+            const swatch = document.createElement("span");
+            swatch.className = "process-swatch";
+            swatch.style.backgroundColor = this.processColor(p.id, processes);
+            item.append(swatch, p.id);
+            legend.appendChild(item);
+        });
+        if (processes.length > this.maxLegendProcesses) {
+            const more = document.createElement("span");
+            more.textContent = `… ${processes.length - this.maxLegendProcesses} more`;
+            legend.appendChild(more);
+        }
+        return legend;
+    }
+
+    /* ============================================================================
+       PER-PROCESS SWIMLANES
+       One row per process showing when it had not arrived yet, was ready but
+       waiting, was running or was blocked on I/O, so waiting time is visible
+       at a glance
+    ============================================================================ */
+
+    /**
+     * Draw one swimlane per scheduled process (per job for EDF / RM), a
+     * shared time axis and the state legend
+     * @param {HTMLElement} canvas - Zoomable element the lanes are drawn on
+     * @param {number} maxTime - Time at the right edge of the chart
+     * @param {number} width - Lane width in pixels
+     */
+    renderSwimlanes(canvas, maxTime, width) {
+        const states = SchedulerEngine.processStates(
+            this.scheduledProcesses(), this.result.timeline, this.result.ioTimeline);
+        const waiting = new Map(this.metrics.perProcess.map(p => [p.id, p.waiting]));
+        const misses = this.result.deadlineMisses || [];
+
+        states.slice(0, this.maxSwimlanes).forEach(({ id, segments }) => {
+            const row = document.createElement("div");
+            row.className = "swimlane-row";
+            row.dataset.process = id;
+
+            const label = document.createElement("div");
+            label.className = "swimlane-label";
+            label.textContent = id;
+            label.title = `${id}: waited ${this.formatDuration(waiting.get(id) || 0)}`;
+
+            const chart = this.createSwimlane(id, segments, maxTime, width);
+            misses
+                .filter(miss => miss.process === id)
+                .forEach(miss => chart.appendChild(this.createDeadlineMarker(miss, maxTime)));
+
+            row.append(label, chart);
+            canvas.appendChild(row);
+        });
+
+        if (states.length > this.maxSwimlanes) {
+            const more = document.createElement("p");
+            more.className = "swimlane-more";
+            more.textContent = `… ${states.length - this.maxSwimlanes} more processes (switch to CPU lanes to see the whole schedule)`;
+            this.ganttContainer.appendChild(more);
+        }
+
+        // Axis indented to line up with the lanes
+        const axisRow = document.createElement("div");
+        axisRow.className = "swimlane-row";
+        axisRow.innerHTML = `<div class="swimlane-label"></div>`;
+        const axis = this.createTimeAxis(maxTime, this.ganttZoom);
+        axis.style.flex = "1";
+        axisRow.appendChild(axis);
+        canvas.appendChild(axisRow);
+        this.ganttContainer.appendChild(this.createStateLegend());
+    }
+
+    /**
+     * Bars of one process's swimlane; running bars take the process's color
+     * @param {string} id - Process ID
+     * @param {Array} segments - [{ state, start, end, core? }] from processStates()
+     * @param {number} maxTime - Time at the right edge of the chart
+     * @param {number} width - Lane width in pixels
+     * @returns {HTMLElement} Chart element for the lane
+     */
+    createSwimlane(id, segments, maxTime, width) {
+        const lane = document.createElement("div");
+        lane.className = "gantt-chart swimlane";
+        const track = this.createGanttTrack(lane);
+
+        this.ganttBars(segments, maxTime, width).forEach(span => {
+            if (span.first !== span.last) {
+                track.appendChild(this.createMergedBar(span, maxTime));
+                return;
+            }
+
+            const segment = segments[span.first];
+            const bar = document.createElement("div");
+            if (segment.state === "running") {
+                bar.className = "gantt-bar state-running process-bar";
+                bar.style.backgroundColor = this.processColor(id);
+            } else {
+                bar.className = `gantt-bar state-${segment.state}`;
+            }
+            bar.style.width = ((segment.end - segment.start) / maxTime) * 100 + "%";
+            Object.assign(bar.dataset, { process: id, state: segment.state, start: segment.start, end: segment.end });
+            if (segment.core !== undefined) bar.dataset.core = segment.core;
+            track.appendChild(bar);
+        });
+
+        return lane;
+    }
+
+    /**
+     * Legend for the swimlane states
+     * @returns {HTMLElement} Legend element
+     */
+    createStateLegend() {
+        const legend = document.createElement("div");
+        legend.className = "state-legend";
+        legend.innerHTML = Object.entries(this.stateNames).map(([state, name]) => `
+          <span class="state-legend-item">
+            <span class="state-swatch state-${state}"></span>${name}
+          </span>`).join("");
+        return legend;
+    }
+
+    /* ============================================================================
+       INTERACTIVE GANTT CHART
+       Zoom (buttons, mouse wheel, pinch), drag-to-pan, hover tooltips and a
+       selected process highlighted in both the chart and the execution table
+    ============================================================================ */
+
+    /**
+     * Largest zoom for the drawn schedule: at least about 5 time units stay visible
+     * @returns {number} Maximum zoom factor
+     */
+    maxZoom() {
+        return Math.min(this.maxGanttZoom, Math.max(4, this.ganttMaxTime / 5));
+    }
+
+    /**
+     * Zoom buttons are usable while a chart is drawn and the limit allows
+     */
+    updateZoomControls() {
+        const drawn = !!this.ganttContainer.querySelector(".gantt-viewport");
+        this.zoomInBtn.disabled = !drawn || this.ganttZoom >= this.maxZoom();
+        this.zoomOutBtn.disabled = !drawn || this.ganttZoom <= 1;
+        this.zoomFitBtn.disabled = this.zoomOutBtn.disabled;
+    }
+
+    /**
+     * Set the Gantt zoom, keeping the instant under `anchor` where it is
+     * @param {number} zoom - New zoom factor (clamped to 1 ... maxZoom())
+     * @param {number} [anchor] - Pixels from the viewport's left edge (default: its middle)
+     */
+    zoomGantt(zoom, anchor) {
+        const viewport = this.ganttContainer.querySelector(".gantt-viewport");
+        if (!viewport) return;
+        zoom = Math.min(Math.max(zoom, 1), this.maxZoom());
+        if (zoom === this.ganttZoom) return;
+
+        if (anchor === undefined) anchor = viewport.clientWidth / 2;
+        const canvas = viewport.firstChild;
+        const fraction = canvas.offsetWidth ? (viewport.scrollLeft + anchor) / canvas.offsetWidth : 0;
+        this.ganttZoom = zoom;
+        canvas.style.width = `${zoom * 100}%`;
+
+        // Bars scale with the canvas; the axis gets ticks for the new scale
+        canvas.querySelectorAll(".time-axis").forEach(axis => {
+            const next = this.createTimeAxis(this.ganttMaxTime, zoom);
+            next.style.flex = axis.style.flex;
+            axis.replaceWith(next);
+        });
+        viewport.scrollLeft = fraction * canvas.offsetWidth - anchor;
+        this.updateZoomControls();
+
+        // Segments are merged into bars for the old zoom: redraw once it settles
+        clearTimeout(this.ganttRedrawTimer);
+        this.ganttRedrawTimer = setTimeout(() => {
+            if (this.result) this.renderGantt(this.playback.time);
+        }, 300);
+    }
+
+    /**
+     * Mouse wheel (and trackpad pinch, reported as ctrl + wheel) zooms around
+     * the pointer; horizontal scrolling is left to the browser
+     * @param {WheelEvent} e - Wheel event on the Gantt container
+     */
+    handleGanttWheel(e) {
+        const viewport = e.target.closest(".gantt-viewport");
+        if (!viewport || e.shiftKey || Math.abs(e.deltaX) >= Math.abs(e.deltaY)) return;
+
+        e.preventDefault();
+        const delta = e.deltaMode === 1 ? e.deltaY * 40 : e.deltaY;   // Lines -> pixels
+        const anchor = e.clientX - viewport.getBoundingClientRect().left;
+        this.zoomGantt(this.ganttZoom * Math.exp(-delta / 500), anchor);
+    }
+
+    /**
+     * Pointer pressed on the chart: start panning, or pinching with a second finger
+     * @param {PointerEvent} e - Pointer event on the Gantt container
+     */
+    startGanttDrag(e) {
+        const viewport = e.target.closest(".gantt-viewport");
+        if (!viewport || (e.pointerType === "mouse" && e.button !== 0)) return;
+
+        if (!this.ganttDrag || this.ganttDrag.viewport !== viewport) {
+            this.ganttDrag = { viewport, pointers: new Map(), moved: false, pinch: null };
+        }
+        const drag = this.ganttDrag;
+        drag.pointers.set(e.pointerId, e.clientX);
+        drag.startX = e.clientX;
+        drag.scrollLeft = viewport.scrollLeft;
+        if (drag.pointers.size === 2) {
+            const [a, b] = [...drag.pointers.values()];
+            drag.pinch = { distance: Math.abs(a - b) || 1, zoom: this.ganttZoom };
+        }
+    }
+
+    /**
+     * @param {PointerEvent} e - Pointer moved anywhere on the page
+     */
+    moveGanttDrag(e) {
+        const drag = this.ganttDrag;
+        if (!drag || !drag.pointers.has(e.pointerId)) return;
+        drag.pointers.set(e.pointerId, e.clientX);
+
+        if (drag.pinch && drag.pointers.size === 2) {
+            const [a, b] = [...drag.pointers.values()];
+            const anchor = (a + b) / 2 - drag.viewport.getBoundingClientRect().left;
+            this.zoomGantt(drag.pinch.zoom * Math.abs(a - b) / drag.pinch.distance, anchor);
+            drag.moved = true;
+            return;
+        }
+
+        // A few pixels of jitter still count as a click
+        const dx = e.clientX - drag.startX;
+        if (Math.abs(dx) > 3) drag.moved = true;
+        if (drag.moved) {
+            drag.viewport.scrollLeft = drag.scrollLeft - dx;
+            this.hideGanttTooltip();
+        }
+    }
+
+    /**
+     * @param {PointerEvent} e - Pointer released or cancelled anywhere on the page
+     */
+    endGanttDrag(e) {
+        const drag = this.ganttDrag;
+        if (!drag || !drag.pointers.has(e.pointerId)) return;
+        drag.pointers.delete(e.pointerId);
+
+        // One finger of a pinch lifted: keep panning with the other
+        if (drag.pointers.size) {
+            drag.pinch = null;
+            drag.startX = [...drag.pointers.values()][0];
+            drag.scrollLeft = drag.viewport.scrollLeft;
+            return;
+        }
+        this.ganttDragged = drag.moved && this.ganttContainer.contains(e.target);
+        this.ganttDrag = null;
     }
 
     /**
-     * Calculate performance metrics
-     * Computes waiting time, turnaround time, response time, and CPU utilization
+     * Show the tooltip of the bar under the mouse, next to the pointer
+     * @param {MouseEvent} e - Mouse event on the Gantt container
      */
-    calculateMetrics() {
-        const completion = {};      // Completion time for each process
-        const responseTime = {};    // First execution time for each process
-        
-        // Find completion and response times from timeline
-        this.timeline.forEach(item => {
-            if (item.process !== "IDLE") {
-                completion[item.process] = item.end;
-                if (responseTime[item.process] === undefined) {
-                    responseTime[item.process] = item.start;
-                }
-            }
-        });
+    showGanttTooltip(e) {
+        const bar = !this.ganttDrag && this.result && e.target.closest(".gantt-bar[data-process], .merged-bar");
+        if (!bar) return this.hideGanttTooltip();
 
-        let totalWait = 0;
-        let totalTurn = 0;
-        let totalResp = 0;
+        if (bar !== this.tooltipBar) {
+            this.tooltipBar = bar;
+            this.ganttTooltip.innerHTML = this.describeBar(bar);
+        }
+        this.ganttTooltip.style.display = "block";
+        // Flip to the left of the pointer near the right edge of the window
+        const width = this.ganttTooltip.offsetWidth;
+        const left = e.clientX + 14 + width > window.innerWidth ? e.clientX - 14 - width : e.clientX + 14;
+        this.ganttTooltip.style.left = `${left}px`;
+        this.ganttTooltip.style.top = `${e.clientY + 14}px`;
+    }
 
-        // Calculate metrics for each process
-        this.processes.forEach(p => {
-            const c = completion[p.id];
-            const tat = c - p.arrival;                    // Turnaround Time
-            const wt = tat - p.burst;                     // Waiting Time
-            const rt = responseTime[p.id] - p.arrival;    // Response Time
-            
-            totalWait += wt;
-            totalTurn += tat;
-            totalResp += rt;
-        });
-
-        const totalTime = Math.max(...this.timeline.map(t => t.end));
-        const totalBurst = this.processes.reduce((s, p) => s + p.burst, 0);
-
-        // Store all calculated metrics
-        this.metrics = {
-            avgWait: totalWait / this.processes.length,
-            avgTurn: totalTurn / this.processes.length,
-            avgResp: totalResp / this.processes.length,
-            totalTime,
-            totalTurnSum: totalTurn,
-            cpuUtil: (totalBurst / totalTime) * 100,
-            responseTime
-        };
+    /**
+     * Hide the Gantt bar tooltip
+     */
+    hideGanttTooltip() {
+        this.ganttTooltip.style.display = "none";
+        this.tooltipBar = null;
     }
 
     /**
-     * Render the Gantt chart visualization
-     * Creates visual timeline of process execution
+     * Tooltip contents for a Gantt bar: process, start, end, duration and
+     * remaining burst
+     * @param {HTMLElement} bar - CPU lane, I/O lane or swimlane bar
+     * @returns {string} HTML for the tooltip
      */
-    renderGantt() {
-        if (!this.timeline.length) {
-            this.ganttPlaceholder.style.display = "flex";
-            this.ganttContainer.innerHTML = "";
-            this.ganttContainer.appendChild(this.ganttPlaceholder);
-            return;
+    describeBar(bar) {
+        const chart = bar.closest(".gantt-chart");
+        const item = bar.dataset.state
+            ? {
+                process: bar.dataset.process,
+                state: bar.dataset.state,
+                start: Number(bar.dataset.start),
+                end: Number(bar.dataset.end),
+                core: bar.dataset.core,
+                queued: Number(bar.dataset.queued)
+            }
+            : { ...this.result.timelines[chart.dataset.core][bar.dataset.segment], state: "running", core: chart.dataset.core };
+
+        const row = (label, value) => `<div class="tooltip-row"><span>${label}</span><span>${value}</span></div>`;
+        const remaining = (time) => this.formatDuration(this.remainingBurst(item.process, time));
+        let title;
+        let rows = row("Start", `t = ${this.formatTime(item.start)}`) +
+            row("End", `t = ${this.formatTime(item.end)}`) +
+            row("Duration", this.formatDuration(SchedulerEngine.roundTime(item.end - item.start)));
+
+        if (item.state === "merged") {
+            title = `${bar.dataset.count} segments, too short to draw at this zoom`;
+        } else if (item.process === SchedulerEngine.IDLE) {
+            title = "CPU idle";
+        } else if (item.process === SchedulerEngine.CONTEXT_SWITCH) {
+            title = `Context switch${item.from ? ` ${item.from}` : ""} → ${item.to}`;
+        } else {
+            const where = this.result.timelines.length > 1 && item.core !== undefined ? ` on CPU ${item.core}` : "";
+            title = `${item.process} – ${item.state === "io" ? "I/O" : this.stateNames[item.state]}${where}`;
+            rows += item.state === "running"
+                ? row("Remaining burst", `${remaining(item.start)} → ${remaining(item.end)}`)
+                : row("Remaining burst", remaining(item.start));
+            if (item.state === "io") rows += row("Blocked at", `t = ${this.formatTime(item.queued)}`);
+            if (item.level !== undefined) rows += row("Queue", `Q${item.level}`);
+            if (item.state === "running" && this.colorsByNice()) {
+                rows += row("Nice", SchedulerEngine.niceOf(this.runProcesses().find(p => p.id === item.process) || {}));
+            }
         }
+        return `<div class="tooltip-title">${this.escapeHTML(title)}</div>${rows}`;
+    }
 
-        this.ganttPlaceholder.style.display = "none";
-
-        const maxTime = Math.max(...this.timeline.map(t => t.end));
-        const colors = ["c0", "c1", "c2", "c3", "c4", "c5"];
-
-        // Create Gantt chart bars
-        const chart = document.createElement("div");
-        chart.className = "gantt-chart";
+    /**
+     * CPU time a process still needed at an instant of the last run
+     * @param {string} id - Process (or job) ID
+     * @param {number} time - Instant
+     * @returns {number} Remaining CPU burst
+     */
+    remainingBurst(id, time) {
+        const process = this.metrics.perProcess.find(p => p.id === id);
+        const ran = this.result.timeline.reduce((sum, item) => (
+            item.process === id && item.start < time ? sum + Math.min(item.end, time) - item.start : sum
+        ), 0);
+        return SchedulerEngine.roundTime(Math.max(0, (process ? process.burst : 0) - ran));
+    }
 
-        this.timeline.forEach((item, i) => {
-            const bar = document.createElement("div");
-            const width = ((item.end - item.start) / maxTime) * 100;
-            bar.style.width = width + "%";
+    /**
+     * @param {string} id - Process ID of a Gantt bar
+     * @returns {boolean} False for idle and context switch bars
+     */
+    isProcessId(id) {
+        return id !== SchedulerEngine.IDLE && id !== SchedulerEngine.CONTEXT_SWITCH;
+    }
 
-            if (item.process === "IDLE") {
-                bar.className = "gantt-bar idle-bar";
-                bar.textContent = "IDLE";
-            } else {
-                bar.className = `gantt-bar ${colors[i % colors.length]}`;
-                bar.textContent = item.process;
-            }
+    /**
+     * Select a process in the chart and execution table (selecting it again clears it)
+     * @param {string} id - Process ID
+     */
+    selectProcess(id) {
+        this.selectedProcess = this.selectedProcess === id ? null : id;
+        this.highlightSelectedProcess();
+    }
 
-            chart.appendChild(bar);
+    /**
+     * Mark the selected process's bars and table row; re-applied after every redraw
+     */
+    highlightSelectedProcess() {
+        const id = this.selectedProcess;
+        this.ganttContainer.classList.toggle("has-selection", id !== null);
+        this.ganttContainer.querySelectorAll(".gantt-bar[data-process], .swimlane-row[data-process]").forEach(el => {
+            el.classList.toggle("process-selected", el.dataset.process === id);
         });
+        this.executionDetails.querySelectorAll("tr[data-process]").forEach(row => {
+            row.classList.toggle("selected", row.dataset.process === id);
+        });
+    }
 
-        // Create time axis
-        const axis = document.createElement("div");
-        axis.className = "time-axis";
-
-        for (let t = 0; t <= maxTime; t++) {
-            const marker = document.createElement("div");
-            marker.className = "time-marker";
-            marker.style.left = `${(t / maxTime) * 100}%`;
-            marker.textContent = t;
-            axis.appendChild(marker);
+    /**
+     * Scroll a zoomed chart to the first run of a process if it is off screen
+     * @param {string} id - Process ID
+     */
+    revealProcessInGantt(id) {
+        const viewport = this.ganttContainer.querySelector(".gantt-viewport");
+        const first = this.result && this.result.timeline.find(item => item.process === id);
+        if (!viewport || !first) return;
+
+        const x = (first.start / this.ganttMaxTime) * viewport.firstChild.offsetWidth;
+        if (x < viewport.scrollLeft || x > viewport.scrollLeft + viewport.clientWidth) {
+            viewport.scrollLeft = x - viewport.clientWidth / 4;
         }
-
-        // Render chart and axis
-        this.ganttContainer.innerHTML = "";
-        this.ganttContainer.appendChild(chart);
-        this.ganttContainer.appendChild(axis);
     }
 
     /**
@@ -867,11 +3163,19 @@ P5,4,4,1`;
      */
     updateMetrics() {
         // Update text values
-        this.avgWaitEl.textContent = this.metrics.avgWait.toFixed(2);
-        this.avgTurnEl.textContent = this.metrics.avgTurn.toFixed(2);
-        this.avgRespEl.textContent = this.metrics.avgResp.toFixed(2);
-        this.totalTimeEl.textContent = this.metrics.totalTime + " ms";
-        this.totalTATEl.textContent = this.metrics.totalTurnSum + " ms";
+        this.avgWaitEl.textContent = this.formatAverage(this.metrics.avgWait);
+        this.avgTurnEl.textContent = this.formatAverage(this.metrics.avgTurn);
+        this.avgRespEl.textContent = this.formatAverage(this.metrics.avgResp);
+        this.totalTimeEl.textContent = this.formatDuration(this.metrics.totalTime);
+        this.totalTATEl.textContent = this.formatDuration(this.metrics.totalTurnSum);
+        this.contextSwitchesEl.textContent =
+            `${this.metrics.contextSwitches} (${this.formatDuration(this.metrics.switchTime)} overhead)`;
+        this.preemptionsEl.textContent = this.metrics.preemptions;
+        this.throughputEl.textContent = this.formatRate(this.metrics.throughput);
+        this.waitSpreadEl.textContent =
+            `${this.formatTime(this.metrics.maxWait)} / ${this.formatDuration(this.metrics.p95Wait)}`;
+        this.avgNormTurnEl.textContent = `${this.metrics.avgNormTurn.toFixed(2)}×`;
+        this.fairnessEl.textContent = this.metrics.fairness.toFixed(3);
 
         // Animate progress bars
         this.avgWaitBar.style.width = "100%";
@@ -879,6 +3183,13 @@ P5,4,4,1`;
         this.avgRespBar.style.width = "100%";
         this.totalTimeBar.style.width = "100%";
         this.totalTATBar.style.width = "100%";
+        this.contextSwitchesBar.style.width = "100%";
+        this.preemptionsBar.style.width = "100%";
+        this.throughputBar.style.width = "100%";
+        this.waitSpreadBar.style.width = "100%";
+        this.avgNormTurnBar.style.width = "100%";
+        // Fairness is already a fraction of the ideal
+        this.fairnessBar.style.width = `${this.metrics.fairness * 100}%`;
 
         // Update CPU utilization circle
         const cpu = Math.round(this.metrics.cpuUtil);
@@ -888,6 +3199,58 @@ P5,4,4,1`;
         const circ = 2 * Math.PI * r;
         this.cpuProgress.style.strokeDasharray = `${circ} ${circ}`;
         this.cpuProgress.style.strokeDashoffset = circ * (1 - cpu / 100);
+
+        // Per-core utilization under the ring (aggregate is the ring itself)
+        const cores = this.metrics.coreUtil;
+        this.coreUtilEl.innerHTML = cores.length > 1
+            ? cores.map((util, i) => `
+                <div class="core-util-row">
+                  <span>CPU ${i}</span>
+                  <div class="core-util-bar"><div style="width:${util}%"></div></div>
+                  <span>${Math.round(util)}%</span>
+                </div>`).join("")
+            : "";
+
+        this.renderProcessChart();
+    }
+
+    /**
+     * Small per-process bar chart of waiting time and normalized turnaround;
+     * large workloads show the processes that waited longest
+     */
+    renderProcessChart() {
+        const all = this.metrics.perProcess;
+        const shown = all.length > this.maxChartProcesses
+            ? [...all].sort((a, b) => b.waiting - a.waiting).slice(0, this.maxChartProcesses)
+            : all;
+
+        const group = (title, key, format) => {
+            const max = Math.max(...shown.map(p => p[key])) || 1;
+            const bars = shown.map(p => `
+              <div class="chart-row">
+                <span class="chart-label">${this.escapeHTML(p.id)}</span>
+                <div class="chart-track">
+                  <div class="chart-fill" style="width:${(p[key] / max) * 100}%"></div>
+                </div>
+                <span class="chart-value">${format(p[key])}</span>
+              </div>`).join("");
+            return `
+              <div class="chart-group">
+                <div class="metric-title">${title}</div>
+                ${bars}
+              </div>`;
+        };
+
+        const note = shown.length < all.length
+            ? ` <span class="chart-hint">(the ${shown.length} of ${all.length} processes that waited longest)</span>`
+            : "";
+        this.processChart.style.display = "block";
+        this.processChart.innerHTML = `
+          <h3 class="details-subtitle mt">Per Process${note}</h3>
+          <div class="comparison-chart">
+            ${group("Waiting Time", "waiting", value => this.formatDuration(value))}
+            ${group("Normalized Turnaround (TAT / BT)", "normalizedTurnaround", value => `${value.toFixed(2)}×`)}
+          </div>`;
     }
 
     /**
@@ -917,50 +3280,841 @@ P5,4,4,1`;
         this.cpuProgress.style.strokeDashoffset = circ;
     }
 
+    /**
+     * Show the schedulability test of an EDF / RM run next to the metrics
+     * Hidden for other algorithms and for runs without periodic tasks
+     */
+    renderSchedulability() {
+        const report = this.result && this.result.schedulability;
+        this.schedulabilityCard.style.display = report ? "block" : "none";
+        if (!report) return;
+
+        const misses = this.result.deadlineMisses;
+        const verdictClass = report.verdict.replace(/\s+/g, "-");
+        const notes = [];
+        if (!report.implicitDeadlines) {
+            notes.push("Some deadlines are shorter than their period, so the utilization test alone is not conclusive.");
+        }
+        notes.push(misses.length
+            ? `Simulation over the hyperperiod: ${misses.length} deadline miss(es), first ${this.escapeHTML(misses[0].process)} at t=${this.formatTime(misses[0].deadline)}.`
+            : "Simulation over the hyperperiod: every deadline met.");
+
+        this.schedulabilityReport.innerHTML = `
+          <div class="schedulability-summary">
+            <span class="verdict-badge ${verdictClass}">${report.verdict}</span>
+            <span>U = ${report.utilization.toFixed(3)} ${report.utilization <= report.bound ? "≤" : ">"} ${report.bound.toFixed(3)}</span>
+            <span class="history-time">${report.test} · hyperperiod ${report.hyperperiod}</span>
+          </div>
+          <table class="execution-table mt">
+            <thead>
+              <tr><th>Task</th><th>Period (T)</th><th>Execution (C)</th><th>Deadline (D)</th><th>C/T</th></tr>
+            </thead>
+            <tbody>
+              ${report.tasks.map(t => `
+              <tr>
+                <td>${this.escapeHTML(t.id)}</td><td>${this.formatTime(t.period)}</td><td>${this.formatTime(t.execution)}</td><td>${this.formatTime(t.deadline)}</td>
+                <td>${t.utilization.toFixed(3)}</td>
+              </tr>`).join("")}
+            </tbody>
+          </table>
+          ${notes.map(note => `<p class="info-note mt">${note}</p>`).join("")}
+        `;
+    }
+
     /**
      * Render execution details table
      * Shows detailed information for each process
      */
     renderExecutionDetails() {
-        const completion = {};
-        this.timeline.forEach(t => {
-            if (t.process !== "IDLE") completion[t.process] = t.end;
-        });
-
-        let html = `
+        // Effective priority over time (Priority Scheduling only)
+        const history = this.result && this.result.priorityHistory;
+        const threshold = Math.max(0, parseFloat(this.starvationThresholdInput.value) || 0);
+        const hasIO = this.runProcesses().some(p => p.bursts);
+        const unit = this.timeUnit();
+        const time = (value) => this.formatTime(value);
+
+        // Absolute deadlines of the jobs of an EDF / RM run
+        const jobs = this.result && this.result.jobs;
+        const deadlines = {};
+        if (jobs) jobs.forEach(job => { deadlines[job.id] = job.absoluteDeadline; });
+        const missed = new Set(jobs ? this.result.deadlineMisses.map(miss => miss.process) : []);
+
+        // CPU share received vs ticket share (Lottery / Stride)
+        const shares = this.result && this.result.shares;
+
+        // Final virtual runtime and load weight (CFS)
+        const vruntime = this.result && this.result.vruntime;
+        const weights = this.result && this.result.weights;
+        const percent = (fraction) => `${(fraction * 100).toFixed(1)}%`;
+
+        let html = this.result && this.result.lotterySeed
+            ? `<p class="info-note">Lottery seed: <strong>${this.result.lotterySeed}</strong> (same seed and processes reproduce this run)</p>`
+            : "";
+        html += `
         <table class="execution-table">
           <thead>
             <tr>
-              <th>Process</th><th>AT (in ms)</th><th>BT (in ms)</th>
-              <th>Start (in ms)</th><th>End (in ms)</th>
-              <th>Waiting (in ms)</th><th>Turnaround (in ms)</th><th>Response (in ms)</th>
+              <th>Process</th><th>AT (in ${unit})</th><th>BT (in ${unit})</th>
+              ${history ? "<th>Priority (effective)</th>" : ""}
+              <th>Start (in ${unit})</th><th>End (in ${unit})</th>
+              ${jobs ? `<th>Deadline (in ${unit})</th>` : ""}
+              <th>Waiting (in ${unit})</th>${hasIO ? `<th>Blocked (in ${unit})</th>` : ""}
+              <th>Turnaround (in ${unit})</th><th>Response (in ${unit})</th>
+              <th>Normalized TAT (TAT / BT)</th><th>Preemptions</th>
+              ${shares ? "<th>Share (received / expected)</th>" : ""}
+              ${vruntime ? "<th>Nice</th><th>Weight</th><th>vruntime</th>" : ""}
             </tr>
           </thead>
           <tbody>`;
 
-        this.processes.forEach(p => {
-            const comp = completion[p.id];
-            const tat = comp - p.arrival;                    // Turnaround Time
-            const wt = tat - p.burst;                        // Waiting Time
-            const rt = this.metrics.responseTime[p.id] - p.arrival;  // Response Time
-
-            const firstStart = this.timeline.find(t => t.process === p.id)?.start ?? "-";
+        this.metrics.perProcess.forEach(p => {
+            // Starvation indicator: waited longer than the configured threshold
+            const starved = threshold > 0 && p.waiting > threshold;
+            const badge = starved
+                ? ` <span class="starved-badge" title="Waited more than ${time(threshold)} ${unit}">⚠ starved</span>`
+                : "";
+            const late = missed.has(p.id);
 
             html += `
-            <tr>
-              <td>${p.id}</td>
-              <td>${p.arrival}</td>
-              <td>${p.burst}</td>
-              <td>${firstStart}</td>
-              <td>${comp}</td>
-              <td>${wt}</td>
-              <td>${tat}</td>
-              <td>${rt}</td>
+            <tr class="${starved || late ? "starved" : ""}" data-process="${this.escapeHTML(p.id)}">
+              <td>${this.escapeHTML(p.id)}${badge}</td>
+              <td>${time(p.arrival)}</td>
+              <td>${time(p.burst)}</td>
+              ${history ? `<td>${this.formatPriorityHistory(history[p.id])}</td>` : ""}
+              <td>${p.start === undefined ? "-" : time(p.start)}</td>
+              <td>${time(p.completion)}</td>
+              ${jobs ? `<td>${deadlines[p.id] === undefined ? "-" : time(deadlines[p.id])}${late ? ' <span class="starved-badge">✕ missed</span>' : ""}</td>` : ""}
+              <td>${time(p.waiting)}</td>
+              ${hasIO ? `<td>${time(p.blocked)}</td>` : ""}
+              <td>${time(p.turnaround)}</td>
+              <td>${time(p.response)}</td>
+              <td>${p.normalizedTurnaround.toFixed(2)}</td>
+              <td>${p.preemptions}</td>
+              ${shares ? `<td>${percent(shares[p.id].received)} / ${percent(shares[p.id].expected)} <span class="history-time">(${shares[p.id].tickets} ticket${shares[p.id].tickets === 1 ? "" : "s"})</span></td>` : ""}
+              ${vruntime ? `<td>${SchedulerEngine.niceOf(this.runProcesses().find(q => q.id === p.id) || {})}</td><td>${weights[p.id]}</td><td>${vruntime[p.id].toFixed(2)}</td>` : ""}
             </tr>`;
         });
 
         html += `</tbody></table>`;
+
+        // Response ratios behind every HRRN decision
+        const decisions = this.result && this.result.responseRatios;
+        if (decisions) html += this.formatResponseRatios(decisions);
+
         this.executionDetails.innerHTML = html;
+        this.highlightSelectedProcess();
+    }
+
+    /**
+     * Table of the response ratio of every ready process at each HRRN decision
+     * @param {Array} decisions - [{ time, chosen, ratios }] from the engine
+     * @returns {string} HTML for the table
+     */
+    formatResponseRatios(decisions) {
+        const rows = [...decisions].sort((a, b) => a.time - b.time).map(d => {
+            // Only the chosen ratio is recorded when many processes were ready
+            const others = d.candidates - d.ratios.length;
+            const candidates = d.ratios.map(r => `
+                <span class="ratio-chip ${r.process === d.chosen ? "chosen" : ""}">
+                  ${this.escapeHTML(r.process)}: (${this.formatTime(r.waiting)} + ${this.formatTime(r.burst)}) / ${this.formatTime(r.burst)} = ${r.ratio.toFixed(2)}
+                </span>`).join("") + (others > 0 ? `<span class="ratio-more">+ ${others} more</span>` : "");
+            return `<tr><td>${this.formatTime(d.time)}</td><td class="ratio-cell">${candidates}</td><td>${this.escapeHTML(d.chosen)}</td></tr>`;
+        }).join("");
+
+        return `
+        <h3 class="details-subtitle mt">Response Ratios at Each Decision: (W + S) / S</h3>
+        <table class="execution-table">
+          <thead><tr><th>Time</th><th>Ready processes</th><th>Chosen</th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>`;
+    }
+
+    /**
+     * Format a process's effective priority changes, e.g. "3 → 2 (t=6) → 1 (t=9)"
+     * @param {Array} changes - [{ time, priority }] from the engine's priorityHistory
+     * @returns {string} HTML for the table cell
+     */
+    formatPriorityHistory(changes = []) {
+        return changes
+            .map((c, i) => i === 0 ? `${c.priority}` : `${c.priority} <span class="history-time">(t=${this.formatTime(c.time)})</span>`)
+            .join(" → ");
+    }
+
+    /* ============================================================================
+       COMPARE MODE
+       Runs every algorithm on the same processes and ranks the results
+    ============================================================================ */
+
+    /**
+     * Run all algorithms on the current processes (in the worker) and show
+     * the comparison
+     */
+    async compareAll() {
+        if (this.processes.length === 0) {
+            return alert("Please add at least one process.");
+        }
+
+        const options = this.getAlgorithmOptions();
+        const processes = this.processes.map(p => ({ ...p }));
+        const compareId = ++this.compareCount;
+        let comparison;
+        this.compareBtn.disabled = true;
+        try {
+            comparison = await Promise.all(SchedulerEngine.COMPARED_ALGORITHMS.map(algorithm =>
+                this.simulate(algorithm, processes, options)));
+        } catch (err) {
+            return alert(err.message);
+        } finally {
+            if (compareId === this.compareCount) this.compareBtn.disabled = false;
+        }
+        if (compareId !== this.compareCount) return;
+
+        this.comparison = comparison;
+        this.comparisonProcesses = processes;
+        this.renderComparison();
+        this.comparisonCard.scrollIntoView({ behavior: "smooth", block: "start" });
+    }
+
+    /**
+     * Render stacked Gantt charts, the metrics table and the bar chart
+     */
+    renderComparison() {
+        this.comparisonCard.style.display = "block";
+        this.renderComparisonGantt();
+        this.renderComparisonTable();
+        this.renderComparisonChart();
+    }
+
+    /**
+     * Stack one Gantt chart per algorithm on a shared time axis
+     */
+    renderComparisonGantt() {
+        const maxTime = Math.max(...this.comparison.map(r => r.metrics.totalTime));
+        const width = this.comparisonGantt.clientWidth || Infinity;
+        this.comparisonGantt.innerHTML = "";
+
+        // One row per algorithm, or per algorithm and core on multiprocessor runs
+        this.comparison.forEach(result => result.timelines.forEach((timeline, core) => {
+            const row = document.createElement("div");
+            row.className = "comparison-row";
+
+            const label = document.createElement("div");
+            label.className = "comparison-label";
+            label.textContent = result.timelines.length > 1
+                ? `${this.algorithmShortNames[result.algorithm]} · CPU${core}`
+                : this.algorithmShortNames[result.algorithm];
+
+            const chart = document.createElement("div");
+            chart.className = "gantt-chart compact";
+
+            this.ganttBars(timeline, maxTime, width).forEach(span => {
+                if (span.first !== span.last) {
+                    const bar = this.createMergedBar(span, maxTime);
+                    bar.title = `${span.last - span.first + 1} segments: ${this.formatTime(span.start)}–${this.formatTime(span.end)}`;
+                    chart.appendChild(bar);
+                    return;
+                }
+
+                const item = timeline[span.first];
+                const bar = document.createElement("div");
+                bar.style.width = ((item.end - item.start) / maxTime) * 100 + "%";
+                bar.title = `${item.process}: ${this.formatTime(item.start)}–${this.formatTime(item.end)}`;
+
+                if (item.process === SchedulerEngine.IDLE) {
+                    bar.className = "gantt-bar idle-bar";
+                } else if (item.process === SchedulerEngine.CONTEXT_SWITCH) {
+                    bar.className = "gantt-bar cs-bar";
+                } else {
+                    bar.className = "gantt-bar process-bar";
+                    bar.style.backgroundColor = this.processColor(item.process, this.comparisonProcesses);
+                    bar.textContent = item.process;
+                }
+                chart.appendChild(bar);
+            });
+
+            row.appendChild(label);
+            row.appendChild(chart);
+            this.comparisonGantt.appendChild(row);
+        }));
+
+        // Shared axis, indented to line up with the charts
+        const axisRow = document.createElement("div");
+        axisRow.className = "comparison-row";
+        axisRow.innerHTML = `<div class="comparison-label"></div>`;
+        const axis = this.createTimeAxis(maxTime);
+        axis.style.flex = "1";
+        axisRow.appendChild(axis);
+        this.comparisonGantt.appendChild(axisRow);
+        this.comparisonGantt.appendChild(this.createProcessLegend(this.comparisonProcesses));
+    }
+
+    /**
+     * Best value of a comparison metric across all algorithms
+     * @param {Object} metric - Entry of this.comparisonMetrics
+     * @returns {number} Lowest or highest value, depending on `metric.better`
+     */
+    bestComparisonValue(metric) {
+        const values = this.comparison.map(r => r.metrics[metric.key]);
+        return metric.better === "low" ? Math.min(...values) : Math.max(...values);
+    }
+
+    /**
+     * Format a comparison metric value with its unit
+     */
+    formatComparisonValue(metric, value) {
+        if (metric.time) return `${this.formatAverage(value)} ${this.timeUnit()}`;
+        if (metric.rate) return this.formatRate(value);
+        return value.toFixed(metric.digits ?? 2) + metric.unit;
+    }
+
+    /**
+     * Render the metrics table with the best value per metric highlighted
+     */
+    renderComparisonTable() {
+        const best = this.comparisonMetrics.map(m => this.bestComparisonValue(m));
+
+        let html = `
+        <table class="execution-table comparison-table">
+          <thead>
+            <tr>
+              <th>Algorithm</th>
+              ${this.comparisonMetrics.map(m => `<th>${m.label}</th>`).join("")}
+            </tr>
+          </thead>
+          <tbody>`;
+
+        this.comparison.forEach(result => {
+            html += `<tr><td>${this.algorithmShortNames[result.algorithm]}</td>`;
+            this.comparisonMetrics.forEach((m, i) => {
+                const value = result.metrics[m.key];
+                const isBest = Math.abs(value - best[i]) < 1e-9;
+                html += `<td class="${isBest ? "best" : ""}">${this.formatComparisonValue(m, value)}</td>`;
+            });
+            html += `</tr>`;
+        });
+
+        html += `</tbody></table>`;
+        this.comparisonTable.innerHTML = html;
+    }
+
+    /**
+     * Render one horizontal bar group per metric
+     */
+    renderComparisonChart() {
+        this.comparisonChart.innerHTML = this.comparisonMetrics.map(m => {
+            const best = this.bestComparisonValue(m);
+            const max = Math.max(...this.comparison.map(r => r.metrics[m.key])) || 1;
+
+            const bars = this.comparison.map(result => {
+                const value = result.metrics[m.key];
+                const isBest = Math.abs(value - best) < 1e-9;
+                return `
+                  <div class="chart-row">
+                    <span class="chart-label">${this.algorithmShortNames[result.algorithm]}</span>
+                    <div class="chart-track">
+                      <div class="chart-fill ${isBest ? "best" : ""}" style="width:${(value / max) * 100}%"></div>
+                    </div>
+                    <span class="chart-value">${this.formatComparisonValue(m, value)}</span>
+                  </div>`;
+            }).join("");
+
+            return `
+              <div class="chart-group">
+                <div class="metric-title">${m.label} <span class="chart-hint">(${m.better === "low" ? "lower" : "higher"} is better)</span></div>
+                ${bars}
+              </div>`;
+        }).join("");
+    }
+
+    /* ============================================================================
+       PRACTICE MODE
+       The user works out the Gantt chart and the waiting / turnaround /
+       response times by hand; the engine's result stays hidden until graded
+    ============================================================================ */
+
+    /**
+     * Start a practice round for the selected algorithm (always on one core),
+     * solved in the worker
+     * @param {boolean} random - Use a new random workload instead of the process list
+     */
+    async startQuiz(random) {
+        const algorithm = this.algorithmSelect.value;
+        const priorities = ["Priority", "Lottery", "Stride"].includes(algorithm);
+        const processes = random
+            ? SchedulerEngine.generateWorkload({
+                count: 4,
+                seed: Math.floor(Math.random() * 1000000),
+                arrivalMax: 6,
+                burstMin: 1,
+                burstMax: 6,
+                ...(priorities ? { priorityMin: 1, priorityMax: 4 } : {})
+            }).map(p => ({ ...p, queue: "interactive" }))
+            : this.processes.map(p => ({ ...p }));
+
+        if (algorithm === "Lottery" && !(parseInt(this.lotterySeedInput.value) > 0)) {
+            this.lotterySeedInput.value = 1 + Math.floor(Math.random() * 1000000);
+        }
+        const options = { ...this.getAlgorithmOptions(), cores: 1 };
+
+        const quizId = ++this.quizCount;
+        let result;
+        try {
+            result = await this.simulate(algorithm, processes, options);
+        } catch (err) {
+            return alert(err.message);
+        }
+        if (quizId !== this.quizCount) return;
+
+        // Hide any computed schedule so it cannot give the answers away
+        this.reset();
+        this.quiz = { algorithm, options, processes, result };
+        this.renderQuiz();
+        this.quizCard.style.display = "block";
+        this.quizCard.scrollIntoView({ behavior: "smooth", block: "start" });
+    }
+
+    /**
+     * Render the practice workload and empty answer fields
+     */
+    renderQuiz() {
+        const { algorithm, options, processes, result } = this.quiz;
+        const settings = [];
+        if (["RoundRobin", "Lottery", "Stride"].includes(algorithm)) settings.push(`time quantum ${options.timeQuantum}`);
+        if (algorithm === "Priority") {
+            settings.push(options.priorityPreemptive ? "preemptive" : "non-preemptive");
+            settings.push(options.higherPriorityFirst ? "higher number = higher priority" : "lower number = higher priority");
+        }
+        if (algorithm === "Lottery") settings.push(`seed ${options.lotterySeed}`);
+        if (algorithm === "CFS") settings.push(`target latency ${options.targetLatency}, min granularity ${options.minGranularity}`);
+        if (options.contextSwitch) settings.push(`context switch ${options.contextSwitch}`);
+        if (options.dispatchLatency) settings.push(`dispatch latency ${options.dispatchLatency}`);
+
+        this.quizPrompt.innerHTML = `
+          Schedule these processes with <strong>${this.algorithmShortNames[algorithm]}</strong>${settings.length ? ` (${settings.join(", ")})` : ""}.
+          Write the Gantt chart as segments in order, merging consecutive time units of the same process,
+          then fill in the times of each process.`;
+
+        // Workload, with the columns the algorithm uses
+        const extras = (p) => [
+            ["Priority", "Lottery", "Stride"].includes(algorithm) ? `${algorithm === "Priority" ? "P" : "Tickets"}:${p.priority}` : "",
+            algorithm === "MLQ" ? `Q:${p.queue}` : "",
+            algorithm === "CFS" ? `nice:${SchedulerEngine.niceOf(p)}` : "",
+            p.period ? `T:${p.period}` : "",
+            p.deadline ? `D:${p.deadline}` : "",
+            p.bursts ? SchedulerEngine.formatBurstSequence(p.bursts) : ""
+        ].filter(Boolean).join(" • ");
+
+        this.quizWorkload.innerHTML = `
+        <table class="execution-table">
+          <thead><tr><th>Process</th><th>AT</th><th>BT</th><th></th></tr></thead>
+          <tbody>
+            ${processes.map(p => `<tr><td>${this.escapeHTML(p.id)}</td><td>${p.arrival}</td><td>${p.burst}</td><td>${this.escapeHTML(extras(p))}</td></tr>`).join("")}
+          </tbody>
+        </table>`;
+
+        // One row per scheduled process (per job for EDF / RM)
+        this.quizTable.innerHTML = `
+        <table class="execution-table">
+          <thead><tr><th>Process</th><th>Waiting</th><th>Turnaround</th><th>Response</th></tr></thead>
+          <tbody>
+            ${result.metrics.perProcess.map(p => `
+            <tr data-process="${this.escapeHTML(p.id)}">
+              ${["<td></td>"].concat(SchedulerEngine.GRADED_FIELDS.map(field =>
+                `<td><input class="form-input quiz-input" type="number" step="any" data-field="${field}" /></td>`)).join("")}
+            </tr>`).join("")}
+          </tbody>
+        </table>`;
+        this.quizTable.querySelectorAll("tr[data-process]").forEach(row => {
+            row.firstElementChild.textContent = row.dataset.process;
+        });
+
+        this.quizGanttInput.value = "";
+        this.quizGanttInput.classList.remove("quiz-wrong", "quiz-correct");
+        this.quizGanttFeedback.innerHTML = "";
+        this.quizScore.textContent = "";
+    }
+
+    /**
+     * Grade the answers against the engine and mark every wrong cell and segment
+     */
+    submitQuiz() {
+        if (!this.quiz) return;
+
+        let segments;
+        try {
+            segments = SchedulerEngine.parseGanttAnswer(this.quizGanttInput.value);
+        } catch (err) {
+            return alert(err.message);
+        }
+
+        const table = {};
+        this.quizTable.querySelectorAll("tr[data-process]").forEach(row => {
+            table[row.dataset.process] = {};
+            row.querySelectorAll(".quiz-input").forEach(input => {
+                table[row.dataset.process][input.dataset.field] = input.value;
+            });
+        });
+
+        const grade = SchedulerEngine.gradeAnswer(this.quiz.result, { segments, table });
+
+        // Table cells: the expected value is revealed on wrong cells only
+        grade.cells.forEach(cell => {
+            const row = [...this.quizTable.querySelectorAll("tr[data-process]")].find(r => r.dataset.process === cell.process);
+            const input = row.querySelector(`[data-field="${cell.field}"]`);
+            input.classList.toggle("quiz-correct", cell.correct);
+            input.classList.toggle("quiz-wrong", !cell.correct);
+            input.title = cell.correct ? "" : `Expected ${cell.expected}`;
+        });
+
+        // Segments in order, the wrong ones with the expected segment
+        const label = (s) => this.escapeHTML(s ? `${s.process} ${s.start}-${s.end}` : "nothing");
+        this.quizGanttFeedback.innerHTML = grade.segments.map(s => `
+            <span class="quiz-segment ${s.correct ? "correct" : "wrong"}"
+                  title="${s.correct ? "" : `Expected ${label(s.expected)}`}">${s.given ? label(s.given) : "missing"}</span>`).join("");
+        this.quizGanttInput.classList.toggle("quiz-correct", grade.segments.every(s => s.correct));
+        this.quizGanttInput.classList.toggle("quiz-wrong", !grade.segments.every(s => s.correct));
+
+        this.quizScore.textContent = `Score: ${grade.correct} / ${grade.total} (${Math.round(grade.score)}%)` +
+            (grade.correct === grade.total ? " 🎉 All correct!" : " · hover a red answer to see the expected value");
+    }
+
+    /**
+     * Leave practice mode
+     */
+    closeQuiz() {
+        this.quiz = null;
+        this.quizCard.style.display = "none";
+    }
+
+    /* ============================================================================
+       DECISION LOG
+       Narrates every event the engine logged (arrival, dispatch, preemption,
+       quantum expiry, completion, idle, ...) with the reason behind it;
+       clicking an entry highlights the Gantt bar it refers to
+    ============================================================================ */
+
+    /**
+     * One-line explanation of an engine event
+     * @param {Object} e - Event from the engine (see simulate())
+     * @returns {string} Human-readable description
+     */
+    describeEvent(e) {
+        const keyed = (id, key) => key ? `${id} (${key})` : id;
+
+        switch (e.type) {
+            case "arrival": return `${e.process} arrived`;
+            case "dispatch": {
+                let text = `${keyed(e.process, e.key)} dispatched`;
+                if (!e.over) {
+                    // Too many waiting processes to list them
+                    text += e.key
+                        ? `, chosen over ${e.waiting} waiting processes`
+                        : ` from the head of the ready queue (${e.waiting} waiting)`;
+                } else if (e.over.length) {
+                    text += e.key
+                        ? `, chosen over ${e.over.map(o => keyed(o.process, o.key)).join(", ")}`
+                        : ` from the head of the ready queue (${e.over.map(o => o.process).join(", ")} waiting)`;
+                }
+                return e.quantum ? `${text}, quantum ${e.quantum}` : text;
+            }
+            case "preempt":
+                return e.byKey
+                    ? `${e.process} preempted by ${e.by}: ${e.byKey} beats ${e.key}`
+                    : `${e.process} preempted by ${e.by}`;
+            case "quantum":
+                return e.level !== undefined
+                    ? `${e.process} used its quantum of ${e.quantum} → requeued in Q${e.level}`
+                    : `${e.process} used its quantum of ${e.quantum} → back of the ready queue` +
+                        (e.queue ? ` (${e.queue.join(", ")})` : "");
+            case "complete": return `${e.process} completed`;
+            case "idle": return `CPU${e.core ?? ""} idle: no process ready`;
+            case "migrate": return `${e.process} migrated CPU${e.from} → CPU${e.to}`;
+            case "block": return `${e.process} blocked for I/O`;
+            case "io": return `${e.process} started I/O`;
+            case "wakeup": return `${e.process} finished I/O`;
+            case "boost": return "priority boost: all processes moved to Q0";
+            case "aging": return `${e.process} aged to priority ${e.priority}`;
+            case "miss": return `${e.process} missed its deadline`;
+            default: return e.type;
+        }
+    }
+
+    /**
+     * Fill the decision log with the events of the current run
+     */
+    renderTraceLog() {
+        const events = (this.result && this.result.events) || [];
+        const multicore = this.result && this.result.timelines.length > 1;
+        this.tracePanel.style.display = events.length ? "flex" : "none";
+        this.traceLog.innerHTML = "";
+
+        // Very long logs are cut off; the full log is in the JSON export
+        events.slice(0, this.maxTraceEntries).forEach((e, i) => {
+            const entry = document.createElement("li");
+            entry.className = `trace-entry trace-${e.type}`;
+            entry.dataset.index = i;
+
+            const time = document.createElement("span");
+            time.className = "trace-time";
+            time.textContent = `t=${this.formatTime(e.time)}`;
+            const text = document.createElement("span");
+            const core = multicore && e.core !== undefined && e.type !== "idle" ? `CPU${e.core}: ` : "";
+            text.textContent = core + this.describeEvent(e);
+            entry.append(time, text);
+
+            // Events without a CPU bar (I/O start, priority boost) are not clickable
+            if (this.eventSegment(e)) {
+                entry.classList.add("linked");
+                entry.addEventListener("click", () => this.selectTraceEvent(i));
+            }
+            this.traceLog.appendChild(entry);
+        });
+
+        if (events.length > this.maxTraceEntries) {
+            const more = document.createElement("li");
+            more.className = "trace-more";
+            more.textContent = `… ${events.length - this.maxTraceEntries} more events (see the JSON export)`;
+            this.traceLog.appendChild(more);
+        }
+    }
+
+    /**
+     * The Gantt segment an event refers to: the bar a dispatched process starts,
+     * the bar that ends at a preemption / quantum expiry / completion, the idle
+     * bar, or for other process events the process's next bar
+     * @param {Object} e - Event from the engine
+     * @returns {?{core: number, index: number}} Lane and index in its timeline
+     */
+    eventSegment(e) {
+        const ending = ["preempt", "quantum", "complete", "block"].includes(e.type);
+        const matches = (s) => e.type === "idle"
+            ? s.process === SchedulerEngine.IDLE && s.start <= e.time && e.time < s.end
+            : s.process === e.process && (ending ? s.end === e.time : s.end > e.time);
+        if (e.type !== "idle" && (!e.process || e.type === "io")) return null;
+
+        // Earliest matching segment over the lanes the event can refer to
+        let found = null;
+        this.result.timelines.forEach((timeline, core) => {
+            if (e.core !== undefined && e.core !== core) return;
+            const index = timeline.findIndex(matches);
+            if (index >= 0 && (!found || timeline[index].start < this.result.timelines[found.core][found.index].start)) {
+                found = { core, index };
+            }
+        });
+        return found;
+    }
+
+    /**
+     * Highlight the Gantt bar of a decision log entry (clicking it again clears it)
+     * @param {number} index - Index of the event in the run's event log
+     */
+    selectTraceEvent(index) {
+        this.traceSelection = this.traceSelection === index ? null : index;
+        this.traceLog.querySelectorAll(".trace-entry").forEach(entry => {
+            entry.classList.toggle("selected", Number(entry.dataset.index) === this.traceSelection);
+        });
+        this.highlightTraceSegment();
+    }
+
+    /**
+     * Mark the bar of the selected log entry; re-applied after every Gantt redraw
+     */
+    highlightTraceSegment() {
+        this.ganttContainer.querySelectorAll(".gantt-bar.trace-highlight")
+            .forEach(bar => bar.classList.remove("trace-highlight"));
+        if (this.traceSelection === null || !this.result) return;
+
+        const segment = this.eventSegment(this.result.events[this.traceSelection]);
+        if (!segment) return;
+
+        // A segment merged with its neighbours at this zoom has no bar of its own
+        let bar;
+        if (this.ganttViewSelect.value === "process") {
+            // Swimlane bars are found by process and start time
+            const item = this.result.timelines[segment.core][segment.index];
+            const row = [...this.ganttContainer.querySelectorAll(".swimlane-row")]
+                .find(r => r.dataset.process === item.process);
+            bar = row && [...row.querySelectorAll(".gantt-bar.state-running")]
+                .find(b => Number(b.dataset.start) === item.start);
+        } else {
+            const lane = this.ganttContainer.querySelector(`.gantt-chart[data-core="${segment.core}"]`);
+            bar = lane && lane.querySelector(`.gantt-bar[data-segment="${segment.index}"]`);
+        }
+        if (bar) bar.classList.add("trace-highlight");
+    }
+
+    /**
+     * Dim the log entries that lie after the current playback instant
+     */
+    updateTraceProgress() {
+        this.traceLog.querySelectorAll(".trace-entry").forEach(entry => {
+            const event = this.result.events[entry.dataset.index];
+            entry.classList.toggle("future", event.time > this.playback.time);
+        });
+    }
+
+    /* ============================================================================
+       STEP-BY-STEP PLAYBACK
+       Replays the per-tick snapshots recorded by the engine
+    ============================================================================ */
+
+    /**
+     * Start playback, or pause it if it is already playing
+     */
+    togglePlayback() {
+        if (this.playback.timer) this.pausePlayback();
+        else this.startPlayback();
+    }
+
+    /**
+     * Advance the simulation clock automatically at the selected speed
+     * Restarts from t = 0 when the clock is already at the end
+     */
+    startPlayback() {
+        if (!this.snapshots.length) return;
+
+        clearInterval(this.playback.timer);
+        if (this.playback.time >= this.metrics.totalTime) this.setPlaybackTime(0);
+
+        const speed = parseFloat(this.playbackSpeed.value) || 1;
+        this.playback.timer = setInterval(() => {
+            this.stepPlayback(1);
+            if (this.playback.time >= this.metrics.totalTime) this.pausePlayback();
+        }, 1000 / speed);
+
+        this.updatePlaybackControls();
+    }
+
+    /**
+     * Stop automatic playback, keeping the current clock position
+     */
+    pausePlayback() {
+        clearInterval(this.playback.timer);
+        this.playback.timer = null;
+        this.updatePlaybackControls();
+    }
+
+    /**
+     * Move the simulation clock by a number of recorded instants (whole time
+     * units, plus the fractional instants where something happened)
+     * @param {number} delta - Instants to move (negative steps back)
+     */
+    stepPlayback(delta) {
+        if (!this.snapshots.length) return;
+        // Stepping from the end restarts the replay
+        if (delta > 0 && this.playback.time >= this.metrics.totalTime) return this.setPlaybackTime(0);
+
+        const current = this.snapshots.indexOf(this.snapshotAt(this.playback.time));
+        const target = Math.max(0, Math.min(current + delta, this.snapshots.length - 1));
+        this.setPlaybackTime(this.snapshots[target].time);
+    }
+
+    /**
+     * The snapshot in effect at an instant: the last one recorded at or before it
+     * @param {number} time - Simulation time
+     * @returns {?Object} Snapshot, or null without a trace
+     */
+    snapshotAt(time) {
+        let low = 0;
+        let high = this.snapshots.length - 1;
+        if (high < 0) return null;
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (this.snapshots[mid].time <= time) low = mid;
+            else high = mid - 1;
+        }
+        return this.snapshots[low];
+    }
+
+    /**
+     * Jump to a specific instant and redraw the chart and state panel
+     * @param {number} time - Simulation time to display
+     */
+    setPlaybackTime(time) {
+        this.playback.time = Math.max(0, Math.min(time, this.metrics.totalTime));
+        this.clipGantt(this.playback.time);
+        this.renderPlaybackState();
+        this.updateTraceProgress();
+        this.updatePlaybackControls();
+    }
+
+    /**
+     * Enable/disable playback buttons for the current state
+     */
+    updatePlaybackControls() {
+        const hasTrace = this.snapshots.length > 0;
+        const playing = this.playback.timer !== null;
+
+        this.playPauseBtn.disabled = !hasTrace;
+        this.playPauseBtn.textContent = playing ? "⏸" : "▶";
+        this.playPauseBtn.title = playing ? "Pause"
+            : this.result && !hasTrace ? "Playback is off for workloads this large" : "Play";
+        this.stepBackBtn.disabled = !hasTrace || this.playback.time <= 0;
+        this.stepForwardBtn.disabled = !hasTrace;
+    }
+
+    /**
+     * Show running process, ready queue, events and remaining burst
+     * for the snapshot at the current playback instant
+     */
+    renderPlaybackState() {
+        const snap = this.snapshotAt(this.playback.time);
+        if (!snap) return;
+        const time = (value) => this.formatTime(value);
+
+        this.playbackState.style.display = "flex";
+        this.playbackClock.textContent = `t = ${time(snap.time)} / ${time(this.metrics.totalTime)}`;
+
+        const chip = (id, cls = "") => `<span class="state-chip ${cls}">${this.escapeHTML(id)}</span>`;
+
+        const coreChip = (core, prefix = "") => core.running ? chip(prefix + core.running, "running")
+            : core.switching ? chip(`${prefix}CS → ${core.switching}`, "switching")
+            : chip(prefix + (snap === this.snapshots[this.snapshots.length - 1] ? "DONE" : "IDLE"), "idle");
+
+        // One chip per core on multiprocessor runs
+        this.stateRunning.innerHTML = snap.cores.length > 1
+            ? snap.cores.map((core, i) => coreChip(core, `CPU${i}: `)).join("")
+            : coreChip(snap);
+
+        const queueChips = (ids) => ids.length
+            ? ids.map(id => chip(id)).join('<span class="queue-arrow">›</span>')
+            : '<span class="state-empty">empty</span>';
+
+        // Multilevel policies show one line per queue level
+        this.stateReady.innerHTML = snap.queues
+            ? snap.queues.map(q => `
+                <div class="queue-level">
+                  <span class="queue-level-name">${q.name}</span>${queueChips(q.ready)}
+                </div>`).join("")
+            : queueChips(snap.ready);
+
+        // I/O device and the processes blocked waiting for it
+        const hasIO = this.runProcesses().some(p => p.bursts);
+        this.stateIORow.style.display = hasIO ? "flex" : "none";
+        if (hasIO) {
+            this.stateIO.innerHTML = (snap.io.running
+                ? chip(`${snap.io.running} (${time(snap.io.left)} left)`, "io") : chip("IDLE", "idle")) +
+                (snap.io.queue.length ? `<span class="queue-level-name">waiting</span>${queueChips(snap.io.queue)}` : "");
+        }
+
+        this.stateEvents.textContent = snap.events.length
+            ? snap.events.map(e => this.describeEvent(e)).join(" • ")
+            : "—";
+
+        // Remaining burst per process (per job for EDF / RM)
+        this.stateRemaining.innerHTML = this.scheduledProcesses().map(p => {
+            const left = snap.remaining[p.id];
+            const state = p.arrival > snap.time ? "not-arrived"
+                : left === 0 ? "done"
+                : snap.cores.some(core => core.running === p.id) ? "running" : "";
+
+            return `
+              <div class="remaining-item ${state}">
+                <span class="remaining-id">${this.escapeHTML(p.id)}</span>
+                <div class="remaining-bar"><div style="width:${(left / p.burst) * 100}%"></div></div>
+                <span class="remaining-value">${time(left)}/${time(p.burst)}</span>
+              </div>`;
+        }).join("");
     }
 
     /**
@@ -968,18 +4122,46 @@ P5,4,4,1`;
      * Clears Gantt chart and metrics, keeps processes
      */
     reset() {
+        this.pausePlayback();
+        this.result = null;
+        this.runInput = null;
+        this.updateExportButtons();
         this.timeline = [];
+        this.comparison = null;
+        this.comparisonProcesses = null;
+        this.comparisonCard.style.display = "none";
+        this.snapshots = [];
+        this.playback.time = null;
+        this.updatePlaybackControls();
+        this.playbackState.style.display = "none";
+        this.playbackClock.textContent = "t = –";
+        this.traceSelection = null;
+        this.selectedProcess = null;
+        this.ganttZoom = 1;
+        this.hideGanttTooltip();
+        this.tracePanel.style.display = "none";
+        this.traceLog.innerHTML = "";
         this.ganttContainer.innerHTML = "";
         this.ganttContainer.appendChild(this.ganttPlaceholder);
         this.ganttPlaceholder.style.display = "flex";
+        this.updateZoomControls();
         
         // Reset all metric displays
         this.cpuPercent.textContent = "0%";
+        this.coreUtilEl.innerHTML = "";
         this.avgWaitEl.textContent = "0.00";
         this.avgTurnEl.textContent = "0.00";
         this.avgRespEl.textContent = "0.00";
-        this.totalTimeEl.textContent = "0 ms";
-        this.totalTATEl.textContent = "0 ms";
+        this.totalTimeEl.textContent = this.formatDuration(0);
+        this.totalTATEl.textContent = this.formatDuration(0);
+        this.contextSwitchesEl.textContent = "0";
+        this.preemptionsEl.textContent = "0";
+        this.throughputEl.textContent = "0";
+        this.waitSpreadEl.textContent = this.formatDuration(0);
+        this.avgNormTurnEl.textContent = "0.00";
+        this.fairnessEl.textContent = "0.000";
+        this.processChart.style.display = "none";
+        this.processChart.innerHTML = "";
         
         // Reset progress bars
         this.avgWaitBar.style.width = "0%";
@@ -987,8 +4169,15 @@ P5,4,4,1`;
         this.avgRespBar.style.width = "0%";
         this.totalTimeBar.style.width = "0%";
         this.totalTATBar.style.width = "0%";
+        this.contextSwitchesBar.style.width = "0%";
+        this.preemptionsBar.style.width = "0%";
+        this.throughputBar.style.width = "0%";
+        this.waitSpreadBar.style.width = "0%";
+        this.avgNormTurnBar.style.width = "0%";
+        this.fairnessBar.style.width = "0%";
         
         this.setupCPUInitial();
+        this.schedulabilityCard.style.display = "none";
         this.executionDetails.innerHTML = '<p class="placeholder-text">Execute scheduler to see process execution details</p>';
     }
 }
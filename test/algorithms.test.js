@@ -0,0 +1,312 @@
+/**
+ * Textbook schedules for every algorithm, run with the Node.js built-in test runner:
+ *   npm test
+ * Workloads are the classic examples from Silberschatz (Operating System
+ * Concepts), Stallings (Operating Systems) and Buttazzo (Hard Real-Time
+ * Computing Systems), so each expected timeline can be checked by hand.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const SchedulerEngine = require("../engine.js");
+
+/**
+ * Schedule of a run as [process, start, end] rows, back-to-back segments of
+ * one process joined (multicore rows add the core)
+ */
+const schedule = (result) => SchedulerEngine.mergeSegments(result.timeline)
+    .map(s => s.core === undefined ? [s.process, s.start, s.end] : [s.process, s.core, s.start, s.end]);
+
+/** Waiting time of every process, by ID */
+const waits = (result) => Object.fromEntries(result.metrics.perProcess.map(p => [p.id, p.waiting]));
+
+/** Silberschatz: four processes arriving one time unit apart */
+const STAGGERED = [
+    { id: "P1", arrival: 0, burst: 8 },
+    { id: "P2", arrival: 1, burst: 4 },
+    { id: "P3", arrival: 2, burst: 9 },
+    { id: "P4", arrival: 3, burst: 5 }
+];
+
+/* ============================================================================
+   BURST-BASED ALGORITHMS
+============================================================================ */
+
+test("FCFS runs processes in arrival order", () => {
+    const result = SchedulerEngine.run("FCFS", STAGGERED);
+
+    assert.deepStrictEqual(schedule(result), [["P1", 0, 8], ["P2", 8, 12], ["P3", 12, 21], ["P4", 21, 26]]);
+    assert.deepStrictEqual(waits(result), { P1: 0, P2: 7, P3: 10, P4: 18 });
+    assert.strictEqual(result.metrics.avgWait, 8.75);
+});
+
+test("SJF runs the shortest ready burst to completion", () => {
+    const result = SchedulerEngine.run("SJF", STAGGERED);
+
+    assert.deepStrictEqual(schedule(result), [["P1", 0, 8], ["P2", 8, 12], ["P4", 12, 17], ["P3", 17, 26]]);
+    assert.strictEqual(result.metrics.avgWait, 7.75);
+});
+
+test("SRTF preempts for a shorter remaining time", () => {
+    const result = SchedulerEngine.run("SRTF", STAGGERED);
+
+    assert.deepStrictEqual(schedule(result), [
+        ["P1", 0, 1], ["P2", 1, 5], ["P4", 5, 10], ["P1", 10, 17], ["P3", 17, 26]
+    ]);
+    assert.deepStrictEqual(waits(result), { P1: 9, P2: 0, P3: 15, P4: 2 });
+    assert.strictEqual(result.metrics.avgWait, 6.5);
+    assert.strictEqual(result.metrics.preemptions, 1);
+});
+
+test("LJF runs the longest ready burst to completion", () => {
+    const result = SchedulerEngine.run("LJF", STAGGERED);
+
+    assert.deepStrictEqual(schedule(result), [["P1", 0, 8], ["P3", 8, 17], ["P4", 17, 22], ["P2", 22, 26]]);
+    assert.strictEqual(result.metrics.avgWait, 10.25);
+});
+
+test("LRTF preempts for a strictly longer remaining time", () => {
+    const result = SchedulerEngine.run("LRTF", STAGGERED);
+
+    // P3 takes over at 2 and keeps the CPU on ties until it falls below P1
+    assert.deepStrictEqual(schedule(result).slice(0, 5), [
+        ["P1", 0, 2], ["P3", 2, 6], ["P1", 6, 8], ["P3", 8, 9], ["P4", 9, 11]
+    ]);
+    assert.deepStrictEqual(result.metrics.perProcess.map(p => p.completion), [24, 25, 23, 26]);
+    assert.strictEqual(result.metrics.avgTurn, 23);
+});
+
+test("HRRN dispatches the highest response ratio", () => {
+    // Stallings: at 9, C has ratio 2.25 against 1.6 for D; at 13, E has 3.5 against 2.4
+    const result = SchedulerEngine.run("HRRN", [
+        { id: "A", arrival: 0, burst: 3 },
+        { id: "B", arrival: 2, burst: 6 },
+        { id: "C", arrival: 4, burst: 4 },
+        { id: "D", arrival: 6, burst: 5 },
+        { id: "E", arrival: 8, burst: 2 }
+    ]);
+
+    assert.deepStrictEqual(schedule(result), [["A", 0, 3], ["B", 3, 9], ["C", 9, 13], ["E", 13, 15], ["D", 15, 20]]);
+    assert.strictEqual(result.metrics.avgTurn, 8);
+});
+
+/* ============================================================================
+   PRIORITY AND ROUND ROBIN
+============================================================================ */
+
+test("Priority runs the lowest priority number first", () => {
+    const result = SchedulerEngine.run("Priority", [
+        { id: "P1", arrival: 0, burst: 10, priority: 3 },
+        { id: "P2", arrival: 0, burst: 1, priority: 1 },
+        { id: "P3", arrival: 0, burst: 2, priority: 4 },
+        { id: "P4", arrival: 0, burst: 1, priority: 5 },
+        { id: "P5", arrival: 0, burst: 5, priority: 2 }
+    ]);
+
+    assert.deepStrictEqual(schedule(result), [
+        ["P2", 0, 1], ["P5", 1, 6], ["P1", 6, 16], ["P3", 16, 18], ["P4", 18, 19]
+    ]);
+    assert.strictEqual(result.metrics.avgWait, 8.2);
+});
+
+test("Priority preempts only when preemption is enabled", () => {
+    const processes = [
+        { id: "P1", arrival: 0, burst: 4, priority: 3 },
+        { id: "P2", arrival: 1, burst: 3, priority: 1 },
+        { id: "P3", arrival: 2, burst: 2, priority: 2 }
+    ];
+
+    assert.deepStrictEqual(schedule(SchedulerEngine.run("Priority", processes)), [
+        ["P1", 0, 1], ["P2", 1, 4], ["P3", 4, 6], ["P1", 6, 9]
+    ]);
+    assert.deepStrictEqual(schedule(SchedulerEngine.run("Priority", processes, { priorityPreemptive: false })), [
+        ["P1", 0, 4], ["P2", 4, 7], ["P3", 7, 9]
+    ]);
+});
+
+test("Priority aging lets a starving low-priority process run", () => {
+    // A new priority-1 process arrives whenever the CPU frees up
+    const processes = [{ id: "L", arrival: 0, burst: 2, priority: 5 }]
+        .concat([1, 2, 3, 4, 5, 6].map(i => ({ id: `H${i}`, arrival: 2 * (i - 1), burst: 2, priority: 1 })));
+
+    assert.deepStrictEqual(schedule(SchedulerEngine.run("Priority", processes)).pop(), ["L", 12, 14]);
+
+    // One step every 2 time units: L reaches priority 1 at t=8 and, having
+    // arrived first, beats H5
+    const aged = SchedulerEngine.run("Priority", processes, { agingInterval: 2, agingStep: 1 });
+    assert.deepStrictEqual(schedule(aged)[4], ["L", 8, 10]);
+    assert.deepStrictEqual(aged.priorityHistory.L.map(h => h.priority), [5, 4, 3, 2, 1]);
+});
+
+test("Equal keys are ordered by the tie-break rule", () => {
+    // P3, P10 and P2 all wait for P0 with equal bursts and priorities
+    const processes = [
+        { id: "P0", arrival: 0, burst: 5, priority: 1 },
+        { id: "P3", arrival: 2, burst: 2, priority: 2 },
+        { id: "P10", arrival: 1, burst: 2, priority: 2 },
+        { id: "P2", arrival: 3, burst: 2, priority: 2 }
+    ];
+    const order = (algorithm, tieBreak) =>
+        schedule(SchedulerEngine.run(algorithm, processes, { tieBreak })).map(([id]) => id);
+
+    ["SJF", "Priority"].forEach(algorithm => {
+        assert.deepStrictEqual(order(algorithm, "arrival"), ["P0", "P10", "P3", "P2"], algorithm);
+        assert.deepStrictEqual(order(algorithm, "pid"), ["P0", "P2", "P3", "P10"], algorithm);
+        assert.deepStrictEqual(order(algorithm, "insertion"), ["P0", "P3", "P10", "P2"], algorithm);
+    });
+});
+
+test("Round Robin shares the CPU in quanta", () => {
+    const result = SchedulerEngine.run("RoundRobin", [
+        { id: "P1", arrival: 0, burst: 24 },
+        { id: "P2", arrival: 0, burst: 3 },
+        { id: "P3", arrival: 0, burst: 3 }
+    ], { timeQuantum: 4 });
+
+    assert.deepStrictEqual(schedule(result), [["P1", 0, 4], ["P2", 4, 7], ["P3", 7, 10], ["P1", 10, 30]]);
+    assert.deepStrictEqual(waits(result), { P1: 6, P2: 4, P3: 7 });
+    assert.strictEqual(result.metrics.preemptions, 1);
+});
+
+/* ============================================================================
+   MULTILEVEL QUEUES
+============================================================================ */
+
+test("MLFQ demotes a process that uses up its quantum", () => {
+    // Default levels: RR q=2, RR q=4, FCFS
+    const result = SchedulerEngine.run("MLFQ", [
+        { id: "P1", arrival: 0, burst: 10 },
+        { id: "P2", arrival: 1, burst: 2 }
+    ]);
+
+    assert.deepStrictEqual(result.timeline.map(s => [s.process, s.start, s.end, s.level]), [
+        ["P1", 0, 2, 0], ["P2", 2, 4, 0], ["P1", 4, 8, 1], ["P1", 8, 12, 2]
+    ]);
+    assert.strictEqual(result.metrics.avgWait, 1.5);
+});
+
+test("MLQ serves queue classes in strict priority order", () => {
+    const result = SchedulerEngine.run("MLQ", [
+        { id: "B", arrival: 0, burst: 4, queue: "batch" },
+        { id: "S", arrival: 1, burst: 2, queue: "system" },
+        { id: "I", arrival: 2, burst: 3, queue: "interactive" }
+    ]);
+
+    assert.deepStrictEqual(schedule(result), [["B", 0, 1], ["S", 1, 3], ["I", 3, 6], ["B", 6, 9]]);
+    assert.deepStrictEqual(waits(result), { B: 5, S: 0, I: 1 });
+});
+
+/* ============================================================================
+   PROPORTIONAL SHARE
+============================================================================ */
+
+const SHARES = [
+    { id: "A", arrival: 0, burst: 10, tickets: 3 },
+    { id: "B", arrival: 0, burst: 10, tickets: 1 }
+];
+
+test("Lottery draws are reproducible for a seed", () => {
+    const options = { timeQuantum: 1, lotterySeed: 42 };
+    const result = SchedulerEngine.run("Lottery", SHARES, options);
+
+    assert.deepStrictEqual(schedule(result), [
+        ["A", 0, 4], ["B", 4, 5], ["A", 5, 10], ["B", 10, 12], ["A", 12, 13], ["B", 13, 20]
+    ]);
+    assert.deepStrictEqual(schedule(SchedulerEngine.run("Lottery", SHARES, options)), schedule(result));
+    assert.notDeepStrictEqual(schedule(SchedulerEngine.run("Lottery", SHARES, { ...options, lotterySeed: 7 })), schedule(result));
+});
+
+test("Stride gives each process its ticket share deterministically", () => {
+    const result = SchedulerEngine.run("Stride", SHARES, { timeQuantum: 1 });
+
+    // A holds 3 of 4 tickets: three quanta for every one of B's while both are ready
+    assert.deepStrictEqual(schedule(result), [
+        ["A", 0, 1], ["B", 1, 2], ["A", 2, 5], ["B", 5, 6], ["A", 6, 9], ["B", 9, 10], ["A", 10, 13], ["B", 13, 20]
+    ]);
+    assert.strictEqual(result.metrics.avgWait, 6.5);
+});
+
+/* ============================================================================
+   REAL-TIME
+============================================================================ */
+
+// Buttazzo: U = 25/50 + 35/80 = 0.9375, above the RM bound for two tasks
+const TASKS = [
+    { id: "T1", arrival: 0, burst: 25, period: 50 },
+    { id: "T2", arrival: 0, burst: 35, period: 80 }
+];
+
+test("RM misses a deadline EDF meets", () => {
+    const rm = SchedulerEngine.run("RM", TASKS);
+    assert.strictEqual(rm.schedulability.verdict, "inconclusive");
+    assert.deepStrictEqual(rm.deadlineMisses.map(m => [m.process, m.deadline]), [["T2#1", 80]]);
+    assert.deepStrictEqual(schedule(rm).slice(0, 4), [["T1#1", 0, 25], ["T2#1", 25, 50], ["T1#2", 50, 75], ["T2#1", 75, 85]]);
+
+    const edf = SchedulerEngine.run("EDF", TASKS);
+    assert.strictEqual(edf.schedulability.verdict, "schedulable");
+    assert.strictEqual(edf.schedulability.hyperperiod, 400);
+    assert.deepStrictEqual(edf.deadlineMisses, []);
+    assert.deepStrictEqual(schedule(edf).slice(0, 3), [["T1#1", 0, 25], ["T2#1", 25, 60], ["T1#2", 60, 85]]);
+});
+
+/* ============================================================================
+   I/O, MULTICORE AND CONTEXT SWITCHES
+============================================================================ */
+
+test("A process blocked on I/O lets the next one run", () => {
+    const result = SchedulerEngine.run("FCFS", [
+        { id: "P1", arrival: 0, burst: 3, bursts: SchedulerEngine.parseBurstSequence("CPU 2, IO 3, CPU 1") },
+        { id: "P2", arrival: 0, burst: 4 }
+    ]);
+
+    assert.deepStrictEqual(schedule(result), [["P1", 0, 2], ["P2", 2, 6], ["P1", 6, 7]]);
+    assert.deepStrictEqual(result.ioTimeline.map(s => [s.process, s.start, s.end]), [["P1", 2, 5]]);
+    assert.deepStrictEqual(result.metrics.perProcess.map(p => [p.id, p.waiting, p.blocked]), [["P1", 1, 3], ["P2", 2, 0]]);
+});
+
+test("processStates() moves a process through new, ready, running and blocked until it is done", () => {
+    const processes = [
+        { id: "P1", arrival: 0, burst: 3, bursts: SchedulerEngine.parseBurstSequence("CPU 2, IO 3, CPU 1") },
+        { id: "P2", arrival: 1, burst: 4 }
+    ];
+    const result = SchedulerEngine.run("FCFS", processes);
+    const states = SchedulerEngine.processStates(processes, result.timeline, result.ioTimeline);
+    const lanes = Object.fromEntries(states.map(s => [s.id, s.segments.map(seg => [seg.state, seg.start, seg.end])]));
+
+    assert.deepStrictEqual(lanes, {
+        P1: [["running", 0, 2], ["blocked", 2, 5], ["ready", 5, 6], ["running", 6, 7]],
+        P2: [["new", 0, 1], ["ready", 1, 2], ["running", 2, 6]]
+    });
+    // Done at completion: nothing after it, and the ready time is the waiting time
+    result.metrics.perProcess.forEach(p => {
+        const segments = states.find(s => s.id === p.id).segments;
+        const ready = segments.filter(seg => seg.state === "ready").reduce((sum, seg) => sum + seg.end - seg.start, 0);
+        assert.strictEqual(segments[segments.length - 1].end, p.completion, p.id);
+        assert.strictEqual(ready, p.waiting, p.id);
+    });
+});
+
+test("Two cores run in parallel and honour core affinity", () => {
+    const result = SchedulerEngine.run("FCFS", [
+        { id: "P1", arrival: 0, burst: 4 },
+        { id: "P2", arrival: 0, burst: 3 },
+        { id: "P3", arrival: 1, burst: 2, affinity: 1 }
+    ], { cores: 2 });
+
+    // P3 waits for core 1 although core 0 frees up first
+    assert.deepStrictEqual(schedule(result), [
+        ["P1", 0, 0, 4], ["P2", 1, 0, 3], ["P3", 1, 3, 5], ["IDLE", 0, 4, 5]
+    ]);
+    assert.deepStrictEqual(waits(result), { P1: 0, P2: 0, P3: 2 });
+});
+
+test("Context switches take time between different processes", () => {
+    const result = SchedulerEngine.run("FCFS", [
+        { id: "P1", arrival: 0, burst: 3 },
+        { id: "P2", arrival: 0, burst: 2 }
+    ], { contextSwitch: 1 });
+
+    assert.deepStrictEqual(schedule(result), [["P1", 0, 3], ["CS", 3, 4], ["P2", 4, 6]]);
+    assert.strictEqual(result.metrics.switchTime, 1);
+    assert.strictEqual(result.metrics.avgWait, 2);
+});
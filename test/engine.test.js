@@ -0,0 +1,570 @@
+/**
+ * Engine tests, run with the Node.js built-in test runner:
+ *   npm test
+ */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const SchedulerEngine = require("../engine.js");
+
+/* ============================================================================
+   INPUT VALIDATION
+============================================================================ */
+
+test("run() rejects a non-numeric arrival time", () => {
+    assert.throws(
+        () => SchedulerEngine.run("FCFS", [{ id: "P1", arrival: "x", burst: 3 }]),
+        /Process P1: arrival time must be a number/
+    );
+});
+
+test("run() rejects a zero burst", () => {
+    assert.throws(
+        () => SchedulerEngine.run("RoundRobin", [{ id: "P1", arrival: 0, burst: 0 }], { timeQuantum: 2 }),
+        /Process P1: CPU burst must be a positive number/
+    );
+});
+
+test("run() rejects a zero period", () => {
+    assert.throws(
+        () => SchedulerEngine.run("EDF", [{ id: "T1", arrival: 0, burst: 1, period: 0 }]),
+        /Process T1: period must be a positive number/
+    );
+});
+
+test("run() rejects non-positive quantum and interval options", () => {
+    const processes = [{ id: "P1", arrival: 0, burst: 3 }];
+    assert.throws(
+        () => SchedulerEngine.run("RoundRobin", processes, { timeQuantum: 0 }),
+        /Options: time quantum must be a positive number/
+    );
+    assert.throws(
+        () => SchedulerEngine.run("MLFQ", processes, { boostInterval: -5 }),
+        /Options: boost interval must be a positive number/
+    );
+    assert.throws(
+        () => SchedulerEngine.run("Priority", processes, { agingInterval: 0 }),
+        /Options: aging interval must be a positive number/
+    );
+    assert.throws(
+        () => SchedulerEngine.run("CFS", processes, { targetLatency: NaN }),
+        /Options: target latency must be a positive number/
+    );
+    assert.throws(
+        () => SchedulerEngine.run("MLFQ", processes, { levels: [{ policy: "RR", quantum: 0 }, { policy: "FCFS" }] }),
+        /Level Q0: time quantum must be a positive number/
+    );
+});
+
+/* ============================================================================
+   ZERO-LENGTH WORK
+============================================================================ */
+
+test("simulate() completes a zero-burst process on arrival", () => {
+    const processes = [{ id: "P1", arrival: 0, burst: 2 }, { id: "P2", arrival: 1, burst: 0 }];
+    const { timeline, snapshots } = SchedulerEngine.simulate(processes, SchedulerEngine.ALGORITHMS.FCFS({}), { trace: true });
+
+    assert.deepStrictEqual(timeline.map(s => [s.process, s.start, s.end]), [["P1", 0, 2]]);
+    assert.ok(snapshots[1].events.some(e => e.type === "complete" && e.process === "P2"));
+
+    const metrics = SchedulerEngine.calculateMetrics(processes, timeline);
+    assert.deepStrictEqual(
+        metrics.perProcess.map(p => [p.id, p.completion, p.waiting, p.turnaround]),
+        [["P1", 2, 0, 2], ["P2", 1, 0, 0]]
+    );
+});
+
+test("simulate() skips zero-length I/O bursts", () => {
+    const processes = [{
+        id: "P1", arrival: 0, burst: 3,
+        bursts: [{ type: "cpu", length: 1 }, { type: "io", length: 0 }, { type: "cpu", length: 2 }]
+    }];
+    const { timeline, ioTimeline } = SchedulerEngine.simulate(processes, SchedulerEngine.ALGORITHMS.FCFS({}));
+
+    assert.deepStrictEqual(timeline.map(s => [s.process, s.start, s.end]), [["P1", 0, 3]]);
+    assert.strictEqual(ioTimeline.length, 0);
+});
+
+/* ============================================================================
+   WORKLOAD GENERATOR
+============================================================================ */
+
+test("generateWorkload() reproduces a workload from its seed", () => {
+    const options = { count: 50, arrivalDistribution: "poisson", burstDistribution: "exponential", priorityMin: 1, priorityMax: 5 };
+    const first = SchedulerEngine.generateWorkload({ ...options, seed: 42 });
+
+    assert.deepStrictEqual(SchedulerEngine.generateWorkload({ ...options, seed: 42 }), first);
+    assert.notDeepStrictEqual(SchedulerEngine.generateWorkload({ ...options, seed: 43 }), first);
+});
+
+test("generateWorkload() numbers IDs from firstId and keeps values in range", () => {
+    const uniform = SchedulerEngine.generateWorkload({
+        count: 200, seed: 3, firstId: 7, arrivalMax: 20, burstMin: 2, burstMax: 6, priorityMin: 3, priorityMax: 8
+    });
+    assert.strictEqual(uniform.length, 200);
+    assert.deepStrictEqual(uniform.slice(0, 3).map(p => p.id), ["P7", "P8", "P9"]);
+    assert.strictEqual(uniform[199].id, "P206");
+    uniform.forEach(p => {
+        assert.ok(p.arrival >= 0 && p.arrival <= 20, `${p.id} arrival ${p.arrival}`);
+        assert.ok(p.burst >= 2 && p.burst <= 6, `${p.id} burst ${p.burst}`);
+        assert.ok(p.priority >= 3 && p.priority <= 8, `${p.id} priority ${p.priority}`);
+    });
+
+    // Bimodal bursts come from the bottom or the top quarter of 1-21
+    const bimodal = SchedulerEngine.generateWorkload({ count: 200, seed: 3, burstDistribution: "bimodal", burstMin: 1, burstMax: 21 });
+    bimodal.forEach(p => assert.ok(p.burst <= 6 || p.burst >= 16, `${p.id} burst ${p.burst}`));
+    assert.ok(bimodal.some(p => p.burst >= 16) && bimodal.some(p => p.burst <= 6));
+
+    // Poisson arrivals start at 0 and never go back; exponential bursts are at least 1
+    const poisson = SchedulerEngine.generateWorkload({ count: 200, seed: 3, arrivalDistribution: "poisson", burstDistribution: "exponential" });
+    assert.strictEqual(poisson[0].arrival, 0);
+    poisson.forEach((p, i) => {
+        assert.ok(i === 0 || p.arrival >= poisson[i - 1].arrival, `${p.id} arrival ${p.arrival}`);
+        assert.ok(Number.isInteger(p.burst) && p.burst >= 1, `${p.id} burst ${p.burst}`);
+    });
+});
+
+test("generateWorkload() rejects counts outside 1 to MAX_GENERATED_PROCESSES", () => {
+    assert.throws(() => SchedulerEngine.generateWorkload({ count: 0, seed: 1 }), /Number of processes/);
+    assert.throws(
+        () => SchedulerEngine.generateWorkload({ count: SchedulerEngine.MAX_GENERATED_PROCESSES + 1, seed: 1 }),
+        /Number of processes/
+    );
+});
+
+/* ============================================================================
+   SHAREABLE LINKS
+============================================================================ */
+
+/**
+ * Encode raw rows the way a hand-crafted link would, bypassing encodeScenario()
+ */
+const link = (data) => `1.${Buffer.from(JSON.stringify(data)).toString("base64url")}`;
+
+test("decodeScenario() round-trips an encoded scenario", () => {
+    const processes = [
+        { id: "P1", arrival: 0, burst: 2.5, priority: 1, queue: "interactive" },
+        { id: "P2", arrival: 1, burst: 3, priority: 2, queue: "batch", period: 10, deadline: 8 }
+    ];
+    const text = SchedulerEngine.encodeScenario({ algorithm: "EDF", options: { timeQuantum: 2 }, processes });
+    const scenario = SchedulerEngine.decodeScenario(text);
+
+    assert.strictEqual(scenario.algorithm, "EDF");
+    assert.deepStrictEqual(scenario.processes, processes);
+});
+
+test("encodeScenario() leaves out default options and decodeScenario() restores them", () => {
+    const processes = [{ id: "P1", arrival: 0, burst: 5 }, { id: "P2", arrival: 1, burst: 3 }, { id: "P3", arrival: 2, burst: 8 }];
+    const options = {
+        ...SchedulerEngine.SCENARIO_DEFAULTS.options,
+        // As the UI reads them: policy first, FCFS levels with a quantum
+        levels: [{ policy: "RR", quantum: 2 }, { policy: "RR", quantum: 4 }, { policy: "FCFS", quantum: 8 }]
+    };
+    const settings = SchedulerEngine.SCENARIO_DEFAULTS.settings;
+    const text = SchedulerEngine.encodeScenario({ algorithm: "FCFS", options, processes, settings });
+
+    assert.strictEqual(text, SchedulerEngine.encodeScenario({ algorithm: "FCFS", processes, settings: {} }));
+    assert.ok(text.length < 100, `${text.length} characters`);
+
+    const scenario = SchedulerEngine.decodeScenario(text);
+    assert.deepStrictEqual(scenario.options, { ...SchedulerEngine.SCENARIO_DEFAULTS.options, levels: SchedulerEngine.DEFAULT_LEVELS });
+    assert.deepStrictEqual(scenario.settings, settings);
+
+    const changed = SchedulerEngine.decodeScenario(SchedulerEngine.encodeScenario({
+        algorithm: "RoundRobin", options: { ...options, timeQuantum: 3 }, processes
+    }));
+    assert.strictEqual(changed.options.timeQuantum, 3);
+});
+
+test("decodeScenario() accepts level numbers as queue classes", () => {
+    const processes = [
+        { id: "P1", arrival: 0, burst: 2, priority: 1, queue: "2" },
+        { id: "P2", arrival: 1, burst: 3, priority: 1, queue: 0 }
+    ];
+    const text = SchedulerEngine.encodeScenario({ algorithm: "MLQ", processes });
+
+    assert.deepStrictEqual(SchedulerEngine.decodeScenario(text).processes, processes);
+    assert.strictEqual(SchedulerEngine.decodeScenario(link({ a: "MLQ", p: [["P1", 0, 2, 1, 1]] })).processes[0].queue, 1);
+    assert.throws(() => SchedulerEngine.decodeScenario(link({ a: "MLQ", p: [["P1", 0, 2, 1, "-1"]] })), /queue class/);
+});
+
+test("decodeScenario() rejects non-numeric times and zero bursts", () => {
+    assert.throws(
+        () => SchedulerEngine.decodeScenario(link({ a: "FCFS", p: [["P1", "x", 3]] })),
+        /process 1 has an invalid arrival time/
+    );
+    assert.throws(
+        () => SchedulerEngine.decodeScenario(link({ a: "FCFS", p: [["P1", 0, 2], ["P2", 0, 0]] })),
+        /process 2 has an invalid burst time/
+    );
+});
+
+test("decodeScenario() rejects markup in fields other than the ID", () => {
+    const markup = "<img src=x onerror=alert(1)>";
+    assert.throws(() => SchedulerEngine.decodeScenario(link({ a: "MLQ", p: [["P1", 0, 2, 1, markup]] })), /queue class/);
+    assert.throws(() => SchedulerEngine.decodeScenario(link({ a: "FCFS", p: [["P1", 0, 2, 1, null, markup]] })), /affinity/);
+    assert.throws(() => SchedulerEngine.decodeScenario(link({ a: "EDF", p: [["P1", 0, 2, 1, null, null, null, markup]] })), /period/);
+    assert.throws(() => SchedulerEngine.decodeScenario(link({ a: "EDF", p: [["P1", 0, 2, 1, null, null, null, 5, markup]] })), /deadline/);
+    assert.throws(() => SchedulerEngine.decodeScenario(link({ a: "MLFQ", o: { levels: [{ quantum: markup }] }, p: [] })), /option values/);
+});
+
+/* ============================================================================
+   DECISION LOG
+============================================================================ */
+
+test("The event log lists every decision in time order", () => {
+    const { events } = SchedulerEngine.run("SRTF", [
+        { id: "P1", arrival: 0, burst: 5 },
+        { id: "P2", arrival: 1, burst: 2 },
+        { id: "P3", arrival: 8, burst: 1 }
+    ]);
+
+    assert.deepStrictEqual(events.map(e => [e.time, e.type, e.process]), [
+        [0, "arrival", "P1"], [0, "dispatch", "P1"],
+        [1, "arrival", "P2"], [1, "preempt", "P1"], [1, "dispatch", "P2"],
+        [3, "complete", "P2"], [3, "dispatch", "P1"],
+        [7, "complete", "P1"], [7, "idle", undefined],
+        [8, "arrival", "P3"], [8, "dispatch", "P3"],
+        [9, "complete", "P3"]
+    ]);
+
+    // Preemptions and dispatches carry the keys the decision was made on
+    const preempt = events.find(e => e.type === "preempt");
+    assert.deepStrictEqual(
+        [preempt.by, preempt.key, preempt.byKey],
+        ["P2", "remaining 4", "remaining 2"]
+    );
+    const dispatch = events.find(e => e.type === "dispatch" && e.process === "P2");
+    assert.deepStrictEqual(dispatch.over, [{ process: "P1", key: "remaining 4" }]);
+});
+
+test("The event log records quantum expiries with the ready queue", () => {
+    const { events } = SchedulerEngine.run("RoundRobin", [
+        { id: "P1", arrival: 0, burst: 3 },
+        { id: "P2", arrival: 0, burst: 2 }
+    ], { timeQuantum: 2 });
+
+    const expiry = events.find(e => e.type === "quantum");
+    assert.deepStrictEqual(
+        [expiry.time, expiry.process, expiry.quantum, expiry.queue],
+        [2, "P1", 2, ["P2", "P1"]]
+    );
+    assert.deepStrictEqual(
+        events.filter(e => e.type === "dispatch").map(e => [e.time, e.process, e.quantum]),
+        [[0, "P1", 2], [2, "P2", 2], [4, "P1", 2]]
+    );
+});
+
+/* ============================================================================
+   LARGE WORKLOADS
+============================================================================ */
+
+test("HRRN always dispatches the highest response ratio", () => {
+    // Fractional bursts, so nearly every process has its own burst length
+    const processes = SchedulerEngine.generateWorkload({ count: 300, seed: 5, arrivalMax: 1500, burstMin: 1, burstMax: 9 })
+        .map((p, i) => ({ ...p, burst: p.burst + (i % 97) / 100 }));
+    const { responseRatios } = SchedulerEngine.run("HRRN", processes);
+
+    responseRatios.filter(d => d.ratios.length > 1).forEach(d => {
+        const best = Math.max(...d.ratios.map(r => r.ratio));
+        const chosen = d.ratios.find(r => r.process === d.chosen);
+        assert.ok(chosen.ratio >= best - 1e-9, `t=${d.time}: chose ${d.chosen}`);
+    });
+});
+
+/**
+ * Run an algorithm with every call into its policy counted, so a test can bound
+ * the scheduler's work instead of the machine's speed
+ */
+const countedRun = (algorithm, processes, options = {}) => {
+    const createPolicy = SchedulerEngine.ALGORITHMS[algorithm];
+    let calls = 0;
+    SchedulerEngine.ALGORITHMS[algorithm] = (policyOptions) => {
+        const policy = createPolicy(policyOptions);
+        Object.keys(policy).filter(key => typeof policy[key] === "function").forEach(key => {
+            const method = policy[key];
+            policy[key] = (...args) => { calls++; return method.apply(policy, args); };
+        });
+        return policy;
+    };
+    try {
+        return { ...SchedulerEngine.run(algorithm, processes, options), calls };
+    } finally {
+        SchedulerEngine.ALGORITHMS[algorithm] = createPolicy;
+    }
+};
+
+const countEvents = (events, type) => events.filter(e => e.type === type).length;
+
+test("Priority aging on 10,000 processes ages each process only until it reaches the top", () => {
+    const processes = SchedulerEngine.generateWorkload({ count: 10000, seed: 7, arrivalMax: 10000, burstMin: 1, burstMax: 10, priorityMin: 1, priorityMax: 10 });
+    const { metrics, events, calls } = countedRun("Priority", processes, { agingInterval: 1, agingStep: 1 });
+    const totalPriority = processes.reduce((sum, p) => sum + p.priority, 0);
+
+    assert.strictEqual(metrics.perProcess.length, 10000);
+    assert.ok(countEvents(events, "aging") <= totalPriority, `${countEvents(events, "aging")} aging steps`);
+    assert.ok(calls <= 8 * events.length, `${calls} policy calls for ${events.length} events`);
+});
+
+test("MLFQ boosting every time unit on 10,000 processes boosts once per interval", () => {
+    const processes = SchedulerEngine.generateWorkload({ count: 10000, seed: 5 });
+    const { metrics, events, calls } = countedRun("MLFQ", processes, { boostInterval: 1 });
+
+    assert.strictEqual(metrics.perProcess.length, 10000);
+    assert.ok(countEvents(events, "boost") <= metrics.totalTime, `${countEvents(events, "boost")} boosts`);
+    assert.ok(calls <= 8 * events.length, `${calls} policy calls for ${events.length} events`);
+});
+
+test("Every algorithm does a bounded amount of policy work per decision on 10,000 processes", () => {
+    const processes = SchedulerEngine.generateWorkload({ count: 10000, seed: 1 });
+
+    Object.keys(SchedulerEngine.ALGORITHMS).forEach(algorithm => {
+        const { metrics, events, calls } = countedRun(algorithm, processes);
+
+        assert.ok(metrics.perProcess.length >= 10000, algorithm);
+        assert.ok(calls <= 8 * events.length, `${algorithm}: ${calls} policy calls for ${events.length} events`);
+    });
+});
+
+test("periodicWorkloadSize() counts the jobs EDF / RM expand periodic tasks into", () => {
+    const workloads = [
+        // A short period beside a long one: the hyperperiod multiplies the jobs
+        [
+            { id: "T1", arrival: 0, burst: 0.1, period: 1 },
+            { id: "T2", arrival: 0, burst: 1, period: 2000 },
+            { id: "T3", arrival: 0, burst: 0.2, period: 2 }
+        ],
+        [
+            { id: "T1", arrival: 1, burst: 1, period: 2.5 },
+            { id: "T2", arrival: 0, burst: 1, period: 4 },
+            { id: "P1", arrival: 3, burst: 2 }
+        ]
+    ];
+
+    workloads.forEach(processes => {
+        const jobs = SchedulerEngine.expandPeriodicTasks(processes);
+        assert.strictEqual(SchedulerEngine.periodicWorkloadSize(processes).jobs, jobs.length);
+    });
+    assert.deepStrictEqual(SchedulerEngine.periodicWorkloadSize(workloads[0]), { jobs: 3001, horizon: 2000 });
+    assert.throws(
+        () => SchedulerEngine.periodicWorkloadSize([{ id: "T1", arrival: 0, burst: 1, period: 2001 }]),
+        /Hyperperiod of 2001 is too long/
+    );
+});
+
+test("encodeScenario() handles 10,000 processes", () => {
+    const processes = SchedulerEngine.generateWorkload({ count: 10000, seed: 1 });
+    const text = SchedulerEngine.encodeScenario({ algorithm: "FCFS", processes });
+
+    assert.strictEqual(SchedulerEngine.decodeScenario(text).processes.length, 10000);
+});
+
+/* ============================================================================
+   FRACTIONAL TIMES
+============================================================================ */
+
+test("Round Robin honours a fractional time quantum", () => {
+    const processes = [{ id: "P1", arrival: 0, burst: 1 }, { id: "P2", arrival: 0, burst: 1 }];
+    const { timeline } = SchedulerEngine.run("RoundRobin", processes, { timeQuantum: 0.5 });
+
+    assert.deepStrictEqual(timeline.map(s => [s.process, s.start, s.end]), [
+        ["P1", 0, 0.5], ["P2", 0.5, 1], ["P1", 1, 1.5], ["P2", 1.5, 2]
+    ]);
+});
+
+test("CFS slices are not rounded to whole time units", () => {
+    const processes = [
+        { id: "P1", arrival: 0, burst: 2 }, { id: "P2", arrival: 0, burst: 2 }, { id: "P3", arrival: 0, burst: 2 }
+    ];
+    const { timeline } = SchedulerEngine.run("CFS", processes, { targetLatency: 2, minGranularity: 0.1 });
+
+    assert.strictEqual(timeline[0].end, SchedulerEngine.roundTime(2 / 3));
+});
+
+test("EDF uses the hyperperiod of fractional periods", () => {
+    const processes = [
+        { id: "T1", arrival: 0, burst: 0.5, period: 1.5 },
+        { id: "T2", arrival: 0, burst: 0.75, period: 2.5 }
+    ];
+    const { schedulability, jobs, deadlineMisses } = SchedulerEngine.run("EDF", processes);
+
+    assert.strictEqual(schedulability.hyperperiod, 7.5);
+    assert.strictEqual(jobs.length, 8);
+    assert.strictEqual(deadlineMisses.length, 0);
+});
+
+/* ============================================================================
+   METRICS
+============================================================================ */
+
+test("A lone Round Robin process is never preempted, with or without dispatch latency", () => {
+    const processes = [{ id: "P1", arrival: 0, burst: 6 }];
+
+    for (const options of [{ timeQuantum: 2 }, { timeQuantum: 2, dispatchLatency: 0.5 }]) {
+        const { metrics } = SchedulerEngine.run("RoundRobin", processes, options);
+        assert.strictEqual(metrics.preemptions, 0);
+    }
+});
+
+test("Round Robin counts a preemption when another process runs in between", () => {
+    const processes = [{ id: "P1", arrival: 0, burst: 4 }, { id: "P2", arrival: 0, burst: 2 }];
+
+    for (const options of [{ timeQuantum: 2 }, { timeQuantum: 2, dispatchLatency: 0.5 }]) {
+        const { metrics } = SchedulerEngine.run("RoundRobin", processes, options);
+        assert.deepStrictEqual(metrics.perProcess.map(p => p.preemptions), [1, 0]);
+    }
+});
+
+test("percentile() takes the nearest rank, for the p50 and p95 of the waiting times", () => {
+    const values = Array.from({ length: 20 }, (_, i) => 20 - i);
+
+    assert.strictEqual(SchedulerEngine.percentile(values, 50), 10);
+    assert.strictEqual(SchedulerEngine.percentile(values, 95), 19);
+    assert.strictEqual(SchedulerEngine.percentile(values, 100), 20);
+    assert.strictEqual(SchedulerEngine.percentile([], 95), 0);
+
+    // FCFS waits 0, 1, 3, 6 and 10
+    const processes = [1, 2, 3, 4, 5].map(burst => ({ id: `P${burst}`, arrival: 0, burst }));
+    const { metrics } = SchedulerEngine.run("FCFS", processes);
+    const waits = metrics.perProcess.map(p => p.waiting);
+    assert.deepStrictEqual(waits, [0, 1, 3, 6, 10]);
+    assert.strictEqual(SchedulerEngine.percentile(waits, 50), 3);
+    assert.strictEqual(metrics.p95Wait, 10);
+    assert.strictEqual(metrics.maxWait, 10);
+});
+
+test("jainIndex() is 1 for equal shares and drops toward 1/n as they skew", () => {
+    assert.strictEqual(SchedulerEngine.jainIndex([2, 2, 2, 2]), 1);
+    assert.strictEqual(SchedulerEngine.jainIndex([1, 3]), 0.8);
+    assert.strictEqual(SchedulerEngine.jainIndex([5, 0, 0, 0]), 0.25);
+    assert.strictEqual(SchedulerEngine.jainIndex([]), 1);
+});
+
+test("Throughput is processes completed per time unit of the run", () => {
+    const processes = [
+        { id: "P1", arrival: 0, burst: 3 },
+        { id: "P2", arrival: 1, burst: 2 },
+        { id: "P3", arrival: 8, burst: 2 }
+    ];
+    const { metrics } = SchedulerEngine.run("FCFS", processes);
+
+    // Busy 0-5, idle 5-8, busy 8-10
+    assert.strictEqual(metrics.totalTime, 10);
+    assert.strictEqual(metrics.throughput, 0.3);
+});
+
+/* ============================================================================
+   CFS
+============================================================================ */
+
+test("CFS starts a process arriving mid-slice at the running task's vruntime", () => {
+    const processes = [{ id: "P1", arrival: 0, burst: 30 }, { id: "P2", arrival: 5, burst: 10 }];
+    const { timeline, vruntime } = SchedulerEngine.run("CFS", processes, { targetLatency: 20, minGranularity: 1 });
+
+    assert.deepStrictEqual(timeline.map(s => [s.process, s.start, s.end]), [
+        ["P1", 0, 20], ["P2", 20, 30], ["P1", 30, 40]
+    ]);
+    // P2 joined at min_vruntime 5 (P1 had run 5 units), then ran 10
+    assert.strictEqual(vruntime.P2, 15);
+});
+
+test("CFS on two cores sizes slices from each core's own run queue", () => {
+    const processes = ["P1", "P2", "P3", "P4"].map(id => ({ id, arrival: 0, burst: 12 }));
+    const { timeline } = SchedulerEngine.run("CFS", processes, {
+        cores: 2, perCoreQueues: true, targetLatency: 6, minGranularity: 1
+    });
+
+    // Two processes per core: each slice is half the target latency, and the
+    // processes running on the other core do not shrink it
+    const slices = timeline.map(s => s.end - s.start);
+    assert.deepStrictEqual(slices.slice(0, 8), [3, 3, 3, 3, 3, 3, 3, 3]);
+});
+
+/* ============================================================================
+   PRACTICE MODE
+============================================================================ */
+
+test("mergeSegments() joins back-to-back segments per core", () => {
+    const timeline = [
+        { process: "P1", start: 0, end: 2, core: 0 },
+        { process: "P2", start: 0, end: 1, core: 1 },
+        { process: "P1", start: 2, end: 3, core: 0 },
+        { process: "P2", start: 1, end: 4, core: 1 }
+    ];
+    assert.deepStrictEqual(SchedulerEngine.mergeSegments(timeline), [
+        { process: "P1", start: 0, end: 3, core: 0 },
+        { process: "P2", start: 0, end: 4, core: 1 }
+    ]);
+});
+
+test("parseGanttAnswer() reads every accepted segment format", () => {
+    assert.deepStrictEqual(SchedulerEngine.parseGanttAnswer("P1 0-3, P2(3-5); idle: 5 to 6.5\ncs 6.5–7"), [
+        { process: "P1", start: 0, end: 3 },
+        { process: "P2", start: 3, end: 5 },
+        { process: SchedulerEngine.IDLE, start: 5, end: 6.5 },
+        { process: SchedulerEngine.CONTEXT_SWITCH, start: 6.5, end: 7 }
+    ]);
+    assert.deepStrictEqual(SchedulerEngine.parseGanttAnswer(" , \n"), []);
+});
+
+test("parseGanttAnswer() rejects malformed segments", () => {
+    ["P1", "0-3", "P1 0-", "P1 three-5", "P1 3-3", "P1 5-2"].forEach(token => {
+        assert.throws(() => SchedulerEngine.parseGanttAnswer(`P0 0-1, ${token}`), /Invalid segment/, token);
+    });
+});
+
+test("gradeAnswer() joins back-to-back segments of one process", () => {
+    // The engine splits P1 at its quantum expiry; one segment is expected
+    const result = SchedulerEngine.run("RoundRobin", [{ id: "P1", arrival: 0, burst: 4 }], { timeQuantum: 2 });
+    const table = { P1: { waiting: 0, turnaround: 4, response: 0 } };
+
+    ["P1 0-4", "P1 0-2, P1 2-4"].forEach(text => {
+        const grade = SchedulerEngine.gradeAnswer(result, { segments: SchedulerEngine.parseGanttAnswer(text), table });
+        assert.strictEqual(grade.segments.length, 1, text);
+        assert.strictEqual(grade.score, 100, text);
+    });
+
+    // Segments that do not touch stay apart
+    const gap = SchedulerEngine.gradeAnswer(result, { segments: SchedulerEngine.parseGanttAnswer("P1 0-2, P1 3-4"), table });
+    assert.deepStrictEqual(gap.segments.map(s => s.correct), [false, false]);
+});
+
+test("gradeAnswer() grades each process's cells and the segments in order", () => {
+    const result = SchedulerEngine.run("RoundRobin", [
+        { id: "P1", arrival: 0, burst: 3 },
+        { id: "P2", arrival: 1, burst: 2 }
+    ], { timeQuantum: 2 });
+    const segments = SchedulerEngine.parseGanttAnswer("P1 0-2, P2 2-4, P1 4-5");
+
+    // All correct; strings as typed into the table are accepted
+    const right = SchedulerEngine.gradeAnswer(result, { segments, table: {
+        P1: { waiting: "2", turnaround: "5", response: "0" },
+        P2: { waiting: 1, turnaround: 3, response: 1 }
+    } });
+    assert.strictEqual(right.correct, right.total);
+    assert.strictEqual(right.score, 100);
+
+    // P1 fully right, P2 partly right with an empty cell, one segment wrong
+    const partly = SchedulerEngine.gradeAnswer(result, {
+        segments: SchedulerEngine.parseGanttAnswer("P1 0-2, P2 2-5"),
+        table: { P1: { waiting: 2, turnaround: 5, response: 0 }, P2: { waiting: 1, turnaround: 4, response: "" } }
+    });
+    assert.deepStrictEqual(
+        partly.cells.map(c => [c.process, c.field, c.correct]),
+        [
+            ["P1", "waiting", true], ["P1", "turnaround", true], ["P1", "response", true],
+            ["P2", "waiting", true], ["P2", "turnaround", false], ["P2", "response", false]
+        ]
+    );
+    assert.strictEqual(partly.cells[5].given, null);
+    assert.deepStrictEqual(partly.segments.map(s => s.correct), [true, false, false]);
+    assert.strictEqual(partly.segments[2].given, null);
+    assert.strictEqual(partly.correct, 5);
+    assert.strictEqual(partly.total, 9);
+
+    // Nothing answered: everything is wrong
+    const wrong = SchedulerEngine.gradeAnswer(result, { segments: [], table: {} });
+    assert.strictEqual(wrong.correct, 0);
+    assert.strictEqual(wrong.score, 0);
+    assert.ok(wrong.cells.every(c => c.given === null && !c.correct));
+});